@@ -4,10 +4,13 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const { URL } = require('url');
+const MockSanitizer = require('../src/mock-sanitizer');
+const MockSchema = require('../src/mock-schema');
 
 class MockGenerator {
   constructor() {
     this.mockDataDir = path.join(__dirname, '..', 'mock-data');
+    this.sanitizer = MockSanitizer.fromProjectConfig();
   }
 
   async generateMock(curlCommand) {
@@ -111,27 +114,9 @@ class MockGenerator {
   }
 
   validateMockConfig(mockConfig) {
-    const requiredFields = ['endpoint', 'method', 'response'];
-    
-    for (const field of requiredFields) {
-      if (!mockConfig[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
-    }
-    
-    if (!mockConfig.response.data && mockConfig.response.status === undefined) {
-      throw new Error('Response must have either data or status field');
-    }
-    
-    // Validate HTTP method
-    const validMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
-    if (!validMethods.includes(mockConfig.method.toUpperCase())) {
-      throw new Error(`Invalid HTTP method: ${mockConfig.method}`);
-    }
-    
-    // Validate endpoint format
-    if (!mockConfig.endpoint.startsWith('/')) {
-      throw new Error('Endpoint must start with "/"');
+    const [error] = MockSchema.validateBasics(mockConfig);
+    if (error) {
+      throw new Error(error);
     }
   }
 
@@ -163,8 +148,8 @@ class MockGenerator {
     const filename = `${endpoint}.json`;
     const filePath = path.join(this.mockDataDir, filename);
     
-    // Save the mock config
-    await fs.writeJson(filePath, mockConfig, { spaces: 2 });
+    // Save the mock config without cookies or tokens
+    await fs.writeJson(filePath, this.sanitizer.sanitizeMock(mockConfig), { spaces: 2 });
     
     console.log(chalk.blue(`    📁 Saved to: ${path.relative(process.cwd(), filePath)}`));
     
@@ -290,8 +275,8 @@ class MockGenerator {
     const filename = `${endpoint}.json`;
     const filePath = path.join(this.mockDataDir, filename);
     
-    // Save the mock config
-    await fs.writeJson(filePath, mockConfig, { spaces: 2 });
+    // Save the mock config without cookies or tokens
+    await fs.writeJson(filePath, this.sanitizer.sanitizeMock(mockConfig), { spaces: 2 });
     
     console.log(chalk.green(`📁 Mock saved to: ${path.relative(process.cwd(), filePath)}`));
     console.log(chalk.blue(`🔗 Endpoint: ${mockConfig.endpoint}`));
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const crypto = require('crypto');
+const ConfigLoader = require('../config-loader');
+const CsdlParser = require('../src/csdl-parser');
+const FixtureGenerator = require('../src/fixture-generator');
+const TablePermissions = require('../src/table-permissions');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Generates entity store seeds or collection mocks from a saved $metadata document
+ */
+class FixtureCommand {
+  constructor(options) {
+    this.options = options;
+    this.config = new ConfigLoader();
+    this.mockConfigFile = path.join(ROOT, 'mocks', 'mock-config.json');
+    this.seedPath = path.resolve(ROOT, this.config.get('entityStore.seedPath') || 'mocks/entities');
+  }
+
+  /**
+   * The given file, mocks/metadata.xml, or a $metadata response recorded through the proxy
+   */
+  async readMetadata() {
+    const file = this.options.metadata ? path.resolve(this.options.metadata) : path.join(ROOT, 'mocks', 'metadata.xml');
+    if (await fs.pathExists(file)) {
+      console.log(chalk.gray(`   Reading ${path.relative(process.cwd(), file)}`));
+      return fs.readFile(file, 'utf8');
+    }
+    if (this.options.metadata) {
+      throw new Error(`File not found: ${file}`);
+    }
+
+    if (await fs.pathExists(this.mockConfigFile)) {
+      const config = await fs.readJson(this.mockConfigFile);
+      const recorded = (config.mocks || []).find(mock => mock.request.endpoint === '/$metadata' && typeof mock.response.data === 'string');
+      if (recorded) {
+        console.log(chalk.gray(`   Reading the recorded $metadata mock "${recorded.name}"`));
+        return recorded.response.data;
+      }
+    }
+
+    throw new Error('No $metadata found. With the server proxying, save it once:\n' +
+      '   curl "http://localhost:3000/_api/$metadata" -o mocks/metadata.xml');
+  }
+
+  /**
+   * Tables the site's table permissions cover, when no --sets are given
+   */
+  async siteTables() {
+    const projectPath = this.config.get('powerPages.projectPath');
+    const permissions = await new TablePermissions({ powerPagesPath: projectPath }).loadPermissions();
+    return [...new Set(permissions.map(permission => String(permission.adx_entitylogicalname || permission.adx_entityname).toLowerCase()))];
+  }
+
+  async run() {
+    console.log(chalk.blue.bold('\n🧬 Generating fixtures from $metadata\n'));
+    const model = CsdlParser.parse(await this.readMetadata());
+    const fixtureConfig = this.config.get('mocks.fixtures') || {};
+    const generator = new FixtureGenerator(model, {
+      count: this.options.count || fixtureConfig.count,
+      optionSets: fixtureConfig.optionSets
+    });
+
+    const names = this.options.sets || await this.siteTables();
+    if (names.length === 0) {
+      throw new Error('No tables to generate: pass --sets incidents,contacts or add table permissions to the site');
+    }
+    const { resolved, unknown } = generator.resolveSets(names);
+    unknown.forEach(name => console.log(chalk.yellow(`⚠️  ${name} is not an entity set or table in $metadata, skipped`)));
+    if (resolved.length === 0) {
+      throw new Error('None of the requested tables are in $metadata');
+    }
+
+    const fixtures = generator.generate(resolved);
+    if (this.options.target === 'mocks') {
+      await this.writeMocks(fixtures);
+    } else {
+      await this.writeSeeds(fixtures);
+    }
+  }
+
+  async writeSeeds(fixtures) {
+    await fs.ensureDir(this.seedPath);
+    for (const [setName, fixture] of fixtures) {
+      const file = path.join(this.seedPath, `${setName}.json`);
+      if (!this.options.force && await fs.pathExists(file)) {
+        console.log(chalk.yellow(`⚠️  ${path.relative(process.cwd(), file)} exists, skipped (use --force to overwrite)`));
+        continue;
+      }
+      await fs.writeJson(file, fixture, { spaces: 2 });
+      console.log(chalk.green(`✅ ${setName}: ${fixture.value.length} record(s) → ${path.relative(process.cwd(), file)}`));
+    }
+    console.log(chalk.gray('\n   The entity store serves these sets on the next start (or POST /_mock-admin/entities/reset)'));
+  }
+
+  async writeMocks(fixtures) {
+    const config = await fs.pathExists(this.mockConfigFile) ? await fs.readJson(this.mockConfigFile) : { mocks: [] };
+    config.mocks = config.mocks || [];
+    const now = new Date().toISOString();
+
+    fixtures.forEach((fixture, setName) => {
+      const index = config.mocks.findIndex(mock => mock.generatedFrom === '$metadata' && mock.request.endpoint === `/${setName}`);
+      if (index !== -1 && !this.options.force) {
+        console.log(chalk.yellow(`⚠️  A generated mock for /${setName} exists, skipped (use --force to overwrite)`));
+        return;
+      }
+      const mock = {
+        id: index === -1 ? crypto.randomBytes(8).toString('hex') : config.mocks[index].id,
+        name: `Generated ${setName}`,
+        description: `Generated from $metadata: ${fixture.value.length} ${setName} record(s)`,
+        enabled: true,
+        // Below recorded and hand-written mocks, which are usually 5
+        priority: 1,
+        ...FixtureGenerator.toMock(setName, fixture),
+        generatedFrom: '$metadata',
+        createdAt: now,
+        hitCount: 0,
+        lastUsed: null
+      };
+      if (index === -1) {
+        config.mocks.push(mock);
+      } else {
+        config.mocks[index] = mock;
+      }
+      console.log(chalk.green(`✅ ${setName}: ${fixture.value.length} record(s) → mock GET /${setName}`));
+    });
+
+    config.mocks.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = { target: 'store' };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--sets':
+        options.sets = (args[++i] || '').split(',').map(name => name.trim()).filter(Boolean);
+        break;
+      case '--count':
+        options.count = parseInt(args[++i], 10);
+        break;
+      case '--target':
+        options.target = args[++i];
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        options.metadata = args[i];
+    }
+  }
+
+  if (options.help || !['store', 'mocks'].includes(options.target) || (options.count !== undefined && !(options.count > 0))) {
+    console.log(chalk.blue('Usage:'));
+    console.log(chalk.blue('  npm run generate-fixtures -- [metadata.xml] [--sets incidents,contacts] [--count 5] [--target store|mocks] [--force]'));
+    console.log(chalk.gray('  Without --sets, the tables in the site\'s table permissions are generated.'));
+    process.exit(options.help ? 0 : 1);
+  }
+
+  new FixtureCommand(options).run().catch(error => {
+    console.error(chalk.red('❌ Fixture generation failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = FixtureCommand;
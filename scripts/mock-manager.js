@@ -7,12 +7,18 @@ const inquirer = require('inquirer');
 const { URL } = require('url');
 const crypto = require('crypto');
 const readline = require('readline');
+const MockSanitizer = require('../src/mock-sanitizer');
+const CurlParser = require('../src/curl-parser');
+const MockSets = require('../src/mock-sets');
+const HarConverter = require('../src/har-converter');
+const MockRecorder = require('../src/mock-recorder');
 
 class MockManager {
     constructor() {
         this.mockDataDir = path.join(__dirname, '..', 'mocks');
         this.mockConfigFile = path.join(this.mockDataDir, 'mock-config.json');
         this.rl = null; // Will be initialized when needed
+        this.sanitizer = MockSanitizer.fromProjectConfig();
         this.initialize();
     }
 
@@ -39,6 +45,9 @@ class MockManager {
                 { name: '🔄 Toggle mock (enable/disable)', value: 'toggle' },
                 { name: '📤 Export mocks', value: 'export' },
                 { name: '📥 Import mocks', value: 'import' },
+                { name: '🌐 Import HAR file', value: 'import-har' },
+                { name: '🌐 Export mocks as HAR', value: 'export-har' },
+                { name: '🧹 Sanitize saved mocks', value: 'sanitize' },
                 { name: '🚪 Exit', value: 'exit' }
             ]
         }]);
@@ -68,6 +77,15 @@ class MockManager {
             case 'import':
                 await this.importMocks();
                 break;
+            case 'import-har':
+                await this.importHar();
+                break;
+            case 'export-har':
+                await this.exportHar();
+                break;
+            case 'sanitize':
+                await this.sanitizeSavedMocks();
+                break;
             case 'exit':
                 console.log(chalk.green('👋 Goodbye!'));
                 process.exit(0);
@@ -520,130 +538,7 @@ class MockManager {
     }
 
     parseCurlCommand(curlCommand) {
-        // Clean and normalize the command - handle multiline with backslashes
-        let cleanCommand = curlCommand.trim();
-        
-        // Remove line breaks and backslashes for multiline cURL commands
-        cleanCommand = cleanCommand.replace(/\\\s*\n\s*/g, ' ').replace(/\s+/g, ' ');
-        
-        if (cleanCommand.startsWith('curl')) {
-            cleanCommand = cleanCommand.substring(4).trim();
-        }
-
-        const result = {
-            method: 'GET',
-            url: '',
-            endpoint: '',
-            headers: {},
-            body: null,
-            queryParams: {}
-        };
-
-        try {
-            // Extract URL - look for first quoted string or first URL-like string
-            let urlMatch = cleanCommand.match(/'([^']+)'/) || cleanCommand.match(/"([^"]+)"/); 
-            if (!urlMatch) {
-                // Try unquoted URL starting with http
-                urlMatch = cleanCommand.match(/(https?:\/\/[^\s]+)/);
-            }
-            
-            if (urlMatch) {
-                let url = urlMatch[1];
-                // Remove any trailing parameters that might have been included
-                url = url.split(' ')[0];
-                result.url = url;
-                
-                try {
-                    const urlObj = new URL(url);
-                    result.endpoint = urlObj.pathname + urlObj.search;
-                    
-                    // Extract query parameters
-                    for (const [key, value] of urlObj.searchParams) {
-                        result.queryParams[key] = value;
-                    }
-                } catch (e) {
-                    // If not a full URL, treat as endpoint
-                    result.endpoint = url.startsWith('/') ? url : '/' + url;
-                }
-            }
-
-            // Parse headers using regex to handle quoted values properly
-            const headerRegex = /-H\s+['"]([^:]+):\s*([^'"]*)['"/]/g;
-            let headerMatch;
-            while ((headerMatch = headerRegex.exec(cleanCommand)) !== null) {
-                const key = headerMatch[1].trim();
-                const value = headerMatch[2].trim();
-                if (key && value) {
-                    result.headers[key] = value;
-                }
-            }
-            
-            // Also try without quotes for headers
-            const headerRegex2 = /-H\s+'([^']+)'/g;
-            let headerMatch2;
-            while ((headerMatch2 = headerRegex2.exec(cleanCommand)) !== null) {
-                const headerStr = headerMatch2[1];
-                const colonIndex = headerStr.indexOf(':');
-                if (colonIndex > -1) {
-                    const key = headerStr.substring(0, colonIndex).trim();
-                    const value = headerStr.substring(colonIndex + 1).trim();
-                    result.headers[key] = value;
-                }
-            }
-
-            // Parse method
-            const methodMatch = cleanCommand.match(/-X\s+([A-Z]+)/);
-            if (methodMatch) {
-                result.method = methodMatch[1].toUpperCase();
-            }
-
-            // Parse cookies (-b flag)
-            const cookieMatch = cleanCommand.match(/-b\s+['"]([^'"]*)['"]/);
-            if (cookieMatch) {
-                result.headers['Cookie'] = cookieMatch[1];
-            }
-
-            // Parse data/body
-            const dataMatch = cleanCommand.match(/-d\s+['"]([^'"]*)['"]/) || 
-                            cleanCommand.match(/--data\s+['"]([^'"]*)['"]/) ||
-                            cleanCommand.match(/--data-raw\s+['"]([^'"]*)['"]/);
-            if (dataMatch) {
-                const data = dataMatch[1];
-                try {
-                    result.body = JSON.parse(data);
-                } catch {
-                    result.body = data;
-                }
-                // If data is present and method is still GET, change to POST
-                if (result.method === 'GET') {
-                    result.method = 'POST';
-                }
-            }
-
-        } catch (error) {
-            console.log(chalk.yellow('Warning: Could not fully parse cURL command. Using basic extraction.'));
-            console.log(chalk.gray('Error:', error.message));
-            
-            // Fallback: try to at least extract the URL
-            const simpleUrlMatch = cleanCommand.match(/(https?:\/\/[^\s'"]+)/);
-            if (simpleUrlMatch) {
-                result.url = simpleUrlMatch[1];
-                try {
-                    const urlObj = new URL(result.url);
-                    result.endpoint = urlObj.pathname + urlObj.search;
-                } catch {
-                    result.endpoint = '/api/fallback';
-                }
-            }
-        }
-
-        // Ensure we have at least a basic endpoint
-        if (!result.endpoint && !result.url) {
-            result.endpoint = '/api/mock-endpoint';
-            result.url = 'http://localhost:3000/api/mock-endpoint';
-        }
-
-        return result;
+        return CurlParser.parse(curlCommand);
     }
 
     parseCommandArgs(command) {
@@ -723,7 +618,7 @@ class MockManager {
     async saveMock(mock) {
         const config = await fs.readJson(this.mockConfigFile);
         config.mocks = config.mocks || [];
-        config.mocks.push(mock);
+        config.mocks.push(this.sanitizer.sanitizeMock(mock));
         
         // Sort by priority (descending) and then by creation date
         config.mocks.sort((a, b) => {
@@ -1030,6 +925,7 @@ class MockManager {
                 break;
         }
 
+        mocks[mockIndex] = this.sanitizer.sanitizeMock(mock);
         await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
         console.log(chalk.green('\n✅ Mock updated successfully!'));
     }
@@ -1070,11 +966,10 @@ class MockManager {
         if (confirmDelete) {
             // Sort indexes in descending order to delete from end to start
             mockIndexes.sort((a, b) => b - a);
-            mockIndexes.forEach(index => {
-                mocks.splice(index, 1);
-            });
+            const deletedIds = mockIndexes.map(index => mocks.splice(index, 1)[0].id);
             
             config.mocks = mocks;
+            MockSets.removeMocks(config.sets, deletedIds);
             await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
             console.log(chalk.green(`\n✅ Deleted ${mockIndexes.length} mock(s)`));
         } else {
@@ -1139,7 +1034,7 @@ class MockManager {
         }]);
 
         const absolutePath = path.resolve(exportPath);
-        await fs.writeJson(absolutePath, { mocks }, { spaces: 2 });
+        await fs.writeJson(absolutePath, { mocks: this.sanitizer.sanitizeMocks(mocks) }, { spaces: 2 });
         
         console.log(chalk.green(`\n✅ Exported ${mocks.length} mock(s) to:`));
         console.log(chalk.gray(`   ${absolutePath}`));
@@ -1164,7 +1059,7 @@ class MockManager {
         
         try {
             const importData = await fs.readJson(absolutePath);
-            const importedMocks = importData.mocks || [];
+            const importedMocks = this.sanitizer.sanitizeMocks(importData.mocks);
             
             if (importedMocks.length === 0) {
                 console.log(chalk.yellow('\n⚠️  No mocks found in import file'));
@@ -1218,6 +1113,130 @@ class MockManager {
             console.error(chalk.red('\n❌ Error importing mocks:'), error.message);
         }
     }
+
+    /**
+     * One mock per unique /_api or /api request in a HAR file saved from the browser
+     */
+    async importHar() {
+        const { harPath } = await inquirer.prompt([{
+            type: 'input',
+            name: 'harPath',
+            message: 'HAR file path:',
+            validate: async (input) => {
+                if (!input) return 'File path is required';
+                if (!await fs.pathExists(path.resolve(input))) {
+                    return 'File does not exist';
+                }
+                return true;
+            }
+        }]);
+
+        try {
+            const absolutePath = path.resolve(harPath);
+            const { mocks, report } = new HarConverter(this.sanitizer).toMocks(await fs.readJson(absolutePath), path.basename(absolutePath));
+
+            console.log(chalk.blue(`\n📄 ${report.entries} request(s) in the HAR file`));
+            console.log(chalk.gray(`   ${mocks.length} unique API request(s)${report.duplicates > 0 ? `, ${report.duplicates} repeat(s) (the last response is kept)` : ''}`));
+            if (report.notApi > 0) console.log(chalk.gray(`   ${report.notApi} skipped: not /_api or /api`));
+            if (report.failed > 0) console.log(chalk.gray(`   ${report.failed} skipped: blocked or cancelled`));
+            if (report.noContent > 0) {
+                console.log(chalk.yellow(`   ${report.noContent} skipped: response body not saved`));
+                console.log(chalk.gray('   In DevTools use "Save all as HAR with content" (or "Export HAR (sanitized)" in recent Chrome)'));
+            }
+            if (mocks.length === 0) {
+                console.log(chalk.yellow('\n⚠️  No API requests to import'));
+                return;
+            }
+
+            const config = await fs.readJson(this.mockConfigFile);
+            config.mocks = config.mocks || [];
+            const { added, repeated } = HarConverter.partition(mocks, config.mocks);
+
+            let update = false;
+            if (repeated.length > 0) {
+                console.log(chalk.yellow(`\n⚠️  ${repeated.length} request(s) already have a mock:`));
+                repeated.forEach(({ existing }) => console.log(chalk.gray(`   ${existing.name} [${existing.request.method} ${existing.request.endpoint}]`)));
+                const { duplicates } = await inquirer.prompt([{
+                    type: 'list',
+                    name: 'duplicates',
+                    message: 'What should happen to them?',
+                    choices: [
+                        { name: 'Keep the saved mocks', value: 'skip' },
+                        { name: 'Update their responses from the HAR file', value: 'update' },
+                        { name: 'Cancel the import', value: 'cancel' }
+                    ]
+                }]);
+                if (duplicates === 'cancel') {
+                    console.log(chalk.gray('Import cancelled'));
+                    return;
+                }
+                update = duplicates === 'update';
+            }
+
+            const now = new Date().toISOString();
+            if (update) {
+                repeated.forEach(({ existing, mock }) => {
+                    existing.response = mock.response;
+                    existing.recordedAt = mock.recordedAt;
+                    existing.updatedAt = now;
+                });
+            }
+            // Place each new mock the way record mode does; saved mocks keep their order
+            const recorder = new MockRecorder({ mockConfigFile: this.mockConfigFile });
+            added.forEach(mock => {
+                config.mocks.splice(recorder.insertionIndex(config.mocks, mock), 0, { ...mock, importedAt: now });
+            });
+            await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
+
+            console.log(chalk.green(`\n✅ Imported ${added.length} mock(s)${update ? `, updated ${repeated.length}` : ''}`));
+        } catch (error) {
+            console.error(chalk.red('\n❌ Error importing HAR file:'), error.message);
+        }
+    }
+
+    async exportHar() {
+        const config = await fs.readJson(this.mockConfigFile);
+        const mocks = config.mocks || [];
+
+        if (mocks.length === 0) {
+            console.log(chalk.yellow('\n⚠️  No mocks to export'));
+            return;
+        }
+
+        const { exportPath } = await inquirer.prompt([{
+            type: 'input',
+            name: 'exportPath',
+            message: 'HAR file path:',
+            default: `mocks-${Date.now()}.har`
+        }]);
+
+        const absolutePath = path.resolve(exportPath);
+        const baseUrl = `http://localhost:${process.env.PORT || 3000}`;
+        await fs.writeJson(absolutePath, new HarConverter(this.sanitizer).fromMocks(mocks, baseUrl), { spaces: 2 });
+
+        console.log(chalk.green(`\n✅ Exported ${mocks.length} mock(s) as HAR to:`));
+        console.log(chalk.gray(`   ${absolutePath}`));
+        console.log(chalk.gray('   The proxy traffic log is exported from the running server: /_mock-admin/requests/har?servedBy=proxy'));
+    }
+
+    /**
+     * Scrub mocks saved before sanitizing existed (or before new mocks.sanitize rules)
+     */
+    async sanitizeSavedMocks() {
+        const config = await fs.readJson(this.mockConfigFile);
+        const mocks = config.mocks || [];
+
+        if (mocks.length === 0) {
+            console.log(chalk.yellow('\n⚠️  No mocks configured yet'));
+            return;
+        }
+
+        config.mocks = this.sanitizer.sanitizeMocks(mocks);
+        const changed = config.mocks.filter((mock, index) => JSON.stringify(mock) !== JSON.stringify(mocks[index])).length;
+        await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
+
+        console.log(chalk.green(`\n✅ Sanitized ${changed} of ${mocks.length} mock(s)`));
+    }
     
     // Multiline input methods (borrowed from init.js)
     initializeReadline() {
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const MockSets = require('../src/mock-sets');
+
+/**
+ * Lists, switches and edits the named mock sets in mocks/mock-config.json. A
+ * running server picks the change up through its file watcher.
+ */
+class MockSetCommand {
+  constructor() {
+    this.mockConfigFile = path.join(__dirname, '..', 'mocks', 'mock-config.json');
+  }
+
+  async readConfig() {
+    const config = await fs.pathExists(this.mockConfigFile) ? await fs.readJson(this.mockConfigFile) : { mocks: [] };
+    config.mocks = config.mocks || [];
+    config.sets = config.sets || {};
+    return config;
+  }
+
+  async writeConfig(config) {
+    await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
+  }
+
+  loadSets(config) {
+    const sets = new MockSets();
+    sets.load(config);
+    return sets;
+  }
+
+  requireSet(config, name) {
+    if (!name || !config.sets[name]) {
+      throw new Error(`Unknown mock set: ${name || '(none given)'}. Sets: ${Object.keys(config.sets).join(', ') || 'none yet'}`);
+    }
+  }
+
+  /**
+   * Mock ids from ids or exact mock names
+   */
+  resolveMocks(config, refs) {
+    return refs.map(ref => {
+      const mock = config.mocks.find(candidate => candidate.id === ref) || config.mocks.find(candidate => candidate.name === ref);
+      if (!mock) {
+        throw new Error(`No mock with id or name "${ref}"`);
+      }
+      return mock.id;
+    });
+  }
+
+  async list() {
+    const config = await this.readConfig();
+    const sets = this.loadSets(config);
+    const described = sets.describe(config.mocks);
+
+    if (described.length === 0) {
+      console.log(chalk.yellow('No mock sets yet. Create one with:'));
+      console.log(chalk.gray('  npm run mock-set -- save happy-path --mocks <id>,<id>'));
+      return;
+    }
+    console.log(chalk.blue.bold('\n🗂️  Mock sets\n'));
+    described.forEach(set => {
+      const marker = set.active ? chalk.green('●') : ' ';
+      const parents = set.extends.length > 0 ? chalk.gray(` extends ${set.extends.join(', ')}`) : '';
+      console.log(`${marker} ${chalk.bold(set.name)}${parents} ${chalk.gray(`(${set.size} mock(s))`)}`);
+      if (set.description) {
+        console.log(chalk.gray(`    ${set.description}`));
+      }
+    });
+    console.log(chalk.gray(`\n  Active: ${sets.active || 'none (every enabled mock)'}`));
+  }
+
+  async show(name) {
+    const config = await this.readConfig();
+    this.requireSet(config, name);
+    const sets = this.loadSets(config);
+    const members = sets.members(name);
+
+    console.log(chalk.blue.bold(`\n🗂️  ${name}${name === sets.active ? chalk.green(' (active)') : ''}\n`));
+    const mocks = sets.mocksFor(name, config.mocks);
+    mocks.forEach(mock => {
+      const from = members.get(mock.id) === name ? '' : chalk.gray(` ← ${members.get(mock.id)}`);
+      const state = mock.enabled ? '' : chalk.yellow(' (only in sets)');
+      console.log(`  ${mock.request.method} ${mock.request.endpoint} ${chalk.gray(mock.name)}${state}${from}`);
+    });
+    if (mocks.length === 0) {
+      console.log(chalk.gray('  No mocks: every request goes to the next handler (entity store or proxy)'));
+    }
+  }
+
+  async use(name) {
+    const config = await this.readConfig();
+    if (name) {
+      this.requireSet(config, name);
+    }
+    config.activeSet = name || null;
+    await this.writeConfig(config);
+    console.log(chalk.green(`✅ Mock set: ${name || 'none (every enabled mock)'}`));
+  }
+
+  async save(name, options) {
+    const config = await this.readConfig();
+    const set = { ...config.sets[name] };
+    if (options.description !== undefined) set.description = options.description;
+    if (options.extends) set.extends = options.extends.length === 1 ? options.extends[0] : options.extends;
+    if (options.mocks) set.mocks = this.resolveMocks(config, options.mocks);
+    if (options.exclude) set.exclude = this.resolveMocks(config, options.exclude);
+    set.mocks = set.mocks || [];
+
+    const errors = MockSets.validate(name, set, config.sets, new Set(config.mocks.map(mock => mock.id)));
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n   '));
+    }
+    const created = !config.sets[name];
+    config.sets[name] = set;
+    await this.writeConfig(config);
+    console.log(chalk.green(`✅ ${created ? 'Created' : 'Updated'} mock set "${name}"`));
+  }
+
+  async remove(name) {
+    const config = await this.readConfig();
+    this.requireSet(config, name);
+    const children = Object.keys(config.sets).filter(other => MockSets.extendsOf(config.sets[other]).includes(name));
+    if (children.length > 0) {
+      throw new Error(`Mock set "${name}" is extended by: ${children.join(', ')}`);
+    }
+    delete config.sets[name];
+    if (config.activeSet === name) {
+      config.activeSet = null;
+    }
+    await this.writeConfig(config);
+    console.log(chalk.green(`✅ Deleted mock set "${name}"`));
+  }
+}
+
+function usage() {
+  console.log(chalk.blue('Usage:'));
+  console.log(chalk.blue('  npm run mock-set                    List sets'));
+  console.log(chalk.blue('  npm run mock-set -- use <name>      Serve only this set'));
+  console.log(chalk.blue('  npm run mock-set -- off             Serve every enabled mock'));
+  console.log(chalk.blue('  npm run mock-set -- show <name>     Mocks of a set, inherited ones included'));
+  console.log(chalk.blue('  npm run mock-set -- save <name> [--mocks id,name] [--extends base] [--exclude id] [--description text]'));
+  console.log(chalk.blue('  npm run mock-set -- delete <name>'));
+}
+
+// Main execution
+if (require.main === module) {
+  const [command = 'list', name, ...rest] = process.argv.slice(2);
+  const tool = new MockSetCommand();
+  const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    switch (rest[i]) {
+      case '--mocks':
+        options.mocks = list(rest[++i]);
+        break;
+      case '--extends':
+        options.extends = list(rest[++i]);
+        break;
+      case '--exclude':
+        options.exclude = list(rest[++i]);
+        break;
+      case '--description':
+        options.description = rest[++i] || '';
+        break;
+      default:
+        usage();
+        process.exit(1);
+    }
+  }
+
+  const commands = {
+    list: () => tool.list(),
+    show: () => tool.show(name),
+    use: () => (name ? tool.use(name) : Promise.reject(new Error('use needs a set name (or run off)'))),
+    off: () => tool.use(null),
+    save: () => (name ? tool.save(name, options) : Promise.reject(new Error('save needs a set name'))),
+    delete: () => tool.remove(name)
+  };
+  if (!commands[command]) {
+    usage();
+    process.exit(command === '--help' || command === '-h' ? 0 : 1);
+  }
+
+  commands[command]().catch(error => {
+    console.error(chalk.red('❌ Error:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = MockSetCommand;
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ConfigLoader = require('../config-loader');
+const MockDrift = require('../src/mock-drift');
+
+const STATUS_ICONS = { ok: '✅', drifted: '⚠️ ', skipped: '⏭️ ', error: '❌' };
+
+/**
+ * Replays each mock's request against the live API (or a saved snapshot) and
+ * reports mocks whose response shape no longer matches
+ */
+class MockVerifier {
+  constructor(options) {
+    this.options = options;
+    this.mockConfigFile = path.join(__dirname, '..', 'mocks', 'mock-config.json');
+    const config = new ConfigLoader();
+    this.config = {
+      apiProxy: { enabled: true, configFile: 'api-proxy.json' },
+      mockSanitize: config.get('mocks.sanitize') || {}
+    };
+  }
+
+  async createProxy() {
+    // Loaded lazily: a snapshot check needs no credentials
+    const AuthManager = require('../src/auth-manager-simple');
+    const ApiProxy = require('../src/api-proxy');
+    const authManager = new AuthManager(this.config);
+    await authManager.initialize();
+    const apiProxy = new ApiProxy(this.config, authManager);
+    await apiProxy.initialize();
+    if (!apiProxy.isEnabled()) {
+      throw new Error('The API proxy is not configured. Run "npm run auth-setup", or pass --snapshot <file>');
+    }
+    return apiProxy;
+  }
+
+  async run() {
+    const config = await fs.readJson(this.mockConfigFile);
+    const mocks = (config.mocks || []).filter(mock => !this.options.ids || this.options.ids.includes(mock.id));
+    const snapshot = this.options.snapshot ? await MockDrift.loadSnapshot(path.resolve(this.options.snapshot)) : null;
+    const drift = new MockDrift(this.config, snapshot ? null : await this.createProxy());
+
+    if (!this.options.json) {
+      console.log(chalk.blue.bold(`\n🧭 Checking ${mocks.length} mock(s) against ${snapshot ? this.options.snapshot : 'the live API'}\n`));
+    }
+    const results = await drift.verify(mocks, { snapshot });
+    const drifted = results.filter(result => result.status === 'drifted');
+
+    if (this.options.json) {
+      console.log(JSON.stringify({ drifted: drifted.length, results }, null, 2));
+    } else {
+      this.report(results);
+    }
+
+    const refresh = await this.chooseRefresh(drifted);
+    if (refresh.length > 0) {
+      config.mocks = config.mocks.map(mock => (refresh.includes(mock.id) ? drift.refresh(mock) : mock));
+      await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
+      console.log(chalk.green(`\n✅ Refreshed ${refresh.length} mock(s) from the live responses`));
+    }
+
+    // Fail CI while drift remains
+    return drifted.length - refresh.length;
+  }
+
+  report(results) {
+    results.forEach(result => {
+      const color = { ok: chalk.green, drifted: chalk.yellow, skipped: chalk.gray, error: chalk.red }[result.status];
+      console.log(color(`${STATUS_ICONS[result.status]} ${result.name} [${result.method} ${result.endpoint}]${result.reason ? ` - ${result.reason}` : ''}`));
+      result.changes.forEach(change => console.log(chalk.yellow(`     ${MockDrift.describeChange(change)}`)));
+    });
+
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(chalk.blue(`\n📊 ${count('ok')} ok, ${count('drifted')} drifted, ${count('skipped')} skipped, ${count('error')} failed`));
+  }
+
+  async chooseRefresh(drifted) {
+    if (drifted.length === 0 || this.options.refresh === false) {
+      return [];
+    }
+    if (this.options.refresh) {
+      return drifted.map(result => result.id);
+    }
+    if (this.options.json || !process.stdin.isTTY) {
+      return [];
+    }
+
+    const { ids } = await inquirer.prompt([{
+      type: 'checkbox',
+      name: 'ids',
+      message: 'Refresh these mocks with the live response? (secrets are scrubbed)',
+      choices: drifted.map(result => ({ name: `${result.name} [${result.method} ${result.endpoint}]`, value: result.id }))
+    }]);
+    return ids;
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--snapshot':
+        options.snapshot = args[++i];
+        break;
+      case '--ids':
+        options.ids = (args[++i] || '').split(',').filter(Boolean);
+        break;
+      case '--refresh':
+        options.refresh = true;
+        break;
+      case '--no-refresh':
+        options.refresh = false;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        console.log(chalk.blue('Usage:'));
+        console.log(chalk.blue('  npm run verify-mocks -- [--snapshot mocks-export.json] [--ids id1,id2] [--refresh | --no-refresh] [--json]'));
+        process.exit(args[i] === '--help' || args[i] === '-h' ? 0 : 1);
+    }
+  }
+
+  new MockVerifier(options).run()
+    .then(remaining => process.exit(remaining > 0 ? 1 : 0))
+    .catch(error => {
+      console.error(chalk.red('❌ Mock verification failed:'), error.message);
+      process.exit(2);
+    });
+}
+
+module.exports = MockVerifier;
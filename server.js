@@ -18,6 +18,15 @@ const MockApi = require('./src/mock-api');
 const MockMiddleware = require('./src/mock-middleware');
 const Utils = require('./src/utils');
 const ApiProxy = require('./src/api-proxy');
+const LiveReload = require('./src/live-reload');
+const TablePermissions = require('./src/table-permissions');
+const EntityStore = require('./src/entity-store');
+const BatchHandler = require('./src/batch-handler');
+const MockRecorder = require('./src/mock-recorder');
+const FaultInjector = require('./src/fault-injector');
+const RequestLog = require('./src/request-log');
+const MockDashboard = require('./src/mock-dashboard');
+const MockDrift = require('./src/mock-drift');
 // Use simplified auth manager (like Dataverse REST Builder)
 const AuthManager = require('./src/auth-manager-simple');
 const AuthRoutes = require('./src/auth-routes');
@@ -41,6 +50,15 @@ class PowerPagesServer {
     this.authManager = null;
     this.authRoutes = null;
     this.mockConfig = null;
+    this.liveReload = null;
+    this.personaManager = null;
+    this.tablePermissions = null;
+    this.entityStore = null;
+    this.batchHandler = null;
+    this.mockRecorder = null;
+    this.faultInjector = null;
+    this.mockDrift = null;
+    this.requestLog = new RequestLog();
   }
 
   async initialize() {
@@ -74,15 +92,31 @@ class PowerPagesServer {
       
       // Initialize components
       this.liquidEngine = new LiquidEngine(this.config);
+      this.personaManager = this.liquidEngine.personas;
+      this.tablePermissions = new TablePermissions(this.config, this.personaManager);
       this.pageHandler = new PageHandler(this.config, this.liquidEngine);
       this.templateHandler = new TemplateHandler(this.config, this.liquidEngine);
       this.snippetHandler = new SnippetHandler(this.config, this.liquidEngine);
       this.fileHandler = new FileHandler(this.config);
       this.mockApi = new MockApi(this.config);
-      this.mockMiddleware = new MockMiddleware();
-      // Pass authManager to ApiProxy for OAuth2 support
-      this.apiProxy = new ApiProxy(this.config, this.authManager);
+      this.mockMiddleware = new MockMiddleware(this.config);
+      this.liveReload = new LiveReload(this.config, {
+        templateHandler: this.templateHandler,
+        snippetHandler: this.snippetHandler,
+        pageHandler: this.pageHandler,
+        liquidEngine: this.liquidEngine,
+        tablePermissions: this.tablePermissions
+      });
+      this.pageHandler.liveReload = this.liveReload;
+      // Pass authManager to ApiProxy for OAuth2 support, and the recorder for record/replay
+      this.mockRecorder = new MockRecorder(this.config);
+      this.apiProxy = new ApiProxy(this.config, this.authManager, this.mockRecorder);
       await this.apiProxy.initialize();
+      // Stateful /_api tables; seeded sets answer before the proxy
+      this.entityStore = new EntityStore(this.config);
+      this.batchHandler = new BatchHandler(this.config, this.entityStore);
+      this.faultInjector = new FaultInjector(this.config);
+      this.mockDrift = new MockDrift(this.config, this.apiProxy);
       
       // Setup Express middleware
       this.setupMiddleware();
@@ -129,8 +163,19 @@ class PowerPagesServer {
           firstname: newConfig.mockUser.name.split(' ')[0],
           lastname: newConfig.mockUser.name.split(' ').slice(1).join(' ') || '',
           email: `${newConfig.mockUser.name.toLowerCase().replace(' ', '.')}@example.com`,
-          roles: 'לקוח- הגשת בקשות,Administrators'
-        }
+          roles: newConfig.mockUser.roles || 'לקוח- הגשת בקשות,Administrators'
+        },
+        personas: newConfig.mockUser.personas || {},
+        defaultPersona: newConfig.mockUser.defaultPersona || 'mock-user'
+      },
+      tablePermissions: {
+        enabled: newConfig.tablePermissions?.enabled !== false,
+        entitySets: newConfig.tablePermissions?.entitySets || {}
+      },
+      entityStore: {
+        enabled: newConfig.entityStore?.enabled !== false,
+        seedPath: newConfig.entityStore?.seedPath || 'mocks/entities',
+        entitySets: newConfig.entityStore?.entitySets || []
       },
       security: {
         enableHelmet: true,
@@ -161,6 +206,10 @@ class PowerPagesServer {
         enabled: true,
         configFile: 'api-proxy.json'
       },
+      mockMode: process.env.MOCK_MODE || newConfig.mocks?.mode || 'live',
+      mockSanitize: newConfig.mocks?.sanitize || {},
+      faults: newConfig.mocks?.faults || [],
+      mockDrift: newConfig.mocks?.drift || {},
       baseUrl: newConfig.powerPages.baseUrl,
       proxy: newConfig.proxy
     };
@@ -208,6 +257,9 @@ class PowerPagesServer {
     this.app.use(express.json());
     this.app.use(express.urlencoded({ extended: true }));
     
+    // Active mock persona (?persona=, X-Mock-Persona header or cookie) on every request
+    this.app.use(this.personaManager.middleware());
+    
     // Static files middleware
     this.app.use('/static', express.static(path.join(__dirname, 'compiled', 'assets')));
     
@@ -234,6 +286,14 @@ class PowerPagesServer {
       });
     });
 
+    // Mock persona list and switching (/_persona/<key>)
+    this.app.use('/_persona', this.personaManager.router());
+
+    // Live reload event stream and client script
+    if (this.liveReload && this.liveReload.isEnabled()) {
+      this.app.use('/_live-reload', this.liveReload.router());
+    }
+
     // Debug endpoint for API testing
     this.app.get('/debug/api-test', async (req, res) => {
       try {
@@ -394,16 +454,42 @@ class PowerPagesServer {
       res.status(mockData.response.status).json(mockData.response.data);
     });
 
+    // Remember who answered each API request (shown in the mock dashboard)
+    this.app.use('/_api', this.requestLog.middleware());
+    this.app.use('/api', this.requestLog.middleware());
+
+    // Simulated latency and failures, ahead of mocks, entity store and proxy alike
+    this.app.use('/_api', this.faultInjector.middleware());
+    this.app.use('/api', this.faultInjector.middleware());
+    this.app.use('/_mock-admin/faults', this.faultInjector.router());
+
+    // Mock responses compared with the live API: in the background (mocks.drift.background) and on demand
+    if (this.mockDrift.isBackground()) {
+      this.app.use('/_api', this.mockDrift.middleware(this.mockMiddleware));
+    }
+    this.app.use('/_mock-admin/drift', this.mockDrift.router(this.mockMiddleware));
+
+    // $batch parts are replayed one by one through the handlers below
+    this.app.use('/_api', this.batchHandler.middleware());
+
+    // Table permissions for the active persona apply to mocks and proxied requests alike
+    this.app.use('/_api', this.tablePermissions.middleware());
+
     // NEW: Mock middleware (checks mocks before proxy)
     // This middleware will intercept matching requests and serve mock responses
     if (this.mockMiddleware) {
       this.app.use('/_api', this.mockMiddleware.middleware());
       this.app.use('/api', this.mockMiddleware.middleware());
       
-      // Mock management API endpoints
+      // Mock management API endpoints and the dashboard at /_mock-admin
       this.app.use('/_mock-admin', this.mockMiddleware.apiRouter());
+      this.app.use('/_mock-admin', new MockDashboard(this.config, this.requestLog, this.mockMiddleware).router());
       console.log(chalk.cyan('🎭 Mock middleware loaded'));
     }
+
+    // Entity store serves seeded and configured tables after the mocks
+    this.app.use('/_api', this.entityStore.middleware());
+    this.app.use('/_mock-admin/entities', this.entityStore.router());
     
     // API Proxy routes (after mock middleware)
     // Note: Hardcoded mock endpoints removed to allow dynamic mock middleware to work
@@ -424,10 +510,19 @@ class PowerPagesServer {
     if (this.apiProxy && this.apiProxy.isEnabled()) {
       this.apiProxy.setupProxyRoutes(this.app);
       console.log(chalk.green('✅ API proxy loaded'));
+    } else if (this.mockRecorder.isReplaying()) {
+      // Replay mode: whatever was not recorded fails instead of reaching the network
+      this.app.use('/_api', this.mockRecorder.replayFallback());
+      this.app.use('/api', this.mockRecorder.replayFallback());
+      console.log(chalk.magenta('📼 Replay mode: serving recorded mocks only'));
     } else if (this.config.mockApiEnabled) {
       // Only setup mock API routes if proxy is disabled
       this.setupMockApiRoutes();
     }
+    if (!(this.apiProxy && this.apiProxy.isEnabled()) && !this.mockRecorder.isReplaying()) {
+      // Nothing upstream: entity sets no one served do not exist
+      this.app.use('/_api', this.entityStore.unknownSetFallback());
+    }
     
     // Static file routes
     this.app.use('/web-files', (req, res, next) => {
@@ -612,6 +707,8 @@ class PowerPagesServer {
         serverPort = await this.findAvailablePort(serverPort);
         console.log(chalk.blue(`🔄 Using port ${serverPort} instead`));
       }
+      // Liquid data tags call back into /_api on the port actually in use
+      this.config.port = serverPort;
       
       const server = this.app.listen(serverPort, this.config.host, () => {
         console.log(chalk.green(`
@@ -621,7 +718,16 @@ class PowerPagesServer {
 🔥 Hot Reload: ${this.config.hotReload ? 'Enabled' : 'Disabled'}
 🌐 Languages: ${this.config.supportedLanguages.join(', ')}
 👤 Mock User: ${this.config.mockUser.enabled ? 'Enabled (' + this.config.mockUser.userData.fullname + ')' : 'Disabled'}
+🎭 Persona: ${this.personaManager.getDefaultKey()} (switch at /_persona/<name> or ?persona=<name>)
+📼 Mock mode: ${this.mockRecorder.mode}${this.mockRecorder.isRecording() ? ' (proxied responses are saved to mocks/mock-config.json)' : ''}
+🎛️  Mock dashboard: http://${this.config.host}:${serverPort}/_mock-admin
         `));
+        if (this.faultInjector.rules.length > 0) {
+          console.log(chalk.yellow(`💥 ${this.faultInjector.rules.length} fault rule(s) active (manage at /_mock-admin/faults)`));
+        }
+        if (this.mockDrift.isBackground()) {
+          console.log(chalk.cyan('🧭 Mocks are checked against the live API in the background (report at /_mock-admin/drift)'));
+        }
       });
       
       // Handle server startup errors
@@ -643,13 +749,23 @@ class PowerPagesServer {
         }
       });
       
+      // Start watching the project once the server is listening
+      this.liveReload.start();
+      this.entityStore.watchSeeds();
+      
       // Mark server setup as complete
       await this.taskManager.completeTask('server-setup');
       
       // Setup graceful shutdown
-      const gracefulShutdown = (signal) => {
+      const gracefulShutdown = async (signal) => {
         console.log(chalk.yellow(`\n🛑 Received ${signal}. Shutting down server gracefully...`));
         
+        // Close open live reload streams and the file watcher so server.close() can complete
+        await this.liveReload.stop();
+        this.entityStore.unwatchSeeds();
+        // Hit counts are kept in memory between writes
+        await this.mockMiddleware.close();
+        
         server.close((err) => {
           if (err) {
             console.error(chalk.red('❌ Error during server shutdown:'), err);
@@ -0,0 +1,16 @@
+// The prefixes Web API calls arrive under: /_api (portal), /api/data/v9.x and /api
+const API_PREFIX = /^\/(_api|api\/data\/v[\d.]+|api)(?=\/|$)/;
+
+/**
+ * Web API paths as mocks store them
+ */
+class ApiPath {
+  /**
+   * Mock paths are relative to /_api or /api, so strip whichever prefix a full URL carries
+   */
+  static relative(pathname) {
+    return pathname.replace(API_PREFIX, '') || '/';
+  }
+}
+
+module.exports = ApiPath;
@@ -4,10 +4,11 @@ const fs = require('fs-extra');
 const chalk = require('chalk');
 
 class ApiProxy {
-  constructor(config, authManager = null) {
+  constructor(config, authManager = null, recorder = null) {
     this.config = config;
     this.proxyConfig = null;
     this.authManager = authManager; // OAuth2 auth manager
+    this.recorder = recorder; // Captures upstream responses as mocks in record mode
     this.useOAuth = false; // Will be determined during initialization
     // Initialize will be called explicitly
   }
@@ -54,112 +55,152 @@ class ApiProxy {
   }
 
   isEnabled() {
+    // Replay mode never touches the network
+    if (this.recorder && this.recorder.isReplaying()) {
+      return false;
+    }
     return this.useOAuth || (this.proxyConfig && this.proxyConfig.enabled);
   }
 
-  async proxyRequest(req, res) {
-    if (!this.isEnabled()) {
-      return res.status(503).json({ error: 'API proxy is not enabled' });
-    }
-
-    try {
-      let targetUrl;
-      let headers = {};
-      
-      // Use OAuth2 if available
-      if (this.useOAuth && this.authManager) {
-        try {
-          // Check if authenticated
-          if (!await this.authManager.isAuthenticated()) {
-            console.log(chalk.yellow('⚠️  Not authenticated. Please authenticate first.'));
-            return res.status(401).json({ 
-              error: 'Authentication required',
-              authUrl: '/auth'
-            });
-          }
-          
-          // Get OAuth headers
-          const authHeaders = await this.authManager.getAuthHeaders();
-          headers = { ...authHeaders };
-          
-          // Note: Dataverse API only needs OAuth2 Bearer token
-          // RequestVerificationToken is not required (proven by REST Builder extension)
-          
-          // Get base URL from auth config or legacy config
-          const authConfig = await fs.readJson(this.authManager.authConfigPath).catch(() => null);
-          const baseUrl = authConfig?.instanceUrl || authConfig?.powerPagesUrl || this.proxyConfig?.baseUrl || '';
-          
-          // For Dataverse API calls, we need to add /api/data/v9.2 prefix
-          // Check if this is an _api request (Dataverse OData)
-          if (req.baseUrl === '/_api' || req.originalUrl.startsWith('/_api')) {
-            targetUrl = baseUrl + '/api/data/v9.2' + req.url;
-          } else {
-            targetUrl = baseUrl + req.url;
-          }
-          
-          console.log(chalk.blue('🔐 Using OAuth2 Bearer token for authentication'));
-        } catch (error) {
-          console.error(chalk.red('❌ OAuth2 authentication failed:'), error);
-          return res.status(401).json({ 
-            error: 'OAuth2 authentication failed',
-            details: error.message
-          });
+  /**
+   * Upstream URL and auth headers for a request, or { status, body } when it cannot be proxied
+   */
+  async resolveTarget(req) {
+    let targetUrl;
+    let headers = {};
+    
+    // Use OAuth2 if available
+    if (this.useOAuth && this.authManager) {
+      try {
+        // Check if authenticated
+        if (!await this.authManager.isAuthenticated()) {
+          console.log(chalk.yellow('⚠️  Not authenticated. Please authenticate first.'));
+          return {
+            status: 401,
+            body: { error: 'Authentication required', authUrl: '/auth' }
+          };
         }
-      } else if (this.proxyConfig) {
-        // Fall back to legacy authentication
-        targetUrl = this.proxyConfig.baseUrl + req.url;
         
-        // Prepare headers
-        headers = {
-          'User-Agent': req.headers['user-agent'] || this.proxyConfig.headers['User-Agent']
-        };
-
-        if (this.proxyConfig.useAuthorizationHeader) {
-          headers['Authorization'] = this.proxyConfig.headers['Authorization'];
-          console.log(chalk.blue('🔐 Using Authorization header for authentication (legacy)'));
+        // Get OAuth headers
+        const authHeaders = await this.authManager.getAuthHeaders();
+        headers = { ...authHeaders };
+        
+        // Note: Dataverse API only needs OAuth2 Bearer token
+        // RequestVerificationToken is not required (proven by REST Builder extension)
+        
+        // Get base URL from auth config or legacy config
+        const authConfig = await fs.readJson(this.authManager.authConfigPath).catch(() => null);
+        const baseUrl = authConfig?.instanceUrl || authConfig?.powerPagesUrl || this.proxyConfig?.baseUrl || '';
+        
+        // For Dataverse API calls, we need to add /api/data/v9.2 prefix
+        // Check if this is an _api request (Dataverse OData)
+        if (req.baseUrl === '/_api' || req.originalUrl.startsWith('/_api')) {
+          targetUrl = baseUrl + '/api/data/v9.2' + req.url;
         } else {
-          headers['Cookie'] = this.proxyConfig.headers['Cookie'];
-          console.log(chalk.blue('🍪 Using Cookie header for authentication'));
-        }
-
-        // Add RequestVerificationToken if available
-        if (this.proxyConfig.headers['__RequestVerificationToken']) {
-          headers['__RequestVerificationToken'] = this.proxyConfig.headers['__RequestVerificationToken'];
-          console.log(chalk.blue('🔒 Including RequestVerificationToken for CSRF protection'));
+          targetUrl = baseUrl + req.url;
         }
+        
+        console.log(chalk.blue('🔐 Using OAuth2 Bearer token for authentication'));
+      } catch (error) {
+        console.error(chalk.red('❌ OAuth2 authentication failed:'), error);
+        return {
+          status: 401,
+          body: { error: 'OAuth2 authentication failed', details: error.message }
+        };
+      }
+    } else if (this.proxyConfig) {
+      // Fall back to legacy authentication
+      targetUrl = this.proxyConfig.baseUrl + req.url;
+      
+      // Prepare headers
+      headers = {
+        'User-Agent': req.headers['user-agent'] || this.proxyConfig.headers['User-Agent']
+      };
 
-        // Copy other configured headers
-        Object.keys(this.proxyConfig.headers).forEach(key => {
-          if (!['Authorization', 'Cookie', '__RequestVerificationToken', 'User-Agent'].includes(key)) {
-            headers[key] = this.proxyConfig.headers[key];
-          }
-        });
+      if (this.proxyConfig.useAuthorizationHeader) {
+        headers['Authorization'] = this.proxyConfig.headers['Authorization'];
+        console.log(chalk.blue('🔐 Using Authorization header for authentication (legacy)'));
       } else {
-        return res.status(503).json({ error: 'No proxy configuration available' });
+        headers['Cookie'] = this.proxyConfig.headers['Cookie'];
+        console.log(chalk.blue('🍪 Using Cookie header for authentication'));
       }
 
-      // Use exact headers from Dataverse REST Builder extension
-      const dataverseHeaders = {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json; charset=utf-8',
-        'OData-MaxVersion': '4.0',
-        'OData-Version': '4.0', 
-        'Prefer': 'odata.include-annotations=*'
-      };
-      
-      // Merge Dataverse headers with auth headers
-      headers = { ...headers, ...dataverseHeaders };
+      // Add RequestVerificationToken if available
+      if (this.proxyConfig.headers['__RequestVerificationToken']) {
+        headers['__RequestVerificationToken'] = this.proxyConfig.headers['__RequestVerificationToken'];
+        console.log(chalk.blue('🔒 Including RequestVerificationToken for CSRF protection'));
+      }
+
+      // Copy other configured headers
+      Object.keys(this.proxyConfig.headers).forEach(key => {
+        if (!['Authorization', 'Cookie', '__RequestVerificationToken', 'User-Agent'].includes(key)) {
+          headers[key] = this.proxyConfig.headers[key];
+        }
+      });
+    } else {
+      return { status: 503, body: { error: 'No proxy configuration available' } };
+    }
+
+    // Use exact headers from Dataverse REST Builder extension
+    const dataverseHeaders = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json; charset=utf-8',
+      'OData-MaxVersion': '4.0',
+      'OData-Version': '4.0', 
+      'Prefer': 'odata.include-annotations=*'
+    };
+    
+    // Merge Dataverse headers with auth headers
+    return { targetUrl, headers: { ...headers, ...dataverseHeaders } };
+  }
+
+  /**
+   * Send a request upstream; resolves to the axios response whatever its status
+   */
+  forward(req, { targetUrl, headers }) {
+    return axios({
+      method: req.method,
+      url: targetUrl,
+      headers: headers,
+      data: req.body,
+      timeout: 30000,
+      validateStatus: () => true // Don't throw on HTTP error status codes
+    });
+  }
+
+  /**
+   * Upstream response for a request made outside Express ({ method, baseUrl, url,
+   * originalUrl, headers, body }), e.g. to check a mock against the live API
+   */
+  async fetch(req) {
+    if (!this.isEnabled()) {
+      throw new Error('API proxy is not enabled');
+    }
+    const target = await this.resolveTarget(req);
+    if (target.status) {
+      throw new Error(target.body.error);
+    }
+    return this.forward(req, target);
+  }
+
+  async proxyRequest(req, res) {
+    if (!this.isEnabled()) {
+      return res.status(503).json({ error: 'API proxy is not enabled' });
+    }
+
+    try {
+      const target = await this.resolveTarget(req);
+      if (target.status) {
+        return res.status(target.status).json(target.body);
+      }
+      const { targetUrl } = target;
 
       console.log(chalk.blue(`🔀 Proxying ${req.method} ${req.url} to ${targetUrl}`));
+      res.locals.servedBy = { type: 'proxy', target: targetUrl };
 
-      const response = await axios({
-        method: req.method,
-        url: targetUrl,
-        headers: headers,
-        data: req.body,
-        timeout: 30000,
-        validateStatus: () => true // Don't throw on HTTP error status codes
-      });
+      const upstreamStarted = Date.now();
+      const response = await this.forward(req, target);
+      res.locals.timing = { ...res.locals.timing, upstream: Date.now() - upstreamStarted };
 
       // Forward response headers
       Object.keys(response.headers).forEach(key => {
@@ -179,6 +220,10 @@ class ApiProxy {
           console.log(chalk.gray(`   Returned ${response.data.value.length} records`));
         }
       }
+
+      if (this.recorder && this.recorder.isRecording()) {
+        await this.recorder.record(req, response, targetUrl);
+      }
       
       // Ensure we're sending JSON response properly
       if (typeof response.data === 'object') {
@@ -0,0 +1,286 @@
+const http = require('http');
+const axios = require('axios');
+const chalk = require('chalk');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+// Part response headers worth passing back to the client
+const RESPONSE_HEADERS = {
+  'content-type': 'Content-Type',
+  'odata-entityid': 'OData-EntityId',
+  'location': 'Location',
+  'odata-version': 'OData-Version',
+  'preference-applied': 'Preference-Applied'
+};
+
+// Outer request headers every part inherits (persona, auth)
+const INHERITED_HEADERS = ['cookie', 'authorization', 'x-mock-persona'];
+
+/**
+ * Dataverse /_api/$batch: splits the multipart/mixed body into its requests,
+ * replays each one against this server (table permissions, mocks, entity store,
+ * then the API proxy) and answers with a multipart/mixed batch response.
+ * Change sets run atomically against the entity store.
+ */
+class BatchHandler {
+  constructor(config, entityStore = null) {
+    this.config = config;
+    this.entityStore = entityStore;
+  }
+
+  static boundaryOf(contentType) {
+    const match = String(contentType || '').match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    return match ? (match[1] || match[2]) : null;
+  }
+
+  /**
+   * Split header block and body at the first blank line
+   */
+  static splitHeaders(text) {
+    const separator = text.match(/\r?\n\r?\n/);
+    const headerText = separator ? text.slice(0, separator.index) : text;
+    const body = separator ? text.slice(separator.index + separator[0].length) : '';
+    const headers = {};
+    headerText.split(/\r?\n/).filter(Boolean).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+    return { headerText, headers, body };
+  }
+
+  parseMultipart(body, boundary) {
+    return body.split(`--${boundary}`)
+      .slice(1)
+      .filter(chunk => !chunk.startsWith('--'))
+      .map(chunk => BatchHandler.splitHeaders(chunk.replace(/^\r?\n/, '').replace(/\r?\n$/, '')));
+  }
+
+  /**
+   * application/http part → { method, url, headers, body, contentId }
+   */
+  parseRequestPart(part) {
+    const lines = part.body.replace(/^\s+/, '');
+    const lineEnd = lines.search(/\r?\n/);
+    const requestLine = lineEnd === -1 ? lines : lines.slice(0, lineEnd);
+    const [method, url] = requestLine.split(/\s+/);
+    const { headers, body } = BatchHandler.splitHeaders(lineEnd === -1 ? '' : lines.slice(lineEnd).replace(/^\r?\n/, ''));
+
+    if (!method || !url) {
+      throw new Error(`Invalid batch request line: ${requestLine}`);
+    }
+    return { method: method.toUpperCase(), url, headers, body: body.trim(), contentId: part.headers['content-id'] || null };
+  }
+
+  /**
+   * Parse the batch body into a list of requests and change sets
+   */
+  parseBatch(body, boundary) {
+    return this.parseMultipart(body, boundary).map(part => {
+      const contentType = part.headers['content-type'] || '';
+      if (/^multipart\/mixed/i.test(contentType)) {
+        const changesetBoundary = BatchHandler.boundaryOf(contentType);
+        return { changeset: this.parseMultipart(part.body, changesetBoundary).map(inner => this.parseRequestPart(inner)) };
+      }
+      return { request: this.parseRequestPart(part) };
+    });
+  }
+
+  /**
+   * Absolute, Dataverse (/api/data/v9.x/), /_api and relative URLs → an /_api path;
+   * $<content-id> refers to the entity created earlier in the change set
+   */
+  resolveUrl(url, contentIds) {
+    let resolved = url.replace(/^\$(\w+)/, (match, id) => contentIds.get(id) || match);
+    if (/^https?:\/\//i.test(resolved)) {
+      const parsed = new URL(resolved);
+      resolved = parsed.pathname + parsed.search;
+    }
+    if (/^\/api\/data\/v[\d.]+\//i.test(resolved)) {
+      return resolved.replace(/^\/api\/data\/v[\d.]+\//i, '/_api/');
+    }
+    if (resolved.includes('/_api/')) {
+      return resolved.slice(resolved.indexOf('/_api/'));
+    }
+    return `/_api/${resolved.replace(/^\//, '')}`;
+  }
+
+  resolveBody(body, contentIds) {
+    if (!body || contentIds.size === 0) {
+      return body;
+    }
+    // "...@odata.bind": "$1" inside a change set
+    return body.replace(/"\$(\w+)"/g, (match, id) => (contentIds.has(id) ? JSON.stringify(this.resolveUrl(contentIds.get(id), new Map())) : match));
+  }
+
+  async execute(request, outerHeaders, contentIds) {
+    const apiPath = this.resolveUrl(request.url, contentIds);
+    const headers = { ...request.headers };
+    INHERITED_HEADERS.forEach(name => {
+      if (outerHeaders[name] && !headers[name]) {
+        headers[name] = outerHeaders[name];
+      }
+    });
+    delete headers['content-length'];
+    delete headers.host;
+
+    try {
+      const response = await axios({
+        method: request.method,
+        url: `http://${this.config.host}:${this.config.port}${apiPath}`,
+        headers,
+        data: request.body ? this.resolveBody(request.body, contentIds) : undefined,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true,
+        timeout: 30000
+      });
+
+      if (request.contentId && response.headers['odata-entityid']) {
+        contentIds.set(String(request.contentId), response.headers['odata-entityid']);
+      }
+      return { contentId: request.contentId, status: response.status, headers: response.headers, body: response.data || '' };
+    } catch (error) {
+      console.error(chalk.red(`❌ $batch part failed: ${request.method} ${apiPath}`), error.message);
+      return {
+        contentId: request.contentId,
+        status: 500,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ error: { code: '0x80040216', message: error.message } })
+      };
+    }
+  }
+
+  formatResponsePart(result) {
+    const lines = ['Content-Type: application/http', 'Content-Transfer-Encoding: binary'];
+    if (result.contentId) {
+      lines.push(`Content-ID: ${result.contentId}`);
+    }
+    lines.push('', `HTTP/1.1 ${result.status} ${http.STATUS_CODES[result.status] || ''}`.trim());
+    Object.entries(RESPONSE_HEADERS).forEach(([name, header]) => {
+      if (result.headers[name]) {
+        lines.push(`${header}: ${result.headers[name]}`);
+      }
+    });
+    lines.push('', result.body);
+    return lines.join('\r\n');
+  }
+
+  formatMultipart(parts, boundary) {
+    return parts.map(part => `--${boundary}\r\n${part}\r\n`).join('') + `--${boundary}--\r\n`;
+  }
+
+  /**
+   * Entity sets a change set can write: the ones its URLs address and the ones
+   * its @odata.bind and @odata.id references point at
+   */
+  touchedSets(requests) {
+    const names = new Set();
+    const addReference = reference => {
+      const match = String(reference).match(/([A-Za-z_]\w*)\([^)]*\)\/?$/);
+      if (match) names.add(match[1].toLowerCase());
+    };
+
+    requests.forEach(request => {
+      const path = this.resolveUrl(request.url, new Map()).match(/^\/_api\/([A-Za-z_]\w*)/);
+      if (path) names.add(path[1].toLowerCase());
+
+      let body;
+      try {
+        body = request.body ? JSON.parse(request.body) : null;
+      } catch (error) {
+        return;
+      }
+      Object.entries(body && typeof body === 'object' ? body : {})
+        .filter(([key]) => key.endsWith('@odata.bind') || key === '@odata.id')
+        .forEach(([, value]) => [].concat(value).forEach(addReference));
+    });
+    return [...names];
+  }
+
+  /**
+   * Run a change set; on the first failure the entity store rolls back the sets
+   * it touched and the failed response replaces the whole change set, as
+   * Dataverse does. Parts that went through the API proxy cannot be rolled back.
+   */
+  async executeChangeset(requests, outerHeaders) {
+    const contentIds = new Map();
+    let snapshot = null;
+    if (this.entityStore) {
+      await this.entityStore.loadSets();
+      snapshot = this.entityStore.snapshot(this.touchedSets(requests));
+    }
+    const results = [];
+
+    for (const request of requests) {
+      const result = await this.execute(request, outerHeaders, contentIds);
+      if (result.status >= 400) {
+        if (snapshot) {
+          this.entityStore.restore(snapshot);
+        }
+        console.log(chalk.yellow(`⚠️  $batch change set rolled back: ${request.method} ${request.url} returned ${result.status}`));
+        return { failed: true, part: this.formatResponsePart(result) };
+      }
+      results.push(result);
+    }
+
+    const boundary = `changesetresponse_${uuidv4()}`;
+    const body = this.formatMultipart(results.map(result => this.formatResponsePart(result)), boundary);
+    return { failed: false, part: `Content-Type: multipart/mixed; boundary=${boundary}\r\n\r\n${body}` };
+  }
+
+  middleware() {
+    const router = express.Router();
+
+    router.post(/^\/\$batch\/?$/, express.text({ type: 'multipart/mixed', limit: '50mb' }), async (req, res) => {
+      const boundary = BatchHandler.boundaryOf(req.headers['content-type']);
+      if (!boundary || typeof req.body !== 'string') {
+        return res.status(400).json({ error: { code: '0x80060888', message: 'A $batch request must be multipart/mixed with a boundary.' } });
+      }
+
+      let items;
+      try {
+        items = this.parseBatch(req.body, boundary);
+      } catch (error) {
+        return res.status(400).json({ error: { code: '0x80060888', message: error.message } });
+      }
+
+      res.locals.servedBy = { type: 'batch', parts: items.length };
+      const outerHeaders = { ...req.headers };
+      if (req.persona && !outerHeaders['x-mock-persona']) {
+        outerHeaders['x-mock-persona'] = req.persona.key;
+      }
+      const continueOnError = /odata\.continue-on-error/i.test(String(req.headers.prefer || ''));
+      const count = items.reduce((sum, item) => sum + (item.changeset ? item.changeset.length : 1), 0);
+      console.log(chalk.blue(`📨 $batch: ${count} request(s) in ${items.length} part(s)`));
+
+      const parts = [];
+      for (const item of items) {
+        let failed;
+        if (item.changeset) {
+          const result = await this.executeChangeset(item.changeset, outerHeaders);
+          parts.push(result.part);
+          failed = result.failed;
+        } else {
+          const result = await this.execute(item.request, outerHeaders, new Map());
+          parts.push(this.formatResponsePart(result));
+          failed = result.status >= 400;
+        }
+        if (failed && !continueOnError) {
+          break;
+        }
+      }
+
+      const responseBoundary = `batchresponse_${uuidv4()}`;
+      res.status(200)
+        .set('Content-Type', `multipart/mixed; boundary=${responseBoundary}`)
+        .set('OData-Version', '4.0')
+        .send(this.formatMultipart(parts, responseBoundary));
+    });
+
+    return router;
+  }
+}
+
+module.exports = BatchHandler;
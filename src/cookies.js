@@ -0,0 +1,24 @@
+/**
+ * Reads single cookies from the Cookie header. Only the requested value is
+ * decoded, so a malformed %-sequence in some unrelated localhost cookie cannot
+ * break request handling; an undecodable value is returned as sent.
+ */
+class Cookies {
+  static get(req, name) {
+    const header = (req.headers && req.headers.cookie) || '';
+    for (const pair of header.split(';')) {
+      const index = pair.indexOf('=');
+      if (index > 0 && pair.slice(0, index).trim() === name) {
+        const value = pair.slice(index + 1).trim();
+        try {
+          return decodeURIComponent(value);
+        } catch (error) {
+          return value;
+        }
+      }
+    }
+    return undefined;
+  }
+}
+
+module.exports = Cookies;
@@ -0,0 +1,97 @@
+const XmlParser = require('./xml-parser');
+
+/**
+ * Reads the parts of a Dataverse $metadata (CSDL) document that fixtures need:
+ * entity types with their keys, typed properties and navigation properties, and
+ * the entity sets that expose them. Base types are flattened into each type.
+ */
+class CsdlParser {
+  static find(element, name) {
+    const found = [];
+    const walk = node => node.children.forEach(child => {
+      if (child.name === name) found.push(child);
+      walk(child);
+    });
+    walk(element);
+    return found;
+  }
+
+  /**
+   * "mscrm.account" or "Microsoft.Dynamics.CRM.account" → "account"
+   */
+  static typeName(qualified) {
+    return String(qualified || '').replace(/^Collection\((.*)\)$/, '$1').split('.').pop();
+  }
+
+  /**
+   * @returns {{ entityTypes: Map<string, Object>, entitySets: Map<string, Object> }}
+   *   entityTypes by name: { name, key, properties: [{ name, type, nullable, maxLength }],
+   *   navigation: [{ name, target, collection, partner, localKey, referencedKey }] };
+   *   entitySets by name: { name, entityType }
+   */
+  static parse(xml) {
+    const document = XmlParser.parse(xml);
+    if (CsdlParser.find(document, 'Schema').length === 0) {
+      throw new Error('Not a CSDL document: no <Schema> element found');
+    }
+
+    const declared = new Map();
+    CsdlParser.find(document, 'EntityType').forEach(element => {
+      const key = CsdlParser.find(element, 'PropertyRef').map(ref => ref.attributes.Name);
+      declared.set(element.attributes.Name, {
+        name: element.attributes.Name,
+        baseType: element.attributes.BaseType ? CsdlParser.typeName(element.attributes.BaseType) : null,
+        abstract: element.attributes.Abstract === 'true',
+        key: key[0] || null,
+        properties: element.children.filter(child => child.name === 'Property').map(child => ({
+          name: child.attributes.Name,
+          type: child.attributes.Type,
+          nullable: child.attributes.Nullable !== 'false',
+          maxLength: child.attributes.MaxLength && child.attributes.MaxLength !== 'max' ? Number(child.attributes.MaxLength) : null
+        })),
+        navigation: element.children.filter(child => child.name === 'NavigationProperty').map(child => {
+          const constraint = child.children.find(grandchild => grandchild.name === 'ReferentialConstraint');
+          return {
+            name: child.attributes.Name,
+            target: CsdlParser.typeName(child.attributes.Type),
+            collection: /^Collection\(/.test(child.attributes.Type || ''),
+            partner: child.attributes.Partner || null,
+            localKey: constraint ? constraint.attributes.Property : null,
+            referencedKey: constraint ? constraint.attributes.ReferencedProperty : null
+          };
+        })
+      });
+    });
+
+    const entityTypes = new Map();
+    const flatten = (name, seen = new Set()) => {
+      if (entityTypes.has(name)) return entityTypes.get(name);
+      const type = declared.get(name);
+      if (!type || seen.has(name)) return null;
+      seen.add(name);
+      const base = type.baseType ? flatten(type.baseType, seen) : null;
+      const flattened = {
+        name: type.name,
+        abstract: type.abstract,
+        key: type.key || (base && base.key),
+        properties: [...(base ? base.properties : []), ...type.properties],
+        navigation: [...(base ? base.navigation : []), ...type.navigation]
+      };
+      entityTypes.set(name, flattened);
+      return flattened;
+    };
+    declared.forEach((type, name) => flatten(name));
+
+    const entitySets = new Map();
+    CsdlParser.find(document, 'EntitySet').forEach(element => {
+      entitySets.set(element.attributes.Name, {
+        name: element.attributes.Name,
+        entityType: CsdlParser.typeName(element.attributes.EntityType)
+      });
+    });
+
+    return { entityTypes, entitySets };
+  }
+}
+
+module.exports = CsdlParser;
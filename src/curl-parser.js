@@ -0,0 +1,136 @@
+const { URL } = require('url');
+const chalk = require('chalk');
+
+/**
+ * cURL command (as copied from browser dev tools) → request details for a mock
+ */
+class CurlParser {
+  static parse(curlCommand) {
+    // Clean and normalize the command - handle multiline with backslashes
+    let cleanCommand = curlCommand.trim();
+
+    // Remove line breaks and backslashes for multiline cURL commands
+    cleanCommand = cleanCommand.replace(/\\\s*\n\s*/g, ' ').replace(/\s+/g, ' ');
+
+    if (cleanCommand.startsWith('curl')) {
+      cleanCommand = cleanCommand.substring(4).trim();
+    }
+
+    const result = {
+      method: 'GET',
+      url: '',
+      endpoint: '',
+      headers: {},
+      body: null,
+      queryParams: {}
+    };
+
+    try {
+      // Extract URL - look for first quoted string or first URL-like string
+      let urlMatch = cleanCommand.match(/'([^']+)'/) || cleanCommand.match(/"([^"]+)"/);
+      if (!urlMatch) {
+        // Try unquoted URL starting with http
+        urlMatch = cleanCommand.match(/(https?:\/\/[^\s]+)/);
+      }
+
+      if (urlMatch) {
+        let url = urlMatch[1];
+        // Remove any trailing parameters that might have been included
+        url = url.split(' ')[0];
+        result.url = url;
+
+        try {
+          const urlObj = new URL(url);
+          result.endpoint = urlObj.pathname + urlObj.search;
+
+          // Extract query parameters
+          for (const [key, value] of urlObj.searchParams) {
+            result.queryParams[key] = value;
+          }
+        } catch (e) {
+          // If not a full URL, treat as endpoint
+          result.endpoint = url.startsWith('/') ? url : '/' + url;
+        }
+      }
+
+      // Parse headers using regex to handle quoted values properly
+      const headerRegex = /-H\s+['"]([^:]+):\s*([^'"]*)['"/]/g;
+      let headerMatch;
+      while ((headerMatch = headerRegex.exec(cleanCommand)) !== null) {
+        const key = headerMatch[1].trim();
+        const value = headerMatch[2].trim();
+        if (key && value) {
+          result.headers[key] = value;
+        }
+      }
+
+      // Also try without quotes for headers
+      const headerRegex2 = /-H\s+'([^']+)'/g;
+      let headerMatch2;
+      while ((headerMatch2 = headerRegex2.exec(cleanCommand)) !== null) {
+        const headerStr = headerMatch2[1];
+        const colonIndex = headerStr.indexOf(':');
+        if (colonIndex > -1) {
+          const key = headerStr.substring(0, colonIndex).trim();
+          const value = headerStr.substring(colonIndex + 1).trim();
+          result.headers[key] = value;
+        }
+      }
+
+      // Parse method
+      const methodMatch = cleanCommand.match(/-X\s+([A-Z]+)/);
+      if (methodMatch) {
+        result.method = methodMatch[1].toUpperCase();
+      }
+
+      // Parse cookies (-b flag)
+      const cookieMatch = cleanCommand.match(/-b\s+['"]([^'"]*)['"]/);
+      if (cookieMatch) {
+        result.headers['Cookie'] = cookieMatch[1];
+      }
+
+      // Parse data/body
+      const dataMatch = cleanCommand.match(/-d\s+['"]([^'"]*)['"]/) ||
+        cleanCommand.match(/--data\s+['"]([^'"]*)['"]/) ||
+        cleanCommand.match(/--data-raw\s+['"]([^'"]*)['"]/);
+      if (dataMatch) {
+        const data = dataMatch[1];
+        try {
+          result.body = JSON.parse(data);
+        } catch {
+          result.body = data;
+        }
+        // If data is present and method is still GET, change to POST
+        if (result.method === 'GET') {
+          result.method = 'POST';
+        }
+      }
+
+    } catch (error) {
+      console.log(chalk.yellow('Warning: Could not fully parse cURL command. Using basic extraction.'));
+      console.log(chalk.gray('Error:', error.message));
+
+      // Fallback: try to at least extract the URL
+      const simpleUrlMatch = cleanCommand.match(/(https?:\/\/[^\s'"]+)/);
+      if (simpleUrlMatch) {
+        result.url = simpleUrlMatch[1];
+        try {
+          const urlObj = new URL(result.url);
+          result.endpoint = urlObj.pathname + urlObj.search;
+        } catch {
+          result.endpoint = '/api/fallback';
+        }
+      }
+    }
+
+    // Ensure we have at least a basic endpoint
+    if (!result.endpoint && !result.url) {
+      result.endpoint = '/api/mock-endpoint';
+      result.url = 'http://localhost:3000/api/mock-endpoint';
+    }
+
+    return result;
+  }
+}
+
+module.exports = CurlParser;
@@ -0,0 +1,676 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const ODataQuery = require('./odata-query');
+
+const FIRST_VERSION = 1000000;
+
+// /_api/<entityset>, /<entityset>(<key>), /<entityset>(<key>)/<property> and .../<navigation>[(<key>)]/$ref
+const ENTITY_PATH = /^\/([A-Za-z_][\w]*)(?:\(([^)]*)\))?(?:\/([A-Za-z_][\w]*)(?:\(([^)]*)\))?)?(\/\$ref)?\/?$/;
+
+const FORMATTED_VALUE = '@OData.Community.Display.V1.FormattedValue';
+const LOOKUP_LOGICAL_NAME = '@Microsoft.Dynamics.CRM.lookuplogicalname';
+const ASSOCIATED_NAVIGATION = '@Microsoft.Dynamics.CRM.associatednavigationproperty';
+const BIND_SUFFIX = '@odata.bind';
+
+// Columns tried, in order, for a lookup's formatted value when the seed has no primaryName
+const PRIMARY_NAME_COLUMNS = ['fullname', 'name', 'title', 'subject'];
+
+/**
+ * In-memory Dataverse emulator for /_api: GET/POST/PATCH/PUT/DELETE on any entity
+ * set, seeded from JSON fixtures in mocks/entities/<entityset>.json. Seed files are
+ * either an array of records or { key, navigation, value: [...] }.
+ */
+class EntityStore {
+  constructor(config) {
+    this.config = config;
+    this.seedPath = path.resolve(__dirname, '..', (config.entityStore && config.entityStore.seedPath) || 'mocks/entities');
+    this.sets = null;
+    this.version = FIRST_VERSION;
+    this.seedWatcher = null;
+  }
+
+  isEnabled() {
+    return !this.config.entityStore || this.config.entityStore.enabled !== false;
+  }
+
+  /**
+   * Reset the store when a seed file changes; started by the server, closed on shutdown
+   */
+  watchSeeds() {
+    if (this.seedWatcher || !fs.existsSync(this.seedPath)) {
+      return;
+    }
+    this.seedWatcher = fs.watch(this.seedPath, (eventType, filename) => {
+      if (filename && filename.endsWith('.json')) {
+        console.log(chalk.blue(`🔄 Entity seed ${filename} changed, resetting entity store...`));
+        this.reset();
+      }
+    });
+  }
+
+  unwatchSeeds() {
+    if (this.seedWatcher) {
+      this.seedWatcher.close();
+      this.seedWatcher = null;
+    }
+  }
+
+  /**
+   * Entity sets keyed by lower-cased name: { name, key, navigation, records: Map, seeded }
+   */
+  async loadSets() {
+    if (this.sets) {
+      return this.sets;
+    }
+
+    const sets = new Map();
+    if (await fs.pathExists(this.seedPath)) {
+      for (const file of await fs.readdir(this.seedPath)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const seed = await fs.readJson(path.join(this.seedPath, file));
+          const name = file.replace(/\.json$/, '');
+          const records = Array.isArray(seed) ? seed : (seed.value || []);
+          const set = this.createSet(name, seed.key || ODataQuery.guessKeyProperty(name, records), seed.navigation, seed.primaryName);
+          set.seeded = true;
+          records.forEach(record => {
+            const id = record[set.key] || uuidv4();
+            set.records.set(String(id).toLowerCase(), this.stamp({ ...record, [set.key]: id }, record['@odata.etag']));
+          });
+          sets.set(name.toLowerCase(), set);
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️  Could not load entity seed ${file}: ${error.message}`));
+        }
+      }
+    }
+
+    this.sets = sets;
+    if (sets.size > 0) {
+      const total = Array.from(sets.values()).reduce((sum, set) => sum + set.records.size, 0);
+      console.log(chalk.green(`🗃️  Entity store seeded: ${sets.size} entity set(s), ${total} record(s)`));
+    }
+    return sets;
+  }
+
+  createSet(name, key, navigation = {}, primaryName = null) {
+    return { name, key: key || ODataQuery.guessKeyProperty(name), navigation: navigation || {}, primaryName, records: new Map(), seeded: false };
+  }
+
+  /**
+   * Sets the store answers for: seeded ones and ones listed in entityStore.entitySets
+   */
+  async getSet(name) {
+    const sets = await this.loadSets();
+    const lower = name.toLowerCase();
+    if (sets.has(lower)) {
+      return sets.get(lower);
+    }
+
+    const configured = ((this.config.entityStore && this.config.entityStore.entitySets) || []).map(set => set.toLowerCase());
+    if (!configured.includes(lower)) {
+      return null;
+    }
+
+    const set = this.createSet(name);
+    sets.set(lower, set);
+    return set;
+  }
+
+  /**
+   * Bump the row version: @odata.etag and versionnumber
+   */
+  stamp(record, etag = null) {
+    const seeded = etag && parseInt(String(etag).replace(/\D/g, ''), 10);
+    this.version = Math.max(this.version + 1, seeded || 0);
+    record.versionnumber = this.version;
+    record['@odata.etag'] = `W/"${this.version}"`;
+    return record;
+  }
+
+  parseKey(rawKey) {
+    if (rawKey === undefined || rawKey === null || rawKey === '') {
+      return null;
+    }
+    // Alternate keys (name='value') are not supported; use the value
+    const value = rawKey.includes('=') ? rawKey.slice(rawKey.indexOf('=') + 1) : rawKey;
+    return value.replace(/^'|'$/g, '');
+  }
+
+  entityId(req, set, id) {
+    return `${ODataQuery.serviceRootOf(req)}/${set.name}(${id})`;
+  }
+
+  logicalName(set) {
+    return set.key.replace(/id$/, '');
+  }
+
+  findSetByLogicalName(logicalName) {
+    return Array.from(this.sets.values()).find(set => this.logicalName(set) === String(logicalName).toLowerCase()) || null;
+  }
+
+  primaryName(set, record) {
+    const column = set.primaryName ||
+      PRIMARY_NAME_COLUMNS.find(candidate => record[candidate] !== undefined) ||
+      Object.keys(record).find(candidate => /^[a-z0-9]+_name$/.test(candidate));
+    return column && record[column] !== undefined && record[column] !== null ? String(record[column]) : null;
+  }
+
+  // Lookups
+
+  /**
+   * "/accounts(<id>)" or an absolute entity URL → the target set and record; a
+   * target in a store-owned set has to exist, like a bind to a missing row fails in Dataverse
+   */
+  resolveReference(reference) {
+    const match = String(reference || '').match(/([A-Za-z_][\w]*)\(([^)]+)\)\/?$/);
+    if (!match) {
+      throw new ODataQuery.ODataError(`Invalid entity reference '${reference}'.`);
+    }
+
+    const entitySet = match[1];
+    const id = this.parseKey(match[2]);
+    const set = this.sets.get(entitySet.toLowerCase()) || null;
+    const record = set ? set.records.get(id.toLowerCase()) || null : null;
+    const logicalName = set ? this.logicalName(set) : ODataQuery.guessKeyProperty(entitySet).replace(/id$/, '');
+
+    if (set && !record) {
+      throw new ODataQuery.ODataError(`${logicalName} With Id = ${id} Does Not Exist`, 404, '0x80040217');
+    }
+    return { entitySet, id: record ? record[set.key] : id, set, record, logicalName };
+  }
+
+  /**
+   * Lookup column behind a single-valued navigation property:
+   * declared localKey, parentcustomerid_account → _parentcustomerid_value, or _<navigation>_value
+   */
+  lookupColumn(set, record, navigation, target = null) {
+    const relationship = set.navigation[navigation];
+    if (relationship && relationship.localKey) {
+      return relationship.localKey;
+    }
+
+    const existing = Object.keys(record).find(key => key.endsWith(ASSOCIATED_NAVIGATION) && record[key] === navigation);
+    if (existing) {
+      return existing.split('@')[0];
+    }
+
+    let attribute = navigation.toLowerCase();
+    const suffix = target ? `_${target.logicalName}` : null;
+    if (suffix && attribute.endsWith(suffix) && /id$/.test(attribute.slice(0, -suffix.length))) {
+      attribute = attribute.slice(0, -suffix.length);
+    }
+    return `_${attribute}_value`;
+  }
+
+  writeLookup(record, column, navigation, target) {
+    this.clearLookup(record, column);
+    record[column] = target.id;
+    record[`${column}${LOOKUP_LOGICAL_NAME}`] = target.logicalName;
+    if (navigation) {
+      record[`${column}${ASSOCIATED_NAVIGATION}`] = navigation;
+    }
+    const name = target.record ? this.primaryName(target.set, target.record) : null;
+    if (name !== null) {
+      record[`${column}${FORMATTED_VALUE}`] = name;
+    }
+  }
+
+  clearLookup(record, column) {
+    Object.keys(record).filter(key => key.startsWith(`${column}@`)).forEach(key => delete record[key]);
+    record[column] = null;
+  }
+
+  checkAssociation(set, navigation, target) {
+    const relationship = set.navigation[navigation];
+    if (!relationship || !relationship.foreignKey) {
+      throw new ODataQuery.ODataError(`Collection-valued navigation property '${navigation}' needs a foreignKey in the ${set.name} seed.`);
+    }
+    if (!target.record) {
+      throw new ODataQuery.ODataError(`Cannot associate ${target.entitySet}(${target.id}): the entity set is not served by the entity store.`);
+    }
+    return relationship;
+  }
+
+  /**
+   * Collection-valued navigation: point the target's foreign key at this record
+   */
+  associate(set, record, navigation, target) {
+    const relationship = this.checkAssociation(set, navigation, target);
+    const related = { ...target.record };
+    this.writeLookup(related, relationship.foreignKey, null, {
+      id: record[set.key], set, record, logicalName: this.logicalName(set)
+    });
+    target.set.records.set(String(target.id).toLowerCase(), this.stamp(related));
+  }
+
+  disassociate(set, navigation, target) {
+    const relationship = set.navigation[navigation];
+    if (!relationship || !relationship.foreignKey || !target.record) {
+      return;
+    }
+    const related = { ...target.record };
+    this.clearLookup(related, relationship.foreignKey);
+    target.set.records.set(String(target.id).toLowerCase(), this.stamp(related));
+  }
+
+  /**
+   * Split "<navigation>@odata.bind" entries out of a request body and resolve them
+   * before anything is written, so a bad reference leaves the store untouched
+   */
+  resolveBindings(set, body) {
+    const bindings = [];
+    Object.keys(body || {}).filter(key => key.endsWith(BIND_SUFFIX)).forEach(key => {
+      const navigation = key.slice(0, -BIND_SUFFIX.length);
+      const value = body[key];
+      if (Array.isArray(value)) {
+        value.forEach(reference => {
+          const target = this.resolveReference(reference);
+          this.checkAssociation(set, navigation, target);
+          bindings.push({ navigation, collection: true, target });
+        });
+      } else {
+        bindings.push({ navigation, collection: false, target: value === null ? null : this.resolveReference(value) });
+      }
+    });
+    return bindings;
+  }
+
+  applyBindings(set, record, bindings) {
+    bindings.filter(binding => !binding.collection).forEach(({ navigation, target }) => {
+      if (target) {
+        this.writeLookup(record, this.lookupColumn(set, record, navigation, target), navigation, target);
+      } else {
+        this.clearLookup(record, this.lookupColumn(set, record, navigation));
+      }
+    });
+  }
+
+  applyAssociations(set, record, bindings) {
+    bindings.filter(binding => binding.collection).forEach(({ navigation, target }) => this.associate(set, record, navigation, target));
+  }
+
+  sendError(res, status, code, message) {
+    res.status(status).json({ error: { code, message } });
+  }
+
+  notFound(res, set, id) {
+    this.sendError(res, 404, '0x80040217', `${this.logicalName(set)} With Id = ${id} Does Not Exist`);
+  }
+
+  /**
+   * If-Match: * or W/"<version>"; If-None-Match: * (create only)
+   */
+  checkPreconditions(req, res, record) {
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+
+    if (ifMatch && !record) {
+      this.sendError(res, 404, '0x80040217', 'The record does not exist and If-Match prevents creating it.');
+      return false;
+    }
+    if (ifMatch && ifMatch !== '*' && ifMatch !== record['@odata.etag']) {
+      this.sendError(res, 412, '0x80060882', 'The version of the existing record doesn\'t match the RowVersion property provided.');
+      return false;
+    }
+    if (ifNoneMatch === '*' && record) {
+      this.sendError(res, 412, '0x80040237', 'A record with matching key values already exists.');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Body columns to store: OData annotations other than the ones we own are kept as sent
+   */
+  toColumns(body) {
+    const columns = { ...(body || {}) };
+    delete columns['@odata.etag'];
+    delete columns['@odata.context'];
+    Object.keys(columns).filter(key => key.endsWith(BIND_SUFFIX)).forEach(key => delete columns[key]);
+    return columns;
+  }
+
+  queryOptions(req, set) {
+    const { maxPageSize, includeAnnotations } = ODataQuery.parsePreferHeader(req.headers.prefer);
+    return {
+      entitySet: set.name,
+      serviceRoot: ODataQuery.serviceRootOf(req),
+      keyProperty: set.key,
+      maxPageSize,
+      includeAnnotations,
+      navigationProperties: Object.keys(set.navigation),
+      resolveNavigation: this.navigationResolver(set)
+    };
+  }
+
+  /**
+   * $expand through the seed's navigation definitions, like MockMiddleware does for mocks
+   */
+  navigationResolver(set) {
+    return (record, property) => {
+      let relationship = set.navigation[property];
+      if (!relationship) {
+        // Lookups written through @odata.bind carry their navigation property and target table
+        const column = Object.keys(record).find(key => key.endsWith(ASSOCIATED_NAVIGATION) && record[key] === property);
+        const lookup = column && this.findSetByLogicalName(record[`${column.split('@')[0]}${LOOKUP_LOGICAL_NAME}`]);
+        relationship = lookup ? { entitySet: lookup.name, localKey: column.split('@')[0] } : null;
+      }
+
+      const target = relationship && this.sets.get(String(relationship.entitySet || '').toLowerCase());
+      if (!target) {
+        return undefined;
+      }
+
+      const same = (a, b) => a !== undefined && a !== null && String(a).toLowerCase() === String(b).toLowerCase();
+      const records = Array.from(target.records.values());
+      const value = relationship.foreignKey
+        ? records.filter(candidate => same(candidate[relationship.foreignKey], record[relationship.localKey || set.key]))
+        : records.find(candidate => same(candidate[target.key], record[relationship.localKey])) || null;
+
+      return {
+        value,
+        set: target,
+        keyProperty: target.key,
+        navigationProperties: Object.keys(target.navigation),
+        resolveNavigation: this.navigationResolver(target)
+      };
+    };
+  }
+
+  respondWithRecord(req, res, set, record, status) {
+    const query = new ODataQuery(req.query);
+    const options = this.queryOptions(req, set);
+    res.status(status).json({
+      '@odata.context': `${options.serviceRoot}/$metadata#${set.name}/$entity`,
+      ...query.shapeRecord(record, options)
+    });
+  }
+
+  wantsRepresentation(req) {
+    return /return\s*=\s*representation/i.test(String(req.headers.prefer || ''));
+  }
+
+  // Handlers
+
+  handleGet(req, res, set, id, property) {
+    const query = new ODataQuery(req.query);
+    if (id === null) {
+      return res.json(query.applyToCollection(Array.from(set.records.values()), this.queryOptions(req, set)));
+    }
+
+    const record = set.records.get(id.toLowerCase());
+    if (!record) {
+      return this.notFound(res, set, id);
+    }
+    if (property) {
+      const options = this.queryOptions(req, set);
+      const navigation = options.resolveNavigation(record, property);
+      if (navigation) {
+        const collection = Array.isArray(navigation.value);
+        const target = navigation.set;
+        if (collection) {
+          return res.json(query.applyToCollection(navigation.value, this.queryOptions(req, target)));
+        }
+        return navigation.value ? this.respondWithRecord(req, res, target, navigation.value, 200) : res.status(204).end();
+      }
+      return res.json({ '@odata.context': `${options.serviceRoot}/$metadata#${set.name}(${id})/${property}`, value: record[property] === undefined ? null : record[property] });
+    }
+    this.respondWithRecord(req, res, set, record, 200);
+  }
+
+  handleCreate(req, res, set) {
+    const columns = this.toColumns(req.body);
+    const bindings = this.resolveBindings(set, req.body);
+    const id = String(columns[set.key] || uuidv4());
+    if (set.records.has(id.toLowerCase())) {
+      return this.sendError(res, 412, '0x80040237', 'A record with matching key values already exists.');
+    }
+
+    const now = new Date().toISOString();
+    const record = { createdon: now, modifiedon: now, ...columns, [set.key]: id };
+    this.applyBindings(set, record, bindings);
+    set.records.set(id.toLowerCase(), this.stamp(record));
+    this.applyAssociations(set, record, bindings);
+    console.log(chalk.blue(`🗃️  Entity store: created ${set.name}(${id})`));
+
+    res.setHeader('OData-EntityId', this.entityId(req, set, id));
+    if (this.wantsRepresentation(req)) {
+      return this.respondWithRecord(req, res, set, record, 201);
+    }
+    res.status(204).end();
+  }
+
+  /**
+   * PATCH updates, or creates the record (upsert) when it does not exist
+   */
+  handleUpdate(req, res, set, id) {
+    const existing = set.records.get(id.toLowerCase());
+    if (!this.checkPreconditions(req, res, existing)) {
+      return;
+    }
+
+    const bindings = this.resolveBindings(set, req.body);
+    const now = new Date().toISOString();
+    const record = {
+      ...(existing || { createdon: now }),
+      ...this.toColumns(req.body),
+      [set.key]: existing ? existing[set.key] : id,
+      modifiedon: now
+    };
+    this.applyBindings(set, record, bindings);
+    set.records.set(id.toLowerCase(), this.stamp(record));
+    this.applyAssociations(set, record, bindings);
+    console.log(chalk.blue(`🗃️  Entity store: ${existing ? 'updated' : 'upserted'} ${set.name}(${id})`));
+
+    res.setHeader('OData-EntityId', this.entityId(req, set, id));
+    if (this.wantsRepresentation(req)) {
+      return this.respondWithRecord(req, res, set, record, existing ? 200 : 201);
+    }
+    res.status(204).end();
+  }
+
+  /**
+   * PUT /<set>(<id>)/<column> with { value } sets a single column; DELETE on a column clears it
+   */
+  handleColumn(req, res, set, id, column) {
+    const existing = set.records.get(id.toLowerCase());
+    if (!existing) {
+      return this.notFound(res, set, id);
+    }
+    if (!this.checkPreconditions(req, res, existing)) {
+      return;
+    }
+
+    const value = req.method === 'DELETE' ? null : (req.body && req.body.value !== undefined ? req.body.value : null);
+    set.records.set(id.toLowerCase(), this.stamp({ ...existing, [column]: value, modifiedon: new Date().toISOString() }));
+    res.status(204).end();
+  }
+
+  /**
+   * $ref: POST associates to a collection, PUT sets a lookup, DELETE removes either
+   */
+  handleReference(req, res, set, id, navigation, navigationKey) {
+    const existing = set.records.get(id.toLowerCase());
+    if (!existing) {
+      return this.notFound(res, set, id);
+    }
+
+    const record = { ...existing, modifiedon: new Date().toISOString() };
+    const reference = req.method === 'DELETE' ? (req.query.$id || null) : (req.body && req.body['@odata.id']);
+    if (req.method !== 'DELETE' && !reference) {
+      return this.sendError(res, 400, '0x80060888', 'The request body must contain an @odata.id reference.');
+    }
+
+    const relationship = set.navigation[navigation];
+    if (req.method === 'POST') {
+      this.associate(set, record, navigation, this.resolveReference(reference));
+    } else if (req.method === 'PUT') {
+      const target = this.resolveReference(reference);
+      this.writeLookup(record, this.lookupColumn(set, record, navigation, target), navigation, target);
+    } else if (navigationKey || reference) {
+      const targetSet = relationship && relationship.entitySet;
+      this.disassociate(set, navigation, this.resolveReference(reference || `/${targetSet}(${navigationKey})`));
+    } else {
+      this.clearLookup(record, this.lookupColumn(set, record, navigation));
+    }
+
+    set.records.set(id.toLowerCase(), this.stamp(record));
+    console.log(chalk.blue(`🗃️  Entity store: ${req.method === 'DELETE' ? 'disassociated' : 'associated'} ${set.name}(${id})/${navigation}`));
+    res.status(204).end();
+  }
+
+  handleDelete(req, res, set, id) {
+    const existing = set.records.get(id.toLowerCase());
+    if (!existing) {
+      return this.notFound(res, set, id);
+    }
+    if (!this.checkPreconditions(req, res, existing)) {
+      return;
+    }
+
+    set.records.delete(id.toLowerCase());
+    console.log(chalk.blue(`🗃️  Entity store: deleted ${set.name}(${id})`));
+    res.status(204).end();
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.isEnabled()) {
+        return next();
+      }
+
+      const match = req.path.match(ENTITY_PATH);
+      if (!match) {
+        return next();
+      }
+
+      try {
+        const [, setName, rawKey, property, rawNavigationKey, reference] = match;
+        const set = await this.getSet(setName);
+        if (!set) {
+          return next();
+        }
+
+        const id = this.parseKey(rawKey);
+        res.setHeader('OData-Version', '4.0');
+        res.locals.servedBy = { type: 'entity-store', entitySet: setName };
+
+        if (reference) {
+          if (id === null || !property || !['POST', 'PUT', 'DELETE'].includes(req.method)) {
+            return this.sendError(res, 405, '0x8006088a', `${req.method} is not supported on ${req.path}.`);
+          }
+          return this.handleReference(req, res, set, id, property, this.parseKey(rawNavigationKey));
+        }
+        if (rawNavigationKey !== undefined) {
+          return next();
+        }
+
+        switch (req.method) {
+          case 'GET':
+            return this.handleGet(req, res, set, id, property);
+          case 'POST':
+            if (id !== null) break;
+            return this.handleCreate(req, res, set);
+          case 'PATCH':
+            if (id === null || property) break;
+            return this.handleUpdate(req, res, set, id);
+          case 'PUT':
+            if (id === null || !property) break;
+            return this.handleColumn(req, res, set, id, property);
+          case 'DELETE':
+            if (id === null) break;
+            return property ? this.handleColumn(req, res, set, id, property) : this.handleDelete(req, res, set, id);
+          default:
+            return next();
+        }
+        this.sendError(res, 405, '0x8006088a', `${req.method} is not supported on ${req.path}.`);
+      } catch (error) {
+        if (error instanceof ODataQuery.ODataError) {
+          return res.status(error.status).json(error.toJSON());
+        }
+        console.error(chalk.red('❌ Entity store error:'), error);
+        this.sendError(res, 500, '0x80040216', error.message);
+      }
+    };
+  }
+
+  /**
+   * Dataverse's 404 for entity sets nothing else served; mounted last when no
+   * API proxy is behind the store, so a mistyped set name fails instead of
+   * answering as an empty table
+   */
+  unknownSetFallback() {
+    return (req, res, next) => {
+      const match = req.path.match(ENTITY_PATH);
+      if (!this.isEnabled() || !match) {
+        return next();
+      }
+      res.locals.servedBy = { type: 'entity-store', entitySet: match[1] };
+      this.sendError(res, 404, '0x8006088a', `Resource not found for the segment '${match[1]}'.`);
+    };
+  }
+
+  /**
+   * /_mock-admin/entities: inspect and reset the store
+   */
+  router() {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+      const sets = await this.loadSets();
+      res.json(Array.from(sets.values()).map(set => ({
+        name: set.name,
+        key: set.key,
+        seeded: set.seeded,
+        records: set.records.size
+      })));
+    });
+
+    router.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true, message: 'Entity store reset to its seed data' });
+    });
+
+    return router;
+  }
+
+  /**
+   * Copy of the named sets' records, for rolling back a $batch change set;
+   * null marks a set that does not exist yet. Call loadSets() first.
+   */
+  snapshot(names) {
+    return new Map(names.map(name => name.toLowerCase()).map(name => {
+      const set = this.sets && this.sets.get(name);
+      return [name, set ? {
+        ...set,
+        records: new Map(Array.from(set.records.entries()).map(([id, record]) => [id, JSON.parse(JSON.stringify(record))]))
+      } : null];
+    }));
+  }
+
+  /**
+   * Put back only the sets in the snapshot, so writes to other sets made meanwhile survive
+   */
+  restore(snapshot) {
+    if (!this.sets) {
+      return;
+    }
+    snapshot.forEach((set, name) => {
+      if (set) {
+        this.sets.set(name, set);
+      } else {
+        this.sets.delete(name);
+      }
+    });
+  }
+
+  reset() {
+    this.sets = null;
+    this.version = FIRST_VERSION;
+  }
+}
+
+module.exports = EntityStore;
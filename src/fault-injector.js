@@ -0,0 +1,283 @@
+const http = require('http');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const express = require('express');
+
+const FAULT_TYPES = ['error', 'throttle', 'timeout', 'drop', 'trickle'];
+
+// Dataverse error codes for simulated statuses; anything else is a generic failure
+const ERROR_CODES = {
+  400: '0x80040203',
+  403: '0x80040220',
+  404: '0x80040217',
+  412: '0x80060882',
+  429: '0x80072322',
+  500: '0x80040216',
+  503: '0x80040216'
+};
+
+/**
+ * Per-route chaos for /_api and /api: latency, Dataverse-shaped errors,
+ * 429 throttling, timeouts, dropped connections and slow bodies. Runs before
+ * the mocks, the entity store and the API proxy, so all of them are affected.
+ * Rules come from config.json (mocks.faults) and /_mock-admin/faults and live
+ * in memory.
+ */
+class FaultInjector {
+  constructor(config) {
+    this.config = config;
+    this.rules = [];
+    (config.faults || []).forEach(rule => {
+      try {
+        this.addRule(rule);
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Ignoring fault rule ${JSON.stringify(rule)}: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Normalize a rule, throwing on anything that cannot be simulated
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('A fault rule must be an object');
+    }
+    const latency = rule.latency === undefined || typeof rule.latency === 'object' ? rule.latency : { fixed: rule.latency };
+    if (latency && !['fixed', 'min', 'mean'].some(key => typeof latency[key] === 'number')) {
+      throw new Error('latency needs "fixed", "min"/"max" or "mean"/"stddev" in milliseconds');
+    }
+    if (!latency && !rule.fault) {
+      throw new Error('A fault rule needs "latency", "fault" or both');
+    }
+    if (rule.fault && !FAULT_TYPES.includes(rule.fault.type)) {
+      throw new Error(`fault.type must be one of: ${FAULT_TYPES.join(', ')}`);
+    }
+    const statuses = rule.fault && rule.fault.type === 'error' ? [].concat(rule.fault.status || 500) : [];
+    if (statuses.some(status => !Number.isInteger(status) || status < 400 || status > 599)) {
+      throw new Error('fault.status must be a 4xx/5xx status or a list of them');
+    }
+    if (rule.probability !== undefined && !(rule.probability >= 0 && rule.probability <= 1)) {
+      throw new Error('probability must be between 0 and 1');
+    }
+
+    return {
+      id: rule.id || crypto.randomBytes(4).toString('hex'),
+      name: rule.name || null,
+      enabled: rule.enabled !== false,
+      method: (rule.method || '*').toUpperCase(),
+      path: rule.path || '*',
+      probability: rule.probability === undefined ? 1 : rule.probability,
+      ...(latency && { latency }),
+      ...(rule.fault && { fault: rule.fault }),
+      ...(rule.remaining !== undefined && { remaining: rule.remaining }),
+      hits: rule.hits || 0
+    };
+  }
+
+  addRule(rule) {
+    const normalized = this.validateRule(rule);
+    if (this.rules.some(existing => existing.id === normalized.id)) {
+      throw new Error(`A fault rule with id "${normalized.id}" already exists`);
+    }
+    this.rules.push(normalized);
+    return normalized;
+  }
+
+  static pathPattern(path) {
+    const pattern = path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  matches(rule, req) {
+    return rule.enabled &&
+      rule.remaining !== 0 &&
+      (rule.method === '*' || rule.method === req.method.toUpperCase()) &&
+      FaultInjector.pathPattern(rule.path).test(`${req.baseUrl}${req.path}`) &&
+      Math.random() < rule.probability;
+  }
+
+  /**
+   * Milliseconds to wait: fixed, uniform between min and max, or normal around mean
+   */
+  static sampleLatency(latency) {
+    if (typeof latency.fixed === 'number') {
+      return latency.fixed;
+    }
+    if (typeof latency.min === 'number') {
+      const max = typeof latency.max === 'number' ? latency.max : latency.min;
+      return latency.min + Math.random() * (max - latency.min);
+    }
+    // Box-Muller
+    const normal = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+    return Math.max(0, latency.mean + normal * (latency.stddev || 0));
+  }
+
+  static errorBody(status, code, message) {
+    return {
+      error: {
+        code: code || ERROR_CODES[status] || ERROR_CODES[500],
+        message: message || `${http.STATUS_CODES[status] || 'Error'} (simulated fault)`
+      }
+    };
+  }
+
+  sendError(res, fault) {
+    const statuses = [].concat(fault.status || 500);
+    const status = statuses[Math.floor(Math.random() * statuses.length)];
+    res.status(status).set('OData-Version', '4.0').json(FaultInjector.errorBody(status, fault.code, fault.message));
+  }
+
+  sendThrottle(res, fault) {
+    const retryAfter = fault.retryAfter === undefined ? 5 : fault.retryAfter;
+    res.status(429)
+      .set('Retry-After', String(retryAfter))
+      .set('OData-Version', '4.0')
+      .json(FaultInjector.errorBody(429, fault.code, fault.message ||
+        'Number of requests exceeded the limit of 6000 over time window of 300 seconds.'));
+  }
+
+  /**
+   * Never answer; the socket is closed after fault.duration (default two minutes)
+   */
+  holdRequest(req, res, fault) {
+    const timer = setTimeout(() => req.socket.destroy(), fault.duration || 120000);
+    req.on('close', () => clearTimeout(timer));
+  }
+
+  /**
+   * Let the request be handled normally, but send the body in small chunks
+   */
+  trickle(res, fault) {
+    const chunkSize = fault.chunkSize || 64;
+    const interval = fault.interval || Math.max(1, Math.round(chunkSize / (fault.bytesPerSecond || 256) * 1000));
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+    const chunks = [];
+
+    res.write = (chunk, encoding) => {
+      if (chunk) chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+      return true;
+    };
+    res.end = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+      }
+      const body = Buffer.concat(chunks);
+      let offset = 0;
+      const next = () => {
+        if (res.destroyed) return;
+        if (offset >= body.length) return end();
+        write(body.subarray(offset, offset + chunkSize));
+        // Push each chunk through compression instead of letting it buffer
+        if (typeof res.flush === 'function') res.flush();
+        offset += chunkSize;
+        setTimeout(next, interval);
+      };
+      next();
+      return res;
+    };
+  }
+
+  /**
+   * The first matching rule with latency sets the delay and the first matching
+   * rule with a fault decides the failure, so a global latency rule combines
+   * with route-specific faults
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const matched = this.rules.filter(candidate => this.matches(candidate, req));
+      if (matched.length === 0) {
+        return next();
+      }
+
+      matched.forEach(rule => {
+        rule.hits++;
+        if (typeof rule.remaining === 'number') {
+          rule.remaining--;
+        }
+      });
+
+      const latencyRule = matched.find(rule => rule.latency);
+      if (latencyRule) {
+        const delay = Math.round(FaultInjector.sampleLatency(latencyRule.latency));
+        console.log(chalk.yellow(`🐌 Fault "${latencyRule.name || latencyRule.id}": +${delay}ms on ${req.method} ${req.baseUrl}${req.path}`));
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      const rule = matched.find(candidate => candidate.fault);
+      if (!rule) {
+        return next();
+      }
+
+      console.log(chalk.yellow(`💥 Fault "${rule.name || rule.id}": ${rule.fault.type} on ${req.method} ${req.baseUrl}${req.path}`));
+      if (rule.fault.type !== 'trickle') {
+        res.locals.servedBy = { type: 'fault', rule: rule.name || rule.id, fault: rule.fault.type };
+      }
+      switch (rule.fault.type) {
+        case 'error':
+          return this.sendError(res, rule.fault);
+        case 'throttle':
+          return this.sendThrottle(res, rule.fault);
+        case 'timeout':
+          return this.holdRequest(req, res, rule.fault);
+        case 'drop':
+          return req.socket.destroy();
+        case 'trickle':
+          this.trickle(res, rule.fault);
+          return next();
+      }
+    };
+  }
+
+  /**
+   * Runtime rule management under /_mock-admin/faults
+   */
+  router() {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+      res.json({ rules: this.rules });
+    });
+
+    router.post('/', (req, res) => {
+      try {
+        res.status(201).json(this.addRule(req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    router.put('/:id', (req, res) => {
+      const index = this.rules.findIndex(rule => rule.id === req.params.id);
+      if (index === -1) {
+        return res.status(404).json({ error: 'Fault rule not found' });
+      }
+      try {
+        this.rules[index] = this.validateRule({ ...req.body, id: req.params.id });
+        res.json(this.rules[index]);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    router.delete('/:id', (req, res) => {
+      const index = this.rules.findIndex(rule => rule.id === req.params.id);
+      if (index === -1) {
+        return res.status(404).json({ error: 'Fault rule not found' });
+      }
+      this.rules.splice(index, 1);
+      res.json({ success: true, deleted: req.params.id });
+    });
+
+    router.delete('/', (req, res) => {
+      const count = this.rules.length;
+      this.rules = [];
+      res.json({ success: true, deleted: count });
+    });
+
+    return router;
+  }
+}
+
+module.exports = FaultInjector;
@@ -0,0 +1,259 @@
+const chalk = require('chalk');
+const XmlParser = require('./xml-parser');
+
+const GUID_PATTERN = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const FORMATTED_VALUE = '@OData.Community.Display.V1.FormattedValue';
+const LOOKUP_LOGICAL_NAME = '@Microsoft.Dynamics.CRM.lookuplogicalname';
+
+/**
+ * Minimal FetchXML support for the {% fetchxml %} tag: parses the query and
+ * converts it into a Dataverse Web API (OData) request for the local /_api,
+ * then shapes the response the way Power Pages exposes fetchxml results.
+ */
+class FetchXmlQuery {
+  constructor(xml) {
+    this.xml = xml;
+    const root = XmlParser.parse(xml, { lowerCase: true });
+    const fetch = root.name === 'fetch' ? root : root.children.find(child => child.name === 'fetch');
+    if (!fetch) {
+      throw new Error('FetchXML must contain a <fetch> element');
+    }
+
+    const entity = fetch.children.find(child => child.name === 'entity');
+    if (!entity || !entity.attributes.name) {
+      throw new Error('FetchXML must contain an <entity name="..."> element');
+    }
+
+    this.fetch = fetch;
+    this.entity = entity;
+    this.entityName = entity.attributes.name;
+    this.count = fetch.attributes.count ? parseInt(fetch.attributes.count, 10) : null;
+    this.top = fetch.attributes.top ? parseInt(fetch.attributes.top, 10) : null;
+    this.page = fetch.attributes.page ? Math.max(parseInt(fetch.attributes.page, 10), 1) : 1;
+    this.returnTotalRecordCount = fetch.attributes.returntotalrecordcount === 'true';
+  }
+
+  /**
+   * Dataverse entity set names are (almost always) the plural of the logical name
+   */
+  static toEntitySetName(logicalName) {
+    if (/[^aeiou]y$/.test(logicalName)) {
+      return logicalName.slice(0, -1) + 'ies';
+    }
+    if (/(s|x|z|ch|sh)$/.test(logicalName)) {
+      return logicalName + 'es';
+    }
+    return logicalName + 's';
+  }
+
+  get primaryIdAttribute() {
+    return `${this.entityName}id`;
+  }
+
+  /**
+   * Attributes compared against GUIDs are lookups, which OData addresses as _name_value
+   */
+  toODataAttribute(attribute, value) {
+    if (attribute !== this.primaryIdAttribute && typeof value === 'string' && GUID_PATTERN.test(value)) {
+      return `_${attribute}_value`;
+    }
+    return attribute;
+  }
+
+  formatLiteral(value) {
+    if (value === undefined || value === null) {
+      return 'null';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value) || value === 'true' || value === 'false') {
+      return value;
+    }
+    if (GUID_PATTERN.test(value)) {
+      return value.replace(/[{}]/g, '');
+    }
+    if (ISO_DATE_PATTERN.test(value)) {
+      return value;
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  conditionToOData(condition, userId) {
+    const { attribute, operator = 'eq' } = condition.attributes;
+    let value = condition.attributes.value;
+    const values = condition.children.filter(child => child.name === 'value').map(child => child.text);
+
+    if (operator === 'eq-userid' || operator === 'ne-userid') {
+      value = userId;
+    }
+
+    const field = this.toODataAttribute(attribute, value !== undefined ? value : values[0]);
+    const literal = this.formatLiteral(value);
+    const likeValue = String(value || '').replace(/'/g, "''");
+
+    switch (operator) {
+      case 'eq':
+      case 'eq-userid':
+        return `${field} eq ${literal}`;
+      case 'ne':
+      case 'neq':
+      case 'ne-userid':
+        return `${field} ne ${literal}`;
+      case 'gt':
+      case 'ge':
+      case 'lt':
+      case 'le':
+        return `${field} ${operator} ${literal}`;
+      case 'null':
+        return `${field} eq null`;
+      case 'not-null':
+        return `${field} ne null`;
+      case 'like':
+      case 'not-like': {
+        const trimmed = likeValue.replace(/^%|%$/g, '');
+        let expression = `contains(${field},'${trimmed}')`;
+        if (likeValue.startsWith('%') && !likeValue.endsWith('%')) {
+          expression = `endswith(${field},'${trimmed}')`;
+        } else if (!likeValue.startsWith('%') && likeValue.endsWith('%')) {
+          expression = `startswith(${field},'${trimmed}')`;
+        }
+        return operator === 'like' ? expression : `not ${expression}`;
+      }
+      case 'begins-with':
+        return `startswith(${field},'${likeValue}')`;
+      case 'ends-with':
+        return `endswith(${field},'${likeValue}')`;
+      case 'in':
+      case 'not-in': {
+        const expression = values.map(item => `${field} eq ${this.formatLiteral(item)}`).join(' or ');
+        return operator === 'in' ? `(${expression})` : `not (${expression})`;
+      }
+      default:
+        console.warn(chalk.yellow(`⚠️  Unsupported FetchXML operator "${operator}" on ${attribute}, condition ignored`));
+        return null;
+    }
+  }
+
+  filterToOData(filter, userId) {
+    const type = (filter.attributes.type || 'and').toLowerCase();
+    const parts = filter.children
+      .map(child => {
+        if (child.name === 'condition') return this.conditionToOData(child, userId);
+        if (child.name === 'filter') return this.filterToOData(child, userId);
+        return null;
+      })
+      .filter(Boolean);
+
+    if (parts.length === 0) {
+      return null;
+    }
+    return parts.length === 1 ? parts[0] : `(${parts.join(` ${type} `)})`;
+  }
+
+  /**
+   * Build the /_api path and query string, e.g. incidents?$select=title&$filter=statecode eq 0
+   */
+  toODataPath(userId = null) {
+    const params = [];
+    const children = this.entity.children;
+
+    if (!children.some(child => child.name === 'all-attributes')) {
+      const attributes = children.filter(child => child.name === 'attribute').map(child => child.attributes.name);
+      if (attributes.length > 0) {
+        params.push(`$select=${attributes.join(',')}`);
+      }
+    }
+
+    const filters = children
+      .filter(child => child.name === 'filter')
+      .map(filter => this.filterToOData(filter, userId))
+      .filter(Boolean);
+    if (filters.length > 0) {
+      params.push(`$filter=${encodeURIComponent(filters.join(' and '))}`);
+    }
+
+    const orders = children
+      .filter(child => child.name === 'order' && child.attributes.attribute)
+      .map(order => `${order.attributes.attribute}${order.attributes.descending === 'true' ? ' desc' : ' asc'}`);
+    if (orders.length > 0) {
+      params.push(`$orderby=${encodeURIComponent(orders.join(','))}`);
+    }
+
+    const limit = this.top || (this.count ? this.count * this.page : null);
+    if (limit) {
+      params.push(`$top=${limit}`);
+    }
+
+    if (this.returnTotalRecordCount) {
+      params.push('$count=true');
+    }
+
+    if (children.some(child => child.name === 'link-entity')) {
+      console.warn(chalk.yellow(`⚠️  FetchXML link-entity on ${this.entityName} is not translated to OData and was ignored`));
+    }
+
+    const entitySet = FetchXmlQuery.toEntitySetName(this.entityName);
+    return params.length > 0 ? `${entitySet}?${params.join('&')}` : entitySet;
+  }
+
+  /**
+   * Shape an OData collection response like the Power Pages fetchxml `results` object
+   */
+  toResults(odataResponse) {
+    const records = (odataResponse && Array.isArray(odataResponse.value)) ? odataResponse.value : [];
+    let entities = records.map(record => FetchXmlQuery.toLiquidEntity(record, this.entityName));
+    let moreRecords = Boolean(odataResponse && odataResponse['@odata.nextLink']);
+
+    if (this.count && !this.top) {
+      const start = (this.page - 1) * this.count;
+      moreRecords = moreRecords || entities.length > start + this.count;
+      entities = entities.slice(start, start + this.count);
+    }
+
+    const totalCount = odataResponse && odataResponse['@odata.count'] !== undefined
+      ? odataResponse['@odata.count']
+      : (this.returnTotalRecordCount ? records.length : -1);
+
+    return {
+      entities,
+      more_records: moreRecords,
+      paging_cookie: null,
+      total_record_count: totalCount
+    };
+  }
+
+  /**
+   * Convert an annotated OData record into a Liquid entity: lookups become
+   * { id, name, logical_name } and option sets { value, label }
+   */
+  static toLiquidEntity(record, logicalName) {
+    const entity = { logical_name: logicalName };
+
+    Object.keys(record).forEach(key => {
+      if (key.includes('@')) {
+        return;
+      }
+
+      const value = record[key];
+      const formatted = record[`${key}${FORMATTED_VALUE}`];
+      const lookupMatch = key.match(/^_(.+)_value$/);
+
+      if (lookupMatch) {
+        entity[lookupMatch[1]] = value === null ? null : {
+          id: value,
+          name: formatted || null,
+          logical_name: record[`${key}${LOOKUP_LOGICAL_NAME}`] || null
+        };
+      } else if (Number.isInteger(value) && formatted !== undefined && !/^[\d,.\s-]+$/.test(formatted)) {
+        entity[key] = { value, label: formatted };
+      } else {
+        entity[key] = value;
+      }
+    });
+
+    entity.id = record[`${logicalName}id`] || entity.id || null;
+    return entity;
+  }
+}
+
+module.exports = FetchXmlQuery;
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+
+const FORMATTED_VALUE = '@OData.Community.Display.V1.FormattedValue';
+const LOOKUP_LOGICAL_NAME = '@Microsoft.Dynamics.CRM.lookuplogicalname';
+const ASSOCIATED_NAVIGATION = '@Microsoft.Dynamics.CRM.associatednavigationproperty';
+
+// Columns tried, in order, for a table's primary name
+const PRIMARY_NAME_COLUMNS = ['fullname', 'name', 'title', 'subject'];
+
+// Labels used when config.json has none for an option set; $metadata carries no labels
+const DEFAULT_OPTION_SETS = {
+  statecode: { 0: 'Active' },
+  statuscode: { 1: 'Active' }
+};
+
+// System columns Dataverse usually returns empty
+const EMPTY_COLUMNS = new Set([
+  'importsequencenumber', 'overriddencreatedon', 'timezoneruleversionnumber', 'utcconversiontimezonecode', 'traversedpath'
+]);
+
+const FIRST_NAMES = ['Avery', 'Jordan', 'Riley', 'Morgan', 'Casey', 'Taylor', 'Quinn', 'Harper', 'Rowan', 'Emerson'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Okafor', 'Novak', 'Levi', 'Patel', 'Silva', 'Berg', 'Tanaka'];
+const COMPANIES = ['Contoso', 'Fabrikam', 'Northwind Traders', 'Adventure Works', 'Litware', 'Tailspin Toys', 'Wide World Importers', 'Proseware'];
+const CITIES = [['Seattle', 'WA'], ['Austin', 'TX'], ['Denver', 'CO'], ['Boston', 'MA'], ['Chicago', 'IL'], ['Portland', 'OR']];
+const STREETS = ['Main St', 'Oak Ave', 'Pine Rd', 'Maple Dr', 'Cedar Ln', 'Elm St'];
+
+const BASE_DATE = Date.UTC(2024, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Realistic Dataverse records for entity sets of a parsed $metadata document
+ * (see CsdlParser): typed columns, option set and lookup annotations, and
+ * lookups pointing at records generated for the other sets. Values are derived
+ * from the set name and row number, so regenerating gives the same data.
+ */
+class FixtureGenerator {
+  /**
+   * @param {Object} model - CsdlParser.parse() result
+   * @param {Object} [options]
+   * @param {number} [options.count=5] - Records per entity set
+   * @param {Object} [options.optionSets] - Labels by "table.column" or "column": { "1": "Question" }
+   */
+  constructor(model, options = {}) {
+    this.model = model;
+    this.count = options.count || 5;
+    this.optionSets = options.optionSets || {};
+  }
+
+  static hash(...parts) {
+    return parseInt(crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 8), 16);
+  }
+
+  static guid(...parts) {
+    const hex = crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${'89ab'[parseInt(hex[16], 16) % 4]}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  static pick(list, ...parts) {
+    return list[FixtureGenerator.hash(...parts) % list.length];
+  }
+
+  /**
+   * Entity set names or table logical names → entity set names; unknown names are returned separately
+   */
+  resolveSets(names) {
+    const resolved = [];
+    const unknown = [];
+    names.forEach(name => {
+      const set = this.model.entitySets.get(name) ||
+        Array.from(this.model.entitySets.values()).find(candidate =>
+          candidate.name.toLowerCase() === name.toLowerCase() || candidate.entityType.toLowerCase() === name.toLowerCase());
+      if (!set) {
+        unknown.push(name);
+      } else if (!resolved.includes(set.name)) {
+        resolved.push(set.name);
+      }
+    });
+    return { resolved, unknown };
+  }
+
+  entitySetOf(typeName) {
+    return Array.from(this.model.entitySets.values()).find(set => set.entityType === typeName) || null;
+  }
+
+  typeOf(setName) {
+    const set = this.model.entitySets.get(setName);
+    const type = set && this.model.entityTypes.get(set.entityType);
+    if (!type || !type.key) {
+      throw new Error(`Entity set ${setName} has no keyed entity type in $metadata`);
+    }
+    return type;
+  }
+
+  primaryNameOf(type) {
+    const names = type.properties.filter(property => property.type === 'Edm.String').map(property => property.name);
+    return PRIMARY_NAME_COLUMNS.find(column => names.includes(column)) ||
+      names.find(column => /^[a-z0-9]+_name$/.test(column)) ||
+      null;
+  }
+
+  optionSetFor(type, property) {
+    if (property.type !== 'Edm.Int32') {
+      return null;
+    }
+    const labels = this.optionSets[`${type.name}.${property.name}`] || this.optionSets[property.name] || DEFAULT_OPTION_SETS[property.name];
+    if (labels) {
+      return labels;
+    }
+    if (!/code$/.test(property.name) || EMPTY_COLUMNS.has(property.name)) {
+      return null;
+    }
+    // Custom choices start at 100000000
+    const first = /^[a-z0-9]+_/.test(property.name) ? 100000000 : 1;
+    return { [first]: 'Option 1', [first + 1]: 'Option 2', [first + 2]: 'Option 3' };
+  }
+
+  static label(type) {
+    const name = type.name.replace(/^[a-z0-9]+_(?=[a-z])/, '');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  static formatDate(time, withTime = true) {
+    const date = new Date(time);
+    const day = `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${date.getUTCFullYear()}`;
+    if (!withTime) {
+      return day;
+    }
+    const hours = date.getUTCHours();
+    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+    return `${day} ${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+  }
+
+  person(setName, index) {
+    const first = FixtureGenerator.pick(FIRST_NAMES, setName, index, 'first');
+    const last = FixtureGenerator.pick(LAST_NAMES, setName, index, 'last');
+    return { first, last, full: `${first} ${last}`, email: `${first}.${last}${index + 1}@example.com`.toLowerCase() };
+  }
+
+  text(type, property, setName, index, primaryName) {
+    const name = property.name.replace(/^[a-z0-9]+_(?=[a-z])/, '');
+    const person = this.person(setName, index);
+    const city = FixtureGenerator.pick(CITIES, setName, index, 'city');
+
+    if (/email/.test(name)) return person.email;
+    if (name === 'firstname') return person.first;
+    if (name === 'lastname') return person.last;
+    if (name === 'fullname' || name === 'yomifullname') return person.full;
+    if (/telephone|phone|mobile|fax/.test(name)) return `555-01${String(FixtureGenerator.hash(setName, index, name) % 100).padStart(2, '0')}`;
+    if (/city$/.test(name)) return city[0];
+    if (/stateorprovince$/.test(name)) return city[1];
+    if (/country$/.test(name)) return 'United States';
+    if (/postalcode$/.test(name)) return String(10000 + FixtureGenerator.hash(setName, index, name) % 89999);
+    if (/line1$/.test(name)) return `${100 + FixtureGenerator.hash(setName, index, name) % 900} ${FixtureGenerator.pick(STREETS, setName, index, name)}`;
+    if (/url|website/.test(name)) return 'https://www.example.com';
+    if (/description|comments?$|notes?$|text$/.test(name)) return `Sample ${FixtureGenerator.label(type).toLowerCase()} description ${index + 1}.`;
+    if (property.name === primaryName) {
+      return type.name === 'account' ? FixtureGenerator.pick(COMPANIES, setName, index) : `${FixtureGenerator.label(type)} ${index + 1}`;
+    }
+    if (/number$/.test(name)) return `${type.name.replace(/^[a-z0-9]+_(?=[a-z])/, '').slice(0, 3).toUpperCase()}-${1000 + index}`;
+    return `${property.name} ${index + 1}`;
+  }
+
+  /**
+   * Column value and, where Dataverse sends one, its formatted value
+   */
+  value(type, property, setName, index, primaryName) {
+    const hash = FixtureGenerator.hash(setName, index, property.name);
+    if (EMPTY_COLUMNS.has(property.name)) {
+      return { value: null };
+    }
+
+    const labels = this.optionSetFor(type, property);
+    if (labels) {
+      const values = Object.keys(labels);
+      const chosen = values[hash % values.length];
+      return { value: Number(chosen), formatted: labels[chosen] };
+    }
+
+    switch (property.type) {
+      case 'Edm.String': {
+        const text = this.text(type, property, setName, index, primaryName);
+        return { value: property.maxLength ? text.slice(0, property.maxLength) : text };
+      }
+      case 'Edm.Guid':
+        return { value: FixtureGenerator.guid(setName, index, property.name) };
+      case 'Edm.Boolean':
+        return { value: hash % 2 === 0, formatted: hash % 2 === 0 ? 'Yes' : 'No' };
+      case 'Edm.Int32':
+      case 'Edm.Int16': {
+        const number = 1 + hash % 100;
+        return { value: number, formatted: number.toLocaleString('en-US') };
+      }
+      case 'Edm.Int64':
+        return { value: 100000 + hash % 900000 };
+      case 'Edm.Decimal':
+      case 'Edm.Double':
+      case 'Edm.Single': {
+        const number = (hash % 1000000) / 100;
+        const formatted = number.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return { value: number, formatted: /amount|price|cost|revenue|budget|total|_base$/.test(property.name) ? `$${formatted}` : formatted };
+      }
+      case 'Edm.DateTimeOffset': {
+        const created = BASE_DATE + (FixtureGenerator.hash(setName, index, 'createdon') % (365 * 24)) * HOUR;
+        const time = property.name === 'createdon' ? created
+          : property.name === 'modifiedon' ? created + (1 + hash % 72) * HOUR
+            : BASE_DATE + (hash % (365 * 24)) * HOUR;
+        return { value: new Date(time).toISOString().replace('.000Z', 'Z'), formatted: FixtureGenerator.formatDate(time) };
+      }
+      case 'Edm.Date': {
+        const time = /birth/.test(property.name)
+          ? Date.UTC(1960 + hash % 40, hash % 12, 1 + hash % 28)
+          : BASE_DATE + (hash % 365) * 24 * HOUR;
+        return { value: new Date(time).toISOString().slice(0, 10), formatted: FixtureGenerator.formatDate(time, false) };
+      }
+      default:
+        return { value: null };
+    }
+  }
+
+  /**
+   * Single-valued navigation properties by lookup column (_customerid_value → [customerid_account, customerid_contact])
+   */
+  lookupsOf(type) {
+    const lookups = {};
+    type.navigation.filter(navigation => !navigation.collection && navigation.localKey).forEach(navigation => {
+      (lookups[navigation.localKey] = lookups[navigation.localKey] || []).push(navigation);
+    });
+    return lookups;
+  }
+
+  /**
+   * Seed-style relationships to other generated sets:
+   * { entitySet, localKey } for lookups, { entitySet, foreignKey } for collections
+   */
+  navigationOf(type, setNames) {
+    const navigation = {};
+    type.navigation.forEach(property => {
+      const target = this.entitySetOf(property.target);
+      if (!target || !setNames.includes(target.name)) {
+        return;
+      }
+      if (!property.collection && property.localKey) {
+        navigation[property.name] = { entitySet: target.name, localKey: property.localKey };
+      } else if (property.collection && property.partner) {
+        const targetType = this.model.entityTypes.get(property.target);
+        const partner = targetType && targetType.navigation.find(candidate => candidate.name === property.partner);
+        if (partner && partner.localKey) {
+          navigation[property.name] = { entitySet: target.name, foreignKey: partner.localKey };
+        }
+      }
+    });
+    return navigation;
+  }
+
+  /**
+   * @returns {Map<string, { key, primaryName, navigation, value }>} fixtures by entity set, in the seed file format
+   */
+  generate(setNames) {
+    const fixtures = new Map();
+
+    setNames.forEach(setName => {
+      const type = this.typeOf(setName);
+      const primaryName = this.primaryNameOf(type);
+      const lookups = this.lookupsOf(type);
+      const records = [];
+
+      for (let index = 0; index < this.count; index++) {
+        const record = { '@odata.etag': `W/"${1000000 + FixtureGenerator.hash(setName, index, 'etag') % 9000000}"` };
+        type.properties.forEach(property => {
+          if (lookups[property.name]) {
+            record[property.name] = null;
+            return;
+          }
+          const { value, formatted } = property.name === type.key
+            ? { value: FixtureGenerator.guid(setName, index, 'key') }
+            : this.value(type, property, setName, index, primaryName);
+          record[property.name] = value;
+          if (formatted !== undefined && value !== null) {
+            record[`${property.name}${FORMATTED_VALUE}`] = formatted;
+          }
+        });
+        records.push(record);
+      }
+
+      fixtures.set(setName, { key: type.key, primaryName, navigation: this.navigationOf(type, setNames), value: records, type, lookups });
+    });
+
+    // Lookups once every set has records to point at
+    fixtures.forEach((fixture, setName) => {
+      fixture.value.forEach((record, index) => {
+        Object.entries(fixture.lookups).forEach(([column, navigations]) => {
+          this.writeLookup(record, column, navigations, fixtures, setName, index);
+        });
+      });
+      delete fixture.type;
+      delete fixture.lookups;
+    });
+
+    return fixtures;
+  }
+
+  /**
+   * Point a lookup at a generated record when its table is generated, otherwise at a made-up row
+   */
+  writeLookup(record, column, navigations, fixtures, setName, index) {
+    // Polymorphic lookups (customerid → account or contact) spread over the generated tables
+    const targets = navigations.filter(navigation => {
+      const set = this.entitySetOf(navigation.target);
+      return set && fixtures.has(set.name) && set.name !== setName;
+    });
+    const candidates = targets.length > 0 ? targets : navigations;
+    const navigation = candidates[FixtureGenerator.hash(setName, index, column, 'target') % candidates.length];
+    const generated = targets.length > 0;
+    const logicalName = navigation.target === 'principal' ? 'systemuser' : navigation.target;
+
+    let id;
+    let name;
+    if (generated) {
+      const target = fixtures.get(this.entitySetOf(navigation.target).name);
+      const related = target.value[FixtureGenerator.hash(setName, index, column) % target.value.length];
+      id = related[target.key];
+      name = target.primaryName ? related[target.primaryName] : null;
+    } else {
+      id = FixtureGenerator.guid(logicalName, setName, index, column);
+      name = ['systemuser', 'contact', 'team'].includes(logicalName)
+        ? this.person(logicalName, FixtureGenerator.hash(setName, index, column) % 100).full
+        : `${FixtureGenerator.label({ name: logicalName })} ${1 + FixtureGenerator.hash(setName, index, column) % 100}`;
+    }
+
+    record[column] = id;
+    if (name !== null && name !== undefined) {
+      record[`${column}${FORMATTED_VALUE}`] = name;
+    }
+    record[`${column}${ASSOCIATED_NAVIGATION}`] = navigation.name;
+    record[`${column}${LOOKUP_LOGICAL_NAME}`] = logicalName;
+  }
+
+  /**
+   * A fixture as a GET collection mock for mocks/mock-config.json
+   */
+  static toMock(setName, fixture) {
+    const navigation = {};
+    Object.entries(fixture.navigation).forEach(([name, { entitySet, ...keys }]) => {
+      navigation[name] = { endpoint: `/${entitySet}`, ...keys };
+    });
+    return {
+      request: { method: 'GET', endpoint: `/${setName}`, queryParams: {} },
+      response: {
+        status: 200,
+        headers: { 'Content-Type': 'application/json; odata.metadata=minimal', 'OData-Version': '4.0' },
+        data: { value: fixture.value }
+      },
+      options: { delay: 0, odata: { key: fixture.key, navigation } }
+    };
+  }
+}
+
+module.exports = FixtureGenerator;
@@ -0,0 +1,245 @@
+const http = require('http');
+const MockRecorder = require('./mock-recorder');
+const MockSanitizer = require('./mock-sanitizer');
+const ApiPath = require('./api-path');
+const { version } = require('../package.json');
+
+const API_PATH = /^\/(_api|api)(\/|$)/;
+
+/**
+ * Converts between HAR files (as saved from the browser's Network tab) and
+ * mocks. Imports keep /_api and /api calls only, one mock per method, path and
+ * normalized query like record mode; exports turn mocks or the request log into
+ * HAR 1.2 for other tools.
+ */
+class HarConverter {
+  constructor(sanitizer = new MockSanitizer()) {
+    this.sanitizer = sanitizer;
+    this.recorder = new MockRecorder({});
+  }
+
+  static headerObject(headers = []) {
+    const result = {};
+    headers.filter(header => !header.name.startsWith(':')).forEach(header => {
+      result[header.name.toLowerCase()] = header.value;
+    });
+    return result;
+  }
+
+  static headerList(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  /**
+   * A HAR body as a mock holds it: JSON parsed, text kept, base64 decoded
+   */
+  static parseText(text, mimeType = '', encoding) {
+    if (text === undefined || text === null || text === '') {
+      return null;
+    }
+    const decoded = encoding === 'base64' ? Buffer.from(text, 'base64').toString('utf8') : text;
+    if (/json/i.test(mimeType)) {
+      try {
+        return JSON.parse(decoded);
+      } catch (error) {
+        // Keep malformed JSON as text
+      }
+    }
+    return decoded;
+  }
+
+  static textOf(data) {
+    if (data === undefined || data === null) return '';
+    return typeof data === 'string' ? data : JSON.stringify(data);
+  }
+
+  /**
+   * Mocks for the API calls in a HAR document; a request seen twice keeps its last response.
+   * Returns { mocks, report: { entries, notApi, failed, noContent, duplicates } }
+   */
+  toMocks(har, source = 'HAR file') {
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('Not a HAR file: log.entries is missing');
+    }
+
+    const report = { entries: har.log.entries.length, notApi: 0, failed: 0, noContent: 0, duplicates: 0 };
+    const mocks = new Map();
+    har.log.entries.forEach(entry => {
+      let url;
+      try {
+        url = new URL(entry.request.url);
+      } catch (error) {
+        report.notApi++;
+        return;
+      }
+      if (!API_PATH.test(url.pathname)) {
+        report.notApi++;
+        return;
+      }
+      // Blocked, cancelled or CORS-failed requests have no status
+      const status = entry.response && entry.response.status;
+      if (!status) {
+        report.failed++;
+        return;
+      }
+      const content = entry.response.content || {};
+      if (content.text === undefined && content.size > 0) {
+        report.noContent++;
+        return;
+      }
+
+      const query = {};
+      url.searchParams.forEach((value, key) => {
+        query[key] = value;
+      });
+      const postData = entry.request.postData;
+      const req = {
+        method: entry.request.method,
+        path: ApiPath.relative(url.pathname),
+        query,
+        headers: HarConverter.headerObject(entry.request.headers),
+        body: postData ? HarConverter.parseText(postData.text, postData.mimeType) : undefined
+      };
+      const response = {
+        status,
+        data: HarConverter.parseText(content.text, content.mimeType, content.encoding),
+        headers: HarConverter.headerObject(entry.response.headers)
+      };
+
+      const mock = this.recorder.buildMock(req, response, entry.request.url);
+      mock.name = `${mock.request.method} ${req.path} (HAR)`;
+      mock.description = `Imported from ${source}`;
+      mock.importedFrom = 'har';
+      if (entry.startedDateTime) {
+        mock.recordedAt = new Date(entry.startedDateTime).toISOString();
+      }
+
+      if (mocks.has(mock.recordKey)) {
+        report.duplicates++;
+        mocks.delete(mock.recordKey);
+      }
+      mocks.set(mock.recordKey, this.sanitizer.sanitizeMock(mock));
+    });
+
+    return { mocks: Array.from(mocks.values()), report };
+  }
+
+  /**
+   * Split imported mocks into new ones and ones that repeat a saved mock's request
+   */
+  static partition(imported, existing) {
+    const saved = new Map(existing.map(mock => [MockRecorder.keyOf(mock), mock]));
+    const added = [];
+    const repeated = [];
+    imported.forEach(mock => {
+      const match = saved.get(mock.recordKey);
+      if (match) {
+        repeated.push({ existing: match, mock });
+      } else {
+        added.push(mock);
+      }
+    });
+    return { added, repeated };
+  }
+
+  static log(entries, comment) {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'power-pages-local-server', version },
+        ...(comment && { comment }),
+        pages: [],
+        entries
+      }
+    };
+  }
+
+  static entry({ time, duration = 0, method, url, requestHeaders = {}, requestBody, status, responseHeaders = {}, responseBody, comment, ...custom }) {
+    const parsed = new URL(url);
+    const requestText = HarConverter.textOf(requestBody);
+    const responseText = HarConverter.textOf(responseBody);
+    const contentType = Object.entries(responseHeaders).find(([name]) => name.toLowerCase() === 'content-type');
+    const requestType = Object.entries(requestHeaders).find(([name]) => name.toLowerCase() === 'content-type');
+
+    return {
+      startedDateTime: time,
+      time: duration,
+      request: {
+        method,
+        url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: HarConverter.headerList(requestHeaders),
+        queryString: Array.from(parsed.searchParams.entries()).map(([name, value]) => ({ name, value })),
+        ...(requestText && { postData: { mimeType: requestType ? requestType[1] : 'application/json', text: requestText } }),
+        headersSize: -1,
+        bodySize: Buffer.byteLength(requestText)
+      },
+      response: {
+        status,
+        statusText: http.STATUS_CODES[status] || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: HarConverter.headerList(responseHeaders),
+        content: {
+          size: Buffer.byteLength(responseText),
+          mimeType: contentType ? contentType[1] : (typeof responseBody === 'string' ? 'text/plain' : 'application/json'),
+          text: responseText
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: Buffer.byteLength(responseText)
+      },
+      cache: {},
+      timings: { send: 0, wait: duration, receive: 0 },
+      ...(comment && { comment }),
+      ...custom
+    };
+  }
+
+  /**
+   * Mocks as HAR requests to this server (baseUrl, e.g. http://localhost:3000); secrets scrubbed
+   */
+  fromMocks(mocks, baseUrl) {
+    return HarConverter.log(this.sanitizer.sanitizeMocks(mocks).map(mock => {
+      // OData option names and column lists stay readable
+      const search = Object.entries(mock.request.queryParams || {})
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`)
+        .join('&');
+      return HarConverter.entry({
+        time: mock.recordedAt || mock.createdAt || new Date().toISOString(),
+        duration: (mock.options && mock.options.delay) || 0,
+        method: mock.request.method,
+        url: `${baseUrl}/_api${mock.request.endpoint.split('?')[0]}${search ? `?${search}` : ''}`,
+        requestHeaders: mock.request.headers,
+        requestBody: mock.request.body,
+        status: mock.response.status || 200,
+        responseHeaders: mock.response.headers,
+        responseBody: mock.response.data,
+        comment: mock.name,
+        _mockId: mock.id
+      });
+    }), 'Mocks exported from the Power Pages local server');
+  }
+
+  /**
+   * RequestLog entries (oldest first) as HAR; headers there are already redacted
+   */
+  static fromRequestLog(entries, baseUrl) {
+    return HarConverter.log(entries.filter(entry => entry.status !== null).map(entry => HarConverter.entry({
+      time: entry.time,
+      duration: entry.duration,
+      method: entry.method,
+      url: `${baseUrl}${entry.url}`,
+      requestHeaders: entry.request.headers,
+      requestBody: entry.request.body,
+      status: entry.status,
+      responseHeaders: entry.response.headers,
+      responseBody: entry.response.binary ? '' : entry.response.body,
+      comment: entry.response.truncated ? `Response body cut at ${HarConverter.textOf(entry.response.body).length} of ${entry.response.size} bytes` : undefined,
+      _servedBy: entry.servedBy
+    })), 'Requests logged by the Power Pages local server');
+  }
+}
+
+module.exports = HarConverter;
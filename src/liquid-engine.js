@@ -1,14 +1,27 @@
-const { Liquid } = require('liquidjs');
+const { Liquid, tags } = require('liquidjs');
 const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
 const axios = require('axios');
+const WebTemplateFileSystem = require('./web-template-fs');
+const PowerPagesTags = require('./power-pages-tags');
+const PowerPagesFilters = require('./power-pages-filters');
+const SiteMap = require('./site-map');
+const SiteData = require('./site-data');
+const PersonaManager = require('./persona-manager');
 
 class LiquidEngine {
   constructor(config) {
     this.config = config;
     this.engine = null;
     this.mockData = null;
+    this.fileSystem = new WebTemplateFileSystem(config);
+    this.powerPagesTags = new PowerPagesTags(config, this);
+    this.powerPagesFilters = new PowerPagesFilters(config);
+    this.siteMap = new SiteMap(config);
+    this.siteData = new SiteData(config, this.siteMap);
+    this.personas = new PersonaManager(config);
+    this.personaUsers = new Map();
     this.initialized = false;
     this.initialize();
   }
@@ -22,6 +35,7 @@ class LiquidEngine {
           path.join(this.config.powerPagesPath, this.config.pagesPath)
         ],
         extname: '.html',
+        fs: this.fileSystem,
         cache: this.config.liquidEngine.cache,
         strictFilters: this.config.liquidEngine.strictFilters,
         strictVariables: this.config.liquidEngine.strictVariables
@@ -70,34 +84,102 @@ class LiquidEngine {
       return input || defaultValue;
     });
 
+    // has_role, date_add_*, text_to_html, to_json, group_by, add_query, ...
+    this.powerPagesFilters.register(this.engine);
+
     console.log(chalk.blue('✅ Custom filters registered'));
   }
 
   registerCustomTags() {
     // We'll handle includes by pre-processing the template content
     console.log(chalk.blue('✅ Custom include pre-processing enabled'));
+
+    // Power Pages web templates use {% extends 'Layout' %} for what liquidjs calls {% layout %}
+    this.engine.registerTag('extends', tags.layout);
+
+    // fetchxml, entitylist, entityview, entityform, webform, editable, chart, powerbi
+    this.powerPagesTags.register(this.engine);
   }
 
-  async fetchUserDataFromAPI() {
+  /**
+   * Query the local /_api (mocks first, then the API proxy) on behalf of data tags
+   */
+  async queryODataApi(odataPath, personaKey = null) {
+    const apiUrl = `http://${this.config.host}:${this.config.port}/_api/${odataPath}`;
+
+    try {
+      const response = await axios.get(apiUrl, {
+        headers: {
+          'Accept': 'application/json',
+          'Prefer': 'odata.include-annotations="*"',
+          ...(personaKey ? { 'X-Mock-Persona': personaKey } : {})
+        },
+        timeout: 15000,
+        validateStatus: () => true
+      });
+
+      if (response.status >= 400) {
+        console.log(chalk.yellow(`⚠️ /_api/${odataPath} returned ${response.status}`));
+        return null;
+      }
+      return response.data;
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Failed to query /_api/${odataPath}: ${error.message}`));
+      return null;
+    }
+  }
+
+  /**
+   * Liquid `user` for a persona (null when anonymous), cached per persona
+   */
+  async getUserForPersona(persona = this.personas.getPersona()) {
+    if (!persona || persona.anonymous) {
+      return null;
+    }
+
+    if (!this.personaUsers.has(persona.key)) {
+      const userData = (await this.fetchUserDataFromAPI(persona)) || this.toPersonaUserData(persona);
+      this.personaUsers.set(persona.key, {
+        ...userData,
+        ...persona.contact,
+        roles: await this.personas.getEffectiveRoles(persona)
+      });
+    }
+    return this.personaUsers.get(persona.key);
+  }
+
+  toPersonaUserData(persona) {
+    return {
+      id: persona.id,
+      fullname: persona.fullname,
+      firstname: persona.firstname,
+      lastname: persona.lastname,
+      email: persona.email
+    };
+  }
+
+  async fetchUserDataFromAPI(persona) {
     if (!this.config.mockUser.enabled) {
       return null;
     }
 
+    const baseData = this.toPersonaUserData(persona);
+
     try {
       // Get API proxy configuration
       const apiProxyConfigPath = path.join(__dirname, '../config/api-proxy.json');
       if (!await fs.pathExists(apiProxyConfigPath)) {
         console.log(chalk.yellow('⚠️ API proxy config not found, using fallback user data'));
-        return this.createFallbackUserData();
+        return this.createFallbackUserData(baseData);
       }
 
       const apiProxyConfig = await fs.readJson(apiProxyConfigPath);
       if (!apiProxyConfig.enabled) {
         console.log(chalk.yellow('⚠️ API proxy disabled, using fallback user data'));
-        return this.createFallbackUserData();
+        return this.createFallbackUserData(baseData);
       }
 
-      const userId = this.config.mockUser.userData.id;
+      const userId = baseData.id;
       const apiUrl = `${apiProxyConfig.baseUrl}/_api/contacts(${userId})?$select=firstname,lastname,emailaddress1,mobilephone,governmentid,oref_p_preferred_contact_method,_parentcustomerid_value`;
 
       console.log(chalk.blue(`🔄 Fetching user data from API: ${userId}`));
@@ -117,32 +199,32 @@ class LiquidEngine {
         
         // Merge API data with config data
         return {
-          ...this.config.mockUser.userData,
+          ...baseData,
           firstname: userData.firstname || '',
           lastname: userData.lastname || '',
-          emailaddress1: userData.emailaddress1 || this.config.mockUser.userData.email,
+          emailaddress1: userData.emailaddress1 || baseData.email,
           mobilephone: userData.mobilephone || '',
           governmentid: userData.governmentid || '',
           oref_p_preferred_contact_method: userData.oref_p_preferred_contact_method || '',
           parentcustomerid: userData._parentcustomerid_value || '',
-          fullname: `${userData.firstname || ''} ${userData.lastname || ''}`.trim() || this.config.mockUser.userData.fullname
+          fullname: `${userData.firstname || ''} ${userData.lastname || ''}`.trim() || baseData.fullname
         };
       } else {
         console.log(chalk.yellow('⚠️ API response not successful, using fallback user data'));
-        return this.createFallbackUserData();
+        return this.createFallbackUserData(baseData);
       }
     } catch (error) {
       console.log(chalk.yellow(`⚠️ Failed to fetch user data from API: ${error.message}`));
-      return this.createFallbackUserData();
+      return this.createFallbackUserData(baseData);
     }
   }
 
-  createFallbackUserData() {
+  createFallbackUserData(baseData) {
     return {
-      ...this.config.mockUser.userData,
-      firstname: this.config.mockUser.userData.fullname.split(' ')[0] || '',
-      lastname: this.config.mockUser.userData.fullname.split(' ')[1] || '',
-      emailaddress1: this.config.mockUser.userData.email || '',
+      ...baseData,
+      firstname: baseData.firstname || '',
+      lastname: baseData.lastname || '',
+      emailaddress1: baseData.email || '',
       mobilephone: '050-1234567',
       governmentid: '123456789',
       oref_p_preferred_contact_method: '1,2,3',
@@ -151,10 +233,8 @@ class LiquidEngine {
   }
 
   async createMockData() {
-    // Create user object based on configuration
-    const userObject = this.config.mockUser.enabled ? 
-      await this.fetchUserDataFromAPI() : 
-      null;
+    // Default persona's user; pages render with the request's persona (see PersonaManager)
+    const userObject = await this.getUserForPersona();
 
     return {
       user: userObject,
@@ -170,43 +250,7 @@ class LiquidEngine {
           { name: 'עברית', code: 'he-IL' }
         ]
       },
-      settings: {
-        'LanguageLocale/Code': 'en-US',
-        'Profile/Enabled': true,
-        'Search/Enabled': true,
-        'Header/ShowAllProfileNavigationLinks': true
-      },
-      weblinks: {
-        'Default': {
-          weblinks: [
-            { name: 'Home', url: '/', display_image_only: false },
-            { name: 'Profile', url: '/profile', display_image_only: false },
-            { name: 'Search', url: '/search', display_image_only: false }
-          ]
-        },
-        'Profile Navigation': {
-          weblinks: [
-            { name: 'My Profile', url: '/profile' },
-            { name: 'Settings', url: '/settings' }
-          ]
-        }
-      },
-      sitemarkers: {
-        'Profile': { url: '/profile' },
-        'Search': { url: '/search', id: 'search-page' },
-        'Forums': { url: '/forums', id: 'forums-page' }
-      },
-      snippets: {
-        'Mobile Header': '<div class="mobile-header">Mobile Header Content</div>',
-        'Header/Toggle Navigation': 'Toggle Navigation',
-        'Header/Search/ToolTip': 'Search',
-        'Search/Title': 'Search Our Site',
-        'Profile Link Text': 'Profile',
-        'links/login': 'Sign In',
-        'links/logout': 'Sign Out',
-        'ReactDEV': '<!-- ReactDEV Snippet -->',
-        'AutoLogout': '<!-- AutoLogout Snippet -->'
-      },
+      // settings, weblinks, sitemarkers and snippets come from the project (see SiteData)
       resx: {
         'Skip_To_Content': 'Skip to main content',
         'Main_Navigation': 'Main Navigation',
@@ -217,22 +261,24 @@ class LiquidEngine {
         'Sign_In': 'Sign In',
         'Sign_Out': 'Sign Out',
         'Default_Profile_name': 'User'
-      },
-      page: {
-        id: 'home-page',
-        title: 'Home'
-      },
-      sitemap: {
-        '/': {
-          children: [
-            { name: 'Home', url: '/', title: 'Home' },
-            { name: 'Profile', url: '/profile', title: 'Profile' }
-          ]
-        }
       }
+      // page and sitemap are built per request from the site map (see PageHandler.processPage)
     };
   }
 
+  /**
+   * Mock user/website data plus the project's settings, weblinks, sitemarkers and snippets
+   */
+  async getGlobalData(additionalData = {}) {
+    if (!this.mockData) {
+      this.mockData = await this.createMockData();
+    }
+
+    const website = additionalData.website || this.mockData.website || {};
+    const language = website.selected_language && website.selected_language.code;
+    return { ...this.mockData, ...await this.siteData.getLiquidObjects(language) };
+  }
+
   isJavaScriptContent(content) {
     // Check if content appears to be JavaScript by looking for common JavaScript patterns
     const jsPatterns = [
@@ -366,7 +412,7 @@ class LiquidEngine {
         return processedContent;
       }
       
-      const data = { ...this.mockData, ...additionalData, liquidEngine: this };
+      const data = { ...await this.getGlobalData(additionalData), ...additionalData, liquidEngine: this };
       console.log(chalk.blue(`Rendering with user ID: ${data.user ? data.user.id : 'No user'}`)); // Added logging
       const result = await this.engine.parseAndRender(processedContent, data);
       return result;
@@ -376,9 +422,23 @@ class LiquidEngine {
     }
   }
 
+  clearCache() {
+    const templateCache = this.engine && this.engine.options.cache;
+    if (templateCache && typeof templateCache.clear === 'function') {
+      templateCache.clear();
+    }
+    this.fileSystem.clearCache();
+    this.powerPagesTags.clearCache();
+    this.siteMap.clearCache();
+    this.siteData.clearCache();
+    this.personas.clearCache();
+    this.personaUsers.clear();
+    console.log(chalk.blue('🧹 Liquid cache cleared'));
+  }
+
   async renderFile(filePath, additionalData = {}) {
     try {
-      const data = { ...this.mockData, ...additionalData };
+      const data = { ...await this.getGlobalData(additionalData), ...additionalData };
       const result = await this.engine.renderFile(filePath, data);
       return result;
     } catch (error) {
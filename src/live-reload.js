@@ -0,0 +1,193 @@
+const path = require('path');
+const chokidar = require('chokidar');
+const chalk = require('chalk');
+
+/**
+ * Watches the Power Pages project and pushes reload events to the browser
+ * over Server-Sent Events. CSS changes are hot-swapped without a full reload.
+ */
+class LiveReload {
+  constructor(config, handlers = {}) {
+    this.config = config;
+    this.handlers = handlers;
+    this.clients = new Set();
+    this.watcher = null;
+    this.pendingFiles = new Set();
+    this.flushTimer = null;
+    this.debounceMs = 150;
+  }
+
+  isEnabled() {
+    return Boolean(this.config.hotReload);
+  }
+
+  getWatchPaths() {
+    return [
+      this.config.pagesPath,
+      this.config.templatesPath,
+      this.config.pageTemplatesPath,
+      this.config.snippetsPath,
+      this.config.staticFilesPath,
+      'weblink-sets',
+      'sitesetting.yml',
+      'sitemarker.yml',
+      'table-permissions',
+      'web-roles'
+    ].map(folder => path.join(this.config.powerPagesPath, folder));
+  }
+
+  start() {
+    if (!this.isEnabled() || this.watcher) {
+      return;
+    }
+
+    try {
+      this.watcher = chokidar.watch(this.getWatchPaths(), {
+        ignoreInitial: true,
+        ignored: /(^|[\/\\])\../,
+        awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 50 }
+      });
+
+      this.watcher
+        .on('add', file => this.queueChange(file))
+        .on('change', file => this.queueChange(file))
+        .on('unlink', file => this.queueChange(file))
+        .on('error', error => console.error(chalk.red('❌ Live reload watcher error:'), error));
+
+      console.log(chalk.green('🔥 Live reload watching project files'));
+    } catch (error) {
+      console.error(chalk.red('❌ Failed to start live reload watcher:'), error);
+    }
+  }
+
+  async stop() {
+    clearTimeout(this.flushTimer);
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  queueChange(file) {
+    this.pendingFiles.add(file);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  flush() {
+    const files = [...this.pendingFiles];
+    this.pendingFiles.clear();
+    if (files.length === 0) {
+      return;
+    }
+
+    this.clearCaches();
+
+    const relativeFiles = files.map(file => path.relative(this.config.powerPagesPath, file));
+    const cssOnly = files.every(file => file.endsWith('.css'));
+
+    console.log(chalk.blue(`🔄 Project changed: ${relativeFiles.join(', ')}`));
+    this.broadcast({ type: cssOnly ? 'css' : 'reload', files: relativeFiles });
+  }
+
+  clearCaches() {
+    const { templateHandler, snippetHandler, pageHandler, liquidEngine, tablePermissions } = this.handlers;
+
+    [templateHandler, snippetHandler, pageHandler, liquidEngine, tablePermissions].forEach(handler => {
+      if (handler && typeof handler.clearCache === 'function') {
+        handler.clearCache();
+      }
+    });
+  }
+
+  broadcast(event) {
+    const payload = `data: ${JSON.stringify(event)}\n\n`;
+    this.clients.forEach(res => {
+      res.write(payload);
+      // compression() buffers responses unless explicitly flushed
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    });
+  }
+
+  /**
+   * Routes for the event stream and the injected client script
+   */
+  router() {
+    const express = require('express');
+    const router = express.Router();
+
+    router.get('/events', (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.flushHeaders();
+      res.write('retry: 1000\n\n');
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+
+      this.clients.add(res);
+      req.on('close', () => this.clients.delete(res));
+    });
+
+    router.get('/client.js', (req, res) => {
+      res.type('application/javascript').send(this.getClientScript());
+    });
+
+    return router;
+  }
+
+  getScriptTag() {
+    return this.isEnabled() ? '<script src="/_live-reload/client.js"></script>' : '';
+  }
+
+  getClientScript() {
+    return `(function() {
+  if (!window.EventSource) return;
+
+  function swapStylesheets() {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(function(link) {
+      if (link.href.indexOf(location.origin) !== 0) return;
+      var url = new URL(link.href);
+      url.searchParams.set('_lr', Date.now());
+      link.href = url.toString();
+    });
+
+    // Inline page CSS comes from content-pages, so pull it from a fresh render
+    var inlineStyles = document.querySelectorAll('style[data-live-reload]');
+    if (inlineStyles.length === 0) return;
+    fetch(location.href, { headers: { 'Accept': 'text/html' } })
+      .then(function(response) { return response.text(); })
+      .then(function(html) {
+        var doc = new DOMParser().parseFromString(html, 'text/html');
+        inlineStyles.forEach(function(style) {
+          var fresh = doc.querySelector('style[data-live-reload="' + style.getAttribute('data-live-reload') + '"]');
+          if (fresh) style.textContent = fresh.textContent;
+        });
+      })
+      .catch(function() { location.reload(); });
+  }
+
+  var source = new EventSource('/_live-reload/events');
+  source.onmessage = function(message) {
+    var event = JSON.parse(message.data);
+    console.log('🔥 Live reload:', event.type, event.files);
+    if (event.type === 'css') {
+      swapStylesheets();
+    } else {
+      location.reload();
+    }
+  };
+})();
+`;
+  }
+}
+
+module.exports = LiveReload;
@@ -2,6 +2,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
 const { v4: uuidv4 } = require('uuid');
+const ODataQuery = require('./odata-query');
 
 class MockApi {
   constructor(config) {
@@ -215,10 +216,24 @@ class MockApi {
         return res.status(401).json({ error: 'User not authenticated' });
       }
 
+      // Follow the active mock persona when one is resolved for the request
+      if (req.persona && req.persona.anonymous) {
+        console.log(chalk.blue('🔐 Mock API: getCurrentUser (anonymous persona)'));
+        return res.status(401).json({ error: 'User not authenticated' });
+      }
+
       const usersData = await fs.readJson(path.join(this.mockDataPath, 'users.json'));
+      const currentUser = req.persona ? {
+        ...usersData.currentUser,
+        id: req.persona.id,
+        fullname: req.persona.fullname,
+        email: req.persona.email,
+        roles: req.persona.roles,
+        persona: req.persona.key
+      } : usersData.currentUser;
       
       console.log(chalk.blue('🔐 Mock API: getCurrentUser'));
-      res.json(usersData.currentUser);
+      res.json(currentUser);
       
     } catch (error) {
       console.error(chalk.red('❌ Mock API error (getCurrentUser):'), error);
@@ -356,11 +371,21 @@ class MockApi {
       }
 
       const incidentsData = await fs.readJson(path.join(this.mockDataPath, 'incidents.json'));
+      const { maxPageSize } = ODataQuery.parsePreferHeader(req.headers.prefer);
+      const result = new ODataQuery(req.query).applyToCollection(incidentsData.value, {
+        entitySet: 'incidents',
+        serviceRoot: `${req.protocol}://${req.get('host')}/_api`,
+        keyProperty: 'incidentid',
+        maxPageSize
+      });
       
       console.log(chalk.blue('🚨 Mock API: getIncidents'));
-      res.json(incidentsData);
+      res.json(result);
       
     } catch (error) {
+      if (error instanceof ODataQuery.ODataError) {
+        return res.status(error.status).json(error.toJSON());
+      }
       console.error(chalk.red('❌ Mock API error (getIncidents):'), error);
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -384,9 +409,12 @@ class MockApi {
       }
       
       console.log(chalk.blue(`🚨 Mock API: getIncident (${incidentId})`));
-      res.json(incident);
+      res.json(new ODataQuery(req.query).shapeRecord(incident, { keyProperty: 'incidentid' }));
       
     } catch (error) {
+      if (error instanceof ODataQuery.ODataError) {
+        return res.status(error.status).json(error.toJSON());
+      }
       console.error(chalk.red('❌ Mock API error (getIncident):'), error);
       res.status(500).json({ error: 'Internal server error' });
     }
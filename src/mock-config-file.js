@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'mocks', 'mock-config.json');
+
+// Hit counts wait this long for more hits before they are written
+const HIT_FLUSH_DELAY = 1000;
+
+const files = new Map();
+
+/**
+ * mocks/mock-config.json as shared by everything in the server that writes it
+ * (admin API, recorder, hit counters). Updates run one at a time, each on a
+ * fresh read, so no writer overwrites another's change. Hit counts stay in
+ * memory and are written together shortly after the last hit.
+ */
+class MockConfigFile {
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve();
+    this.hits = new Map();
+    this.flushTimer = null;
+  }
+
+  /**
+   * The one writer for a file, shared across the process
+   */
+  static for(file = DEFAULT_FILE) {
+    const resolved = path.resolve(file);
+    if (!files.has(resolved)) {
+      files.set(resolved, new MockConfigFile(resolved));
+    }
+    return files.get(resolved);
+  }
+
+  async readNow() {
+    const config = await fs.pathExists(this.file) ? await fs.readJson(this.file) : { mocks: [] };
+    config.mocks = config.mocks || [];
+    return config;
+  }
+
+  /**
+   * The saved config once pending updates and hit counts are written
+   */
+  async read() {
+    await this.flush();
+    return this.enqueue(() => this.readNow());
+  }
+
+  /**
+   * Read, change and write the config after every earlier update. The change
+   * edits the config in place and its result is returned; nothing is written
+   * when it leaves the config as it was. Resolves with { result, changed }.
+   */
+  update(change) {
+    return this.enqueue(async () => {
+      const config = await this.readNow();
+      const before = JSON.stringify(config);
+      const result = await change(config);
+      const changed = JSON.stringify(config) !== before;
+      if (changed) {
+        await fs.writeJson(this.file, config, { spaces: 2 });
+      }
+      return { result, changed };
+    });
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    // A failed update must not block the ones after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Count a hit now, write it with the others once hits pause
+   */
+  recordHit(mockId, time = new Date().toISOString()) {
+    const hit = this.hits.get(mockId) || { count: 0, lastUsed: null };
+    this.hits.set(mockId, { count: hit.count + 1, lastUsed: time });
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush().catch(() => {}), HIT_FLUSH_DELAY);
+    // Pending counts never keep the process alive
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write pending hit counts
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.hits.size === 0) {
+      return;
+    }
+
+    const hits = this.hits;
+    this.hits = new Map();
+    await this.update(config => {
+      config.mocks.forEach(mock => {
+        const hit = hits.get(mock.id);
+        if (hit) {
+          mock.hitCount = (mock.hitCount || 0) + hit.count;
+          mock.lastUsed = hit.lastUsed;
+        }
+      });
+    });
+  }
+
+  /**
+   * Forget hits that are not written yet (statistics are being reset)
+   */
+  clearHits() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.hits.clear();
+  }
+}
+
+MockConfigFile.DEFAULT_FILE = DEFAULT_FILE;
+
+module.exports = MockConfigFile;
@@ -0,0 +1,78 @@
+const path = require('path');
+const chalk = require('chalk');
+const express = require('express');
+const HarConverter = require('./har-converter');
+
+/**
+ * Browser UI for mocks at /_mock-admin, on top of the MockMiddleware admin API,
+ * plus the recent request log it shows and inspects
+ */
+class MockDashboard {
+  constructor(config, requestLog, mockMiddleware) {
+    this.config = config;
+    this.requestLog = requestLog;
+    this.mockMiddleware = mockMiddleware;
+    this.page = path.join(__dirname, 'mock-dashboard.html');
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+      res.sendFile(this.page);
+    });
+
+    // Recent /_api and /api requests, newest first
+    router.get('/requests', (req, res) => {
+      res.json(this.requestLog.list());
+    });
+
+    // The log as HAR, oldest first; ?servedBy=proxy keeps the proxied traffic only
+    router.get('/requests/har', (req, res) => {
+      const types = typeof req.query.servedBy === 'string' ? req.query.servedBy.split(',') : null;
+      const entries = this.requestLog.entries.filter(entry => !types || types.includes(entry.servedBy.type));
+      res.attachment(`requests-${Date.now()}.har`);
+      res.json(HarConverter.fromRequestLog(entries, `${req.protocol}://${req.get('host')}`));
+    });
+
+    // One request with its bodies, timing and why each mock did or did not match
+    router.get('/requests/:id', (req, res) => {
+      const entry = this.requestLog.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Request not found (the log keeps the most recent ones only)' });
+      }
+      res.json(entry);
+    });
+
+    // Save a logged request and its response as a mock ({ name?, priority? })
+    router.post('/requests/:id/mock', async (req, res) => {
+      const entry = this.requestLog.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Request not found (the log keeps the most recent ones only)' });
+      }
+      if (entry.status === null || entry.response.truncated || entry.response.binary) {
+        return res.status(409).json({ error: 'The response of this request was not captured in full' });
+      }
+
+      try {
+        const { errors, created } = await this.mockMiddleware.createMock(this.mockMiddleware.mockFromRequest(entry, req.body || {}));
+        if (errors) {
+          return res.status(400).json({ errors });
+        }
+        console.log(chalk.green(`🎭 Mock created from request #${entry.id}: ${created.name}`));
+        res.status(201).json(created);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.delete('/requests', (req, res) => {
+      this.requestLog.clear();
+      res.json({ success: true });
+    });
+
+    return router;
+  }
+}
+
+module.exports = MockDashboard;
@@ -0,0 +1,358 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const express = require('express');
+const MockRecorder = require('./mock-recorder');
+const MockSanitizer = require('./mock-sanitizer');
+const ApiPath = require('./api-path');
+
+// Keys that come and go with the amount of data rather than the schema
+const VOLATILE_KEYS = new Set([
+  '@odata.nextLink',
+  '@odata.deltaLink',
+  '@Microsoft.Dynamics.CRM.morerecords',
+  '@Microsoft.Dynamics.CRM.fetchxmlpagingcookie'
+]);
+
+/**
+ * Compares the shape of mock responses (keys, JSON types and annotations, not
+ * values) with what the live API answers now, through ApiProxy or a saved
+ * snapshot, so mocks that went stale after a schema change are caught. In the
+ * background mode each mock that serves a request is re-checked at most once
+ * per interval.
+ */
+class MockDrift {
+  constructor(config = {}, apiProxy = null) {
+    this.config = config;
+    this.apiProxy = apiProxy;
+    this.options = config.mockDrift || {};
+    this.interval = this.options.interval || 10 * 60 * 1000;
+    this.sanitizer = new MockSanitizer(config.mockSanitize);
+    this.results = new Map();
+    this.live = new Map();
+    this.checking = new Set();
+  }
+
+  isBackground() {
+    return Boolean(this.options.background) && Boolean(this.apiProxy && this.apiProxy.isEnabled());
+  }
+
+  static typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * { types, keys?, items? } for a JSON value; array items are merged into one shape
+   */
+  static shape(value) {
+    const type = MockDrift.typeOf(value);
+    if (type === 'array') {
+      return { types: ['array'], items: value.reduce((merged, item) => MockDrift.merge(merged, MockDrift.shape(item)), null) };
+    }
+    if (type === 'object') {
+      const keys = {};
+      Object.entries(value).filter(([key]) => !VOLATILE_KEYS.has(key)).forEach(([key, child]) => {
+        keys[key] = MockDrift.shape(child);
+      });
+      return { types: ['object'], keys };
+    }
+    return { types: [type] };
+  }
+
+  static merge(a, b) {
+    if (!a || !b) return a || b;
+    const merged = { types: [...new Set([...a.types, ...b.types])] };
+    if (a.keys || b.keys) {
+      merged.keys = { ...a.keys };
+      Object.entries(b.keys || {}).forEach(([key, shape]) => {
+        merged.keys[key] = MockDrift.merge(merged.keys[key], shape);
+      });
+    }
+    if (a.items || b.items) {
+      merged.items = MockDrift.merge(a.items, b.items);
+    }
+    return merged;
+  }
+
+  static hasValues(shape) {
+    return Boolean(shape) && shape.types.some(type => type !== 'null');
+  }
+
+  /**
+   * Dataverse only annotates columns that have a value, so a missing
+   * "column@..." annotation is not drift while that column is empty
+   */
+  static annotationExpected(key, keys) {
+    const column = key.split('@')[0];
+    return !key.includes('@') || !column || !keys[column] || MockDrift.hasValues(keys[column]);
+  }
+
+  /**
+   * Shape changes: [{ path, change: 'added' | 'removed' | 'type', expected?, actual? }]
+   */
+  static diff(expected, actual, path = '$') {
+    const known = shape => shape.types.filter(type => type !== 'null');
+    const expectedTypes = known(expected);
+    const actualTypes = known(actual);
+    if (expectedTypes.length > 0 && actualTypes.length > 0 && !expectedTypes.some(type => actualTypes.includes(type))) {
+      return [{ path, change: 'type', expected: expectedTypes.join('|'), actual: actualTypes.join('|') }];
+    }
+
+    const changes = [];
+    if (expected.keys && actual.keys) {
+      Object.keys(expected.keys).forEach(key => {
+        if (!(key in actual.keys)) {
+          if (MockDrift.annotationExpected(key, actual.keys)) {
+            changes.push({ path: `${path}.${key}`, change: 'removed', expected: known(expected.keys[key]).join('|') || 'null' });
+          }
+        } else {
+          changes.push(...MockDrift.diff(expected.keys[key], actual.keys[key], `${path}.${key}`));
+        }
+      });
+      Object.keys(actual.keys).filter(key => !(key in expected.keys)).forEach(key => {
+        if (MockDrift.annotationExpected(key, expected.keys)) {
+          changes.push({ path: `${path}.${key}`, change: 'added', actual: known(actual.keys[key]).join('|') || 'null' });
+        }
+      });
+    }
+    // Empty collections on either side have nothing to compare
+    if (expected.items && actual.items) {
+      changes.push(...MockDrift.diff(expected.items, actual.items, `${path}[]`));
+    }
+    return changes;
+  }
+
+  /**
+   * The request a mock stands for, as ApiProxy.fetch takes it, or { skip: reason }.
+   * Only GET mocks are replayed, since anything else would change live data.
+   */
+  requestFor(mock) {
+    const { method, endpoint, queryParams = {}, url } = mock.request;
+    if (method !== 'GET') {
+      return { skip: `${method} mocks are not replayed against the live API` };
+    }
+    if (mock.options && mock.options.template) {
+      return { skip: 'templated responses have no fixed shape' };
+    }
+
+    let path = endpoint.split('?')[0];
+    let search = Object.entries(queryParams).map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`).join('&');
+    if (/\*|:[A-Za-z_]/.test(path)) {
+      // Hand-written mocks can save a relative URL
+      const recorded = url && new URL(url, 'http://localhost');
+      if (!recorded) {
+        return { skip: 'the endpoint has wildcards or parameters and no recorded URL' };
+      }
+      path = ApiPath.relative(recorded.pathname);
+      search = recorded.search.slice(1);
+    }
+    const relative = `${path}${search ? `?${search}` : ''}`;
+    return { method: 'GET', baseUrl: '/_api', url: relative, originalUrl: `/_api${relative}`, path, query: queryParams, headers: {} };
+  }
+
+  static snapshotKey(mock) {
+    return MockRecorder.keyOf(mock);
+  }
+
+  /**
+   * Responses of a saved snapshot (a mocks/mock-config.json or mock export
+   * recorded against the live site), by record key
+   */
+  static async loadSnapshot(file) {
+    const snapshot = await fs.readJson(file);
+    const responses = new Map();
+    (snapshot.mocks || []).forEach(mock => {
+      responses.set(MockDrift.snapshotKey(mock), mock.response);
+    });
+    return responses;
+  }
+
+  compare(mock, live) {
+    const expectedStatus = mock.response.status || 200;
+    if (live.status !== expectedStatus) {
+      return [{ path: 'status', change: 'status', expected: expectedStatus, actual: live.status }];
+    }
+    return MockDrift.diff(MockDrift.shape(mock.response.data), MockDrift.shape(live.data));
+  }
+
+  /**
+   * Check one mock: { id, name, method, endpoint, status: 'ok' | 'drifted' | 'skipped' | 'error', changes, reason, checkedAt }
+   */
+  async check(mock, { snapshot = null, request = null } = {}) {
+    const result = {
+      id: mock.id,
+      name: mock.name,
+      method: mock.request.method,
+      endpoint: mock.request.endpoint,
+      status: 'ok',
+      changes: [],
+      checkedAt: new Date().toISOString()
+    };
+
+    try {
+      const replay = request || this.requestFor(mock);
+      if (replay.skip) {
+        return this.remember({ ...result, status: 'skipped', reason: replay.skip });
+      }
+
+      let live;
+      if (snapshot) {
+        live = snapshot.get(MockDrift.snapshotKey(mock));
+        if (!live) {
+          return this.remember({ ...result, status: 'skipped', reason: 'not in the snapshot' });
+        }
+      } else {
+        if (!this.apiProxy || !this.apiProxy.isEnabled()) {
+          throw new Error('API proxy is not enabled');
+        }
+        const response = await this.apiProxy.fetch(replay);
+        live = { status: response.status, data: response.data };
+      }
+
+      this.live.set(mock.id, live);
+      result.changes = this.compare(mock, live);
+      result.status = result.changes.length > 0 ? 'drifted' : 'ok';
+      return this.remember(result);
+    } catch (error) {
+      return this.remember({ ...result, status: 'error', reason: error.message });
+    }
+  }
+
+  remember(result) {
+    if (result.id) {
+      this.results.set(result.id, result);
+    }
+    return result;
+  }
+
+  /**
+   * Check mocks one at a time, so the live API sees one request at a time
+   */
+  async verify(mocks, options = {}) {
+    const results = [];
+    for (const mock of mocks) {
+      results.push(await this.check(mock, options));
+    }
+    return results;
+  }
+
+  /**
+   * The mock with the live response from its last check, secrets scrubbed
+   */
+  refresh(mock) {
+    const live = this.live.get(mock.id);
+    if (!live) {
+      throw new Error(`Mock "${mock.name}" has not been checked against the live API`);
+    }
+    const now = new Date().toISOString();
+    const refreshed = this.sanitizer.sanitizeMock({
+      ...mock,
+      response: { ...mock.response, status: live.status, data: live.data },
+      recordedAt: now,
+      updatedAt: now
+    });
+    this.results.set(mock.id, { ...this.results.get(mock.id), status: 'ok', changes: [], refreshedAt: now });
+    return refreshed;
+  }
+
+  static describeChange(change) {
+    switch (change.change) {
+      case 'added':
+        return `+ ${change.path} (${change.actual})`;
+      case 'removed':
+        return `- ${change.path} (${change.expected})`;
+      case 'status':
+        return `~ status ${change.expected} → ${change.actual}`;
+      default:
+        return `~ ${change.path}: ${change.expected} → ${change.actual}`;
+    }
+  }
+
+  /**
+   * Background checks: after a mock answers a GET, replay that request through the proxy
+   */
+  middleware(mockMiddleware) {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        const servedBy = res.locals.servedBy;
+        if (!servedBy || servedBy.type !== 'mock' || req.method !== 'GET') return;
+
+        const mock = mockMiddleware.mocks.find(candidate => candidate.id === servedBy.id);
+        const previous = mock && this.results.get(mock.id);
+        if (!mock || this.checking.has(mock.id) || (previous && Date.now() - Date.parse(previous.checkedAt) < this.interval)) {
+          return;
+        }
+
+        const request = mock.options && mock.options.template
+          ? { skip: 'templated responses have no fixed shape' }
+          : { method: 'GET', baseUrl: req.baseUrl, url: req.url, originalUrl: req.originalUrl, path: req.path, query: req.query, headers: {} };
+        this.checking.add(mock.id);
+        this.check(mock, { request })
+          .then(result => {
+            if (result.status === 'drifted') {
+              console.log(chalk.yellow(`🧭 Mock "${mock.name}" has drifted from the live API:`));
+              result.changes.forEach(change => console.log(chalk.yellow(`   ${MockDrift.describeChange(change)}`)));
+              console.log(chalk.gray('   Refresh it at /_mock-admin/drift or with npm run verify-mocks'));
+            }
+          })
+          .finally(() => this.checking.delete(mock.id));
+      });
+      next();
+    };
+  }
+
+  /**
+   * Drift reports and refreshes under /_mock-admin/drift
+   */
+  router(mockMiddleware) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+      res.json({ background: this.isBackground(), results: Array.from(this.results.values()) });
+    });
+
+    // Check every enabled mock (or { ids: [...] }) now
+    router.post('/check', async (req, res) => {
+      if (!this.apiProxy || !this.apiProxy.isEnabled()) {
+        return res.status(503).json({ error: 'API proxy is not enabled' });
+      }
+      try {
+        const ids = req.body && Array.isArray(req.body.ids) ? req.body.ids : null;
+        const mocks = mockMiddleware.mocks.filter(mock => !ids || ids.includes(mock.id));
+        const results = await this.verify(mocks);
+        res.json({
+          drifted: results.filter(result => result.status === 'drifted').length,
+          results
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Replace a drifted mock's response with the live one from its last check
+    router.post('/:id/refresh', async (req, res) => {
+      try {
+        const mock = await mockMiddleware.updateMockConfig(config => {
+          const index = config.mocks.findIndex(m => m.id === req.params.id);
+          if (index === -1) {
+            return null;
+          }
+          config.mocks[index] = this.refresh(config.mocks[index]);
+          return config.mocks[index];
+        });
+        if (!mock) {
+          return res.status(404).json({ error: 'Mock not found' });
+        }
+        console.log(chalk.green(`🧭 Refreshed mock "${mock.name}" from the live API`));
+        res.json(mock);
+      } catch (error) {
+        res.status(409).json({ error: error.message });
+      }
+    });
+
+    return router;
+  }
+}
+
+module.exports = MockDrift;
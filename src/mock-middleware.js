@@ -1,12 +1,32 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const chalk = require('chalk');
+const ODataQuery = require('./odata-query');
+const MockTemplate = require('./mock-template');
+const MockScenarios = require('./mock-scenarios');
+const MockSanitizer = require('./mock-sanitizer');
+const CurlParser = require('./curl-parser');
+const MockSchema = require('./mock-schema');
+const MockSets = require('./mock-sets');
+const ApiPath = require('./api-path');
+const MockConfigFile = require('./mock-config-file');
+const MockRecorder = require('./mock-recorder');
+const HarConverter = require('./har-converter');
 
 class MockMiddleware {
-    constructor() {
-        this.mockConfigFile = path.join(__dirname, '..', 'mocks', 'mock-config.json');
+    constructor(config = {}) {
+        this.config = config;
+        this.sanitizer = new MockSanitizer(config.mockSanitize);
+        this.mockConfigFile = config.mockConfigFile || path.join(__dirname, '..', 'mocks', 'mock-config.json');
+        // Every write to the file goes through the one shared writer
+        this.configFile = MockConfigFile.for(this.mockConfigFile);
         this.mocks = [];
-        this.loadMocks();
+        // Every saved mock; sets serve disabled members too
+        this.allMocks = [];
+        this.scenarios = new MockScenarios();
+        this.sets = new MockSets();
+        this.loading = this.loadMocks();
         
         // Watch for changes to mock config
         this.watchMockConfig();
@@ -16,18 +36,22 @@ class MockMiddleware {
         try {
             if (await fs.pathExists(this.mockConfigFile)) {
                 const config = await fs.readJson(this.mockConfigFile);
-                this.mocks = (config.mocks || []).filter(mock => mock.enabled);
-                console.log(chalk.cyan(`📦 Loaded ${this.mocks.length} active mock(s)`));
+                this.allMocks = config.mocks || [];
+                this.mocks = this.allMocks.filter(mock => mock.enabled);
+                this.sets.load(config);
+                const active = this.sets.active ? `, mock set "${this.sets.active}"` : '';
+                console.log(chalk.cyan(`📦 Loaded ${this.mocks.length} active mock(s)${active}`));
             }
         } catch (error) {
             console.error(chalk.red('❌ Error loading mocks:'), error.message);
             this.mocks = [];
+            this.allMocks = [];
         }
     }
 
     watchMockConfig() {
         if (fs.existsSync(this.mockConfigFile)) {
-            fs.watch(path.dirname(this.mockConfigFile), (eventType, filename) => {
+            this.watcher = fs.watch(path.dirname(this.mockConfigFile), (eventType, filename) => {
                 if (filename === 'mock-config.json') {
                     console.log(chalk.blue('🔄 Mock configuration changed, reloading...'));
                     this.loadMocks();
@@ -40,7 +64,10 @@ class MockMiddleware {
      * Express middleware function
      */
     middleware() {
-        return async (req, res, next) => {
+        const handle = async (req, res, next) => {
+            // Requests right after startup wait for the first load
+            await this.loading;
+
             // Debug: Log every request that comes through mock middleware
             console.log(chalk.gray(`🔍 Mock middleware checking: ${req.method} ${req.path}`));
             
@@ -55,109 +82,225 @@ class MockMiddleware {
 
             console.log(chalk.green(`🎭 Mock matched: ${mock.name}`));
             console.log(chalk.gray(`   ${req.method} ${req.path}`));
+            res.locals.servedBy = { type: 'mock', id: mock.id, name: mock.name, set: req.mockSet || undefined };
+
+            let response;
+            try {
+                const context = MockTemplate.context(req, this.matchPath(mock.request.endpoint, req.path));
+                response = this.selectResponse(mock, context, this.scenarios.advance(mock));
+            } catch (error) {
+                return this.sendError(new Error(`Mock "${mock.name}" (${mock.id}) could not render its response: ${error.message}`), req, res, next);
+            }
+
+            // Evaluate OData query options against collection mocks
+            let data = response.data;
+            if (this.isODataMock({ ...mock, response }, req.method)) {
+                try {
+                    data = this.applyODataQuery(mock, req, data);
+                } catch (error) {
+                    if (!(error instanceof ODataQuery.ODataError)) {
+                        throw error;
+                    }
+                    console.log(chalk.yellow(`   ↳ OData query rejected: ${error.message}`));
+                    return res.status(error.status).json(error.toJSON());
+                }
+            }
 
             // Update mock statistics
             await this.updateMockStats(mock.id);
 
             // Apply response delay if configured
             if (mock.options?.delay > 0) {
+                res.locals.timing = { ...res.locals.timing, delay: mock.options.delay };
                 await new Promise(resolve => setTimeout(resolve, mock.options.delay));
             }
 
             // Set response headers
-            if (mock.response.headers) {
-                Object.entries(mock.response.headers).forEach(([key, value]) => {
+            if (response.headers) {
+                Object.entries(response.headers).forEach(([key, value]) => {
                     res.setHeader(key, value);
                 });
             }
 
             // Send response
-            res.status(mock.response.status || 200);
+            res.status(response.status || 200);
             
-            if (typeof mock.response.data === 'object') {
-                res.json(mock.response.data);
+            if (typeof data === 'object') {
+                res.json(data);
             } else {
-                res.send(mock.response.data);
+                res.send(data);
             }
         };
+        // Express 4 does not catch rejected handlers, and an unhandled rejection stops the server
+        return (req, res, next) => handle(req, res, next).catch(error => this.sendError(error, req, res, next));
     }
 
+    /**
+     * A mock that fails to answer gets the Web API's 500 instead of taking the server down
+     */
+    sendError(error, req, res, next) {
+        console.error(chalk.red(`❌ Mock failed for ${req.method} ${req.path}:`), error.message);
+        if (res.headersSent) {
+            return next(error);
+        }
+        res.status(500).json({ error: { code: '0x80040216', message: error.message } });
+    }
+
+    /**
+     * The mocks a request may match: those of its mock set, or every enabled mock
+     */
+    candidatesFor(req) {
+        const set = this.sets.selectFor(req);
+        return { set, mocks: set ? this.sets.mocksFor(set, this.allMocks) : this.mocks };
+    }
+
+    /**
+     * The first mock that answers a request. The mocks checked and why each one
+     * did not match are kept on req.mockMatch for the request inspector.
+     */
     findMatchingMock(req) {
-        console.log(chalk.gray(`   Checking ${this.mocks.length} mock(s)...`));
+        const started = Date.now();
+        const { set, mocks } = this.candidatesFor(req);
+        req.mockSet = set;
+        req.mockMatch = { set, checked: [] };
+        console.log(chalk.gray(`   Checking ${mocks.length} mock(s)${set ? ` in set "${set}"` : ''}...`));
         
         // Sort mocks by priority (already sorted in config)
-        for (const mock of this.mocks) {
+        let matched = null;
+        for (const mock of mocks) {
             console.log(chalk.gray(`   Checking mock: ${mock.name} [${mock.request.method} ${mock.request.endpoint}]`));
             
-            if (this.matchesRequest(mock, req)) {
+            const reason = this.mismatchReason(mock, req);
+            req.mockMatch.checked.push({ id: mock.id, name: mock.name, method: mock.request.method, endpoint: mock.request.endpoint, matched: !reason, reason });
+            if (!reason) {
                 console.log(chalk.green(`   ✓ Mock matched!`));
-                return mock;
+                matched = mock;
+                break;
             }
         }
-        return null;
+        req.mockMatch.skipped = mocks.length - req.mockMatch.checked.length;
+        req.mockMatch.duration = Date.now() - started;
+        return matched;
     }
 
     matchesRequest(mock, req) {
+        return this.mismatchReason(mock, req) === null;
+    }
+
+    /**
+     * Why a mock does not answer a request, or null when it does
+     */
+    mismatchReason(mock, req) {
         // Check method
         if (mock.request.method !== req.method.toUpperCase()) {
-            return false;
+            return `method is ${mock.request.method}`;
         }
 
-        // Extract path from mock endpoint (remove query parameters if any)
-        let mockPath = mock.request.endpoint;
-        if (mockPath.includes('?')) {
-            mockPath = mockPath.split('?')[0];
+        // Scenario mocks only match in their required state
+        if (!this.scenarios.isActive(mock)) {
+            return `scenario "${mock.scenario}" is in state "${this.scenarios.stateOf(mock.scenario)}", needs "${mock.requiredState}"`;
         }
-        
-        const reqPath = req.path;
 
-        // Exact path match
-        if (mockPath === reqPath) {
-            // If mock has query parameters, check them too
-            if (mock.request.queryParams && Object.keys(mock.request.queryParams).length > 0) {
-                return this.matchesQueryParams(mock.request.queryParams, req.query);
-            }
-            return true;
+        // Exact path, wildcard (*) or path parameter (:id) match
+        const params = this.matchPath(mock.request.endpoint, req.path);
+        if (!params) {
+            return `endpoint ${mock.request.endpoint} does not match ${req.path}`;
         }
 
-        // Pattern matching (support wildcards)
-        if (mockPath.includes('*')) {
-            const pattern = mockPath
-                .replace(/\*/g, '.*')
-                .replace(/\//g, '\\/');
-            const regex = new RegExp(`^${pattern}$`);
-            if (regex.test(reqPath)) {
-                // If path matches, also check query params if they exist
-                if (mock.request.queryParams && Object.keys(mock.request.queryParams).length > 0) {
-                    return this.matchesQueryParams(mock.request.queryParams, req.query);
-                }
-                return true;
+        // Recordings answer only the query they were recorded with, so a bare GET
+        // does not answer the same request with $filter or $select
+        if (mock.recordKey) {
+            const recorded = MockRecorder.normalizeQuery(mock.request.queryParams);
+            if (recorded !== MockRecorder.normalizeQuery(req.query)) {
+                return recorded ? `query is not exactly ?${recorded}` : 'recorded without a query';
             }
+        } else if (mock.request.queryParams && Object.keys(mock.request.queryParams).length > 0 &&
+            !this.matchesQueryParams(mock.request.queryParams, req.query, this.isODataMock(mock, req.method))) {
+            const expected = Object.entries(mock.request.queryParams).map(([key, value]) => `${key}=${value}`).join('&');
+            return `query does not match ?${expected}`;
         }
 
-        // Path parameter matching (e.g., /api/users/:id)
-        if (mockPath.includes(':')) {
-            const pattern = mockPath
-                .replace(/:[^\/]+/g, '[^/]+')
-                .replace(/\//g, '\\/');
-            const regex = new RegExp(`^${pattern}$`);
-            if (regex.test(reqPath)) {
-                // If path matches, also check query params if they exist
-                if (mock.request.queryParams && Object.keys(mock.request.queryParams).length > 0) {
-                    return this.matchesQueryParams(mock.request.queryParams, req.query);
-                }
-                return true;
+        // Body and header rules
+        const failed = mock.request.match && MockTemplate.failedRule(mock.request.match, MockTemplate.context(req, params));
+        if (failed) {
+            return `${failed.source} rule ${failed.key} expects ${JSON.stringify(failed.expected)}`;
+        }
+        return null;
+    }
+
+    /**
+     * Path parameters of a matching endpoint ({ id: ... }, wildcards as { 0: ... }), or null
+     */
+    matchPath(endpoint, reqPath) {
+        // Extract path from mock endpoint (remove query parameters if any)
+        const mockPath = endpoint.split('?')[0];
+
+        if (mockPath === reqPath) {
+            return {};
+        }
+        if (!mockPath.includes('*') && !mockPath.includes(':')) {
+            return null;
+        }
+
+        const names = [];
+        let wildcards = 0;
+        const pattern = mockPath.split(/(\*|:[A-Za-z_]\w*)/).map(part => {
+            if (part === '*') {
+                names.push(String(wildcards++));
+                return '(.*)';
+            }
+            if (part.startsWith(':') && part.length > 1) {
+                names.push(part.slice(1));
+                return '([^/]+)';
             }
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        const match = reqPath.match(new RegExp(`^${pattern}$`));
+        if (!match) {
+            return null;
         }
+        const params = {};
+        names.forEach((name, index) => {
+            try {
+                params[name] = decodeURIComponent(match[index + 1]);
+            } catch (error) {
+                params[name] = match[index + 1];
+            }
+        });
+        return params;
+    }
 
-        return false;
+    /**
+     * First of mock.responses whose "when" rules match, else mock.response (or the
+     * current sequence entry merged over it); rendered as a template when
+     * options.template is set
+     */
+    selectResponse(mock, context, sequenceEntry = null) {
+        const variant = (mock.responses || []).find(candidate => MockTemplate.matches(candidate.when, context));
+        let response = sequenceEntry ? { ...mock.response, ...sequenceEntry } : mock.response;
+        if (variant) {
+            const { when, ...rest } = variant;
+            response = { ...response, ...rest };
+        }
+
+        if (!mock.options?.template) {
+            return response;
+        }
+        return {
+            ...response,
+            headers: MockTemplate.render(response.headers, context),
+            data: MockTemplate.render(response.data, context)
+        };
     }
     
     /**
      * Check if query parameters match
-     * For flexibility, we'll match key query parameters but allow additional ones
+     * For flexibility, we'll match key query parameters but allow additional ones.
+     * OData mocks ignore system query options ($filter, $select...) because the
+     * evaluator applies the request's own options to the dataset.
      */
-    matchesQueryParams(mockQueryParams, reqQueryParams) {
+    matchesQueryParams(mockQueryParams, reqQueryParams, odata = false) {
         // If mock has no query params, any request matches
         if (!mockQueryParams || Object.keys(mockQueryParams).length === 0) {
             return true;
@@ -166,6 +309,10 @@ class MockMiddleware {
         // Check if all mock query params exist in request
         // For $select, we'll be more flexible and check if key fields are present
         for (const [key, mockValue] of Object.entries(mockQueryParams)) {
+            if (odata && key.startsWith('$')) {
+                continue;
+            }
+
             const reqValue = reqQueryParams[key];
             
             if (!reqValue) {
@@ -176,6 +323,11 @@ class MockMiddleware {
             if (key === '$select') {
                 const mockFields = mockValue.split(',').map(f => f.trim());
                 const reqFields = reqValue.split(',').map(f => f.trim());
+
+                // Same columns in a different order
+                if (mockFields.length === reqFields.length && mockFields.every(field => reqFields.includes(field))) {
+                    continue;
+                }
                 
                 // Check if at least some key fields match (flexible)
                 const keyFields = ['incidentid', 'ticketnumber', 'statuscode'];
@@ -196,27 +348,123 @@ class MockMiddleware {
         return true;
     }
 
-    async updateMockStats(mockId) {
-        try {
-            const config = await fs.readJson(this.mockConfigFile);
-            const mock = config.mocks.find(m => m.id === mockId);
-            
-            if (mock) {
-                mock.hitCount = (mock.hitCount || 0) + 1;
-                mock.lastUsed = new Date().toISOString();
-                await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
+    /**
+     * GET mocks returning an OData collection ({ value: [...] }) are queryable
+     * when they opt in with options.odata (true or an object); others, recorded
+     * ones included, are returned verbatim
+     */
+    isODataMock(mock, method) {
+        const data = mock.response && mock.response.data;
+        return method.toUpperCase() === 'GET' &&
+            Boolean(mock.options?.odata) &&
+            Boolean(data) && Array.isArray(data.value);
+    }
+
+    odataOptions(mock) {
+        return typeof mock.options?.odata === 'object' ? mock.options.odata : {};
+    }
+
+    /**
+     * Run the request's $filter/$select/$orderby/$top/$skip/$count/$expand over the mock's records
+     */
+    applyODataQuery(mock, req, data = mock.response.data) {
+        const options = this.odataOptions(mock);
+        const entitySet = req.path.split('/').filter(Boolean).pop();
+        const { value: records, ...annotations } = data;
+        const keyProperty = options.key || ODataQuery.guessKeyProperty(entitySet, records);
+        const { maxPageSize } = ODataQuery.parsePreferHeader(req.headers.prefer);
+
+        const result = new ODataQuery(req.query).applyToCollection(records, {
+            entitySet,
+            serviceRoot: ODataQuery.serviceRootOf(req),
+            keyProperty,
+            maxPageSize,
+            navigationProperties: Object.keys(options.navigation || {}),
+            resolveNavigation: this.navigationResolver(options.navigation, keyProperty)
+        });
+
+        return { ...annotations, ...result };
+    }
+
+    findCollectionMock(endpoint) {
+        return this.mocks.find(mock =>
+            mock.request.method === 'GET' &&
+            mock.request.endpoint.split('?')[0] === endpoint &&
+            this.isODataMock(mock, 'GET')
+        );
+    }
+
+    /**
+     * Resolve $expand through relationships declared in options.odata.navigation:
+     *   collection: { "endpoint": "/annotations", "foreignKey": "_objectid_value" }
+     *   single:     { "endpoint": "/contacts", "localKey": "_customerid_value" }
+     */
+    navigationResolver(navigation = {}, sourceKey = null) {
+        return (record, property) => {
+            const relationship = navigation[property];
+            if (!relationship) {
+                return undefined;
             }
+
+            const target = this.findCollectionMock(relationship.endpoint);
+            if (!target) {
+                console.log(chalk.yellow(`   ↳ No collection mock for ${relationship.endpoint}, cannot expand ${property}`));
+                return undefined;
+            }
+
+            const options = this.odataOptions(target);
+            const records = target.response.data.value;
+            const keyProperty = options.key || ODataQuery.guessKeyProperty(relationship.endpoint.split('/').pop(), records);
+            const same = (a, b) => a !== undefined && a !== null && String(a).toLowerCase() === String(b).toLowerCase();
+
+            const value = relationship.foreignKey
+                ? records.filter(candidate => same(candidate[relationship.foreignKey], record[relationship.localKey || sourceKey]))
+                : records.find(candidate => same(candidate[keyProperty], record[relationship.localKey])) || null;
+
+            return {
+                value,
+                keyProperty,
+                navigationProperties: Object.keys(options.navigation || {}),
+                resolveNavigation: this.navigationResolver(options.navigation, keyProperty)
+            };
+        };
+    }
+
+    /**
+     * Count a hit in memory; counts are written in batches, not on every request
+     */
+    updateMockStats(mockId) {
+        this.configFile.recordHit(mockId);
+    }
+
+    /**
+     * Write hit counts that are still in memory
+     */
+    async flushStats() {
+        try {
+            await this.configFile.flush();
         } catch (error) {
-            // Silently fail - stats are not critical
+            console.warn(chalk.yellow(`⚠️  Could not save mock hit counts: ${error.message}`));
         }
     }
 
+    /**
+     * Stop watching the mock file and write pending hit counts (on shutdown)
+     */
+    async close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        await this.flushStats();
+    }
+
     /**
      * Get mock statistics
      */
     async getStats() {
         try {
-            const config = await fs.readJson(this.mockConfigFile);
+            const config = await this.configFile.read();
             const mocks = config.mocks || [];
             
             return {
@@ -237,6 +485,177 @@ class MockMiddleware {
         }
     }
 
+    /**
+     * Problems with a mock submitted through the admin API, empty when it is usable
+     */
+    validateMock(mock) {
+        return MockSchema.validate(mock);
+    }
+
+    /**
+     * A PATCH body applied to a stored mock; request, response and options merge one level deep
+     */
+    mergeMock(existing, patch) {
+        const merged = { ...existing, ...patch };
+        ['request', 'response', 'options'].forEach(field => {
+            if (existing[field] && patch[field] && typeof patch[field] === 'object' && !Array.isArray(patch[field])) {
+                merged[field] = { ...existing[field], ...patch[field] };
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Dry run: the mock that would answer a request, without counting a hit or
+     * advancing sequences and scenarios
+     */
+    explainMatch({ method = 'GET', url = '/', headers = {}, body, set } = {}) {
+        const parsed = new URL(url, 'http://localhost');
+        const query = {};
+        parsed.searchParams.forEach((value, key) => {
+            query[key] = value;
+        });
+        const req = {
+            method: String(method).toUpperCase(),
+            path: ApiPath.relative(parsed.pathname),
+            query,
+            headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+            body
+        };
+        if (set) {
+            req.headers[MockSets.HEADER] = set;
+        }
+
+        const candidates = this.candidatesFor(req);
+        const mismatches = [];
+        const mock = candidates.mocks.find(candidate => {
+            const reason = this.mismatchReason(candidate, req);
+            if (reason) {
+                mismatches.push({ id: candidate.id, name: candidate.name, reason });
+            }
+            return !reason;
+        }) || null;
+        return {
+            request: { method: req.method, path: req.path, query: req.query },
+            set: candidates.set,
+            matched: Boolean(mock),
+            mock,
+            checked: candidates.mocks.length,
+            mismatches
+        };
+    }
+
+    /**
+     * Give the listed mocks non-increasing priorities in the given order, raising
+     * a priority only where a mock has to move above the next one
+     */
+    static reorder(mocks, ids) {
+        const listed = ids.map(id => mocks.find(mock => mock.id === id));
+        for (let i = listed.length - 2; i >= 0; i--) {
+            const next = listed[i + 1].priority || 0;
+            if ((listed[i].priority || 0) <= next) {
+                listed[i].priority = next + 1;
+            }
+        }
+        // Ties keep array order through the stable priority sort
+        const rest = mocks.filter(mock => !ids.includes(mock.id));
+        mocks.splice(0, mocks.length, ...listed, ...rest);
+        return listed.map(mock => ({ id: mock.id, name: mock.name, priority: mock.priority }));
+    }
+
+    /**
+     * Fill in defaults and drop credential headers before a mock from the admin API
+     * is saved; bodies written in the dashboard are kept as entered
+     */
+    prepareMock(mock, existing = {}) {
+        const now = new Date().toISOString();
+        return this.sanitizer.sanitizeHeaders({
+            ...existing,
+            ...mock,
+            id: existing.id || mock.id || crypto.randomBytes(8).toString('hex'),
+            name: mock.name || `${mock.request.method.toUpperCase()} ${mock.request.endpoint}`,
+            enabled: mock.enabled !== false,
+            priority: Number.isFinite(mock.priority) ? mock.priority : 5,
+            request: { ...mock.request, method: mock.request.method.toUpperCase() },
+            options: mock.options || { delay: 0 },
+            createdAt: existing.createdAt || mock.createdAt || now,
+            updatedAt: existing.id ? now : undefined,
+            hitCount: existing.hitCount || 0,
+            lastUsed: existing.lastUsed || null
+        });
+    }
+
+    /**
+     * Validate and save a new mock: { created } or { errors }
+     */
+    async createMock(mock) {
+        const errors = this.validateMock(mock);
+        if (errors.length > 0) {
+            return { errors };
+        }
+        const created = await this.updateMockConfig(config => {
+            const prepared = this.prepareMock(mock);
+            config.mocks.push(prepared);
+            return prepared;
+        });
+        return { created };
+    }
+
+    /**
+     * A mock that answers a logged request (see RequestLog) the way it was answered
+     */
+    mockFromRequest(entry, { name, priority } = {}) {
+        const parsed = new URL(entry.url, 'http://localhost');
+        const queryParams = {};
+        parsed.searchParams.forEach((value, key) => {
+            if (key !== 'persona') {
+                queryParams[key] = value;
+            }
+        });
+        const contentType = Object.entries(entry.response.headers).find(([header]) => header.toLowerCase() === 'content-type');
+
+        return {
+            name,
+            priority,
+            description: `Created from a ${entry.servedBy.type} response at ${entry.time}`,
+            request: {
+                method: entry.method,
+                endpoint: ApiPath.relative(parsed.pathname),
+                url: entry.servedBy.target,
+                headers: entry.request.headers,
+                body: entry.request.body,
+                queryParams
+            },
+            response: {
+                status: entry.status,
+                headers: contentType ? { 'Content-Type': contentType[1] } : {},
+                data: entry.response.body
+            },
+            // Answer exactly what was logged for this query
+            options: { delay: 0, odata: false }
+        };
+    }
+
+    /**
+     * Read-modify-write mocks/mock-config.json, keep it in priority order and reload.
+     * Nothing is written when the update leaves the config as it was (not found,
+     * validation errors).
+     */
+    async updateMockConfig(update) {
+        const { result, changed } = await this.configFile.update(async config => {
+            const before = JSON.stringify(config);
+            const updated = await update(config);
+            if (JSON.stringify(config) !== before) {
+                config.mocks.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+            }
+            return updated;
+        });
+        if (changed) {
+            await this.loadMocks();
+        }
+        return result;
+    }
+
     /**
      * API endpoint to manage mocks programmatically
      */
@@ -247,7 +666,7 @@ class MockMiddleware {
         // Get all mocks
         router.get('/mocks', async (req, res) => {
             try {
-                const config = await fs.readJson(this.mockConfigFile);
+                const config = await this.configFile.read();
                 res.json(config.mocks || []);
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -260,18 +679,248 @@ class MockMiddleware {
             res.json(stats);
         });
 
+        // Export all mocks in the mock-manager export format, or as HAR with ?format=har
+        router.get('/mocks/export', async (req, res) => {
+            try {
+                const config = await this.configFile.read();
+                if (req.query.format === 'har') {
+                    const har = new HarConverter(this.sanitizer).fromMocks(config.mocks || [], `${req.protocol}://${req.get('host')}`);
+                    res.attachment(`mocks-${Date.now()}.har`);
+                    return res.json(har);
+                }
+                res.attachment(`mocks-export-${Date.now()}.json`);
+                res.json({ mocks: this.sanitizer.sanitizeMocks(config.mocks || []) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get one mock
+        router.get('/mocks/:id', async (req, res) => {
+            try {
+                const config = await this.configFile.read();
+                const mock = (config.mocks || []).find(m => m.id === req.params.id);
+                if (!mock) {
+                    return res.status(404).json({ error: 'Mock not found' });
+                }
+                res.json(mock);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Bulk import: { mocks: [...], mode: "merge" | "replace" }. Merge updates mocks
+        // with a matching id and adds the rest; nothing is written unless every mock is valid
+        router.post('/mocks/import', async (req, res) => {
+            const { mocks, mode = 'merge' } = req.body || {};
+            if (!Array.isArray(mocks)) {
+                return res.status(400).json({ errors: ['Body must be { "mocks": [...] }'] });
+            }
+            if (!['merge', 'replace'].includes(mode)) {
+                return res.status(400).json({ errors: ['mode must be "merge" or "replace"'] });
+            }
+            const errors = mocks
+                .map((mock, index) => ({ index, id: mock && mock.id, errors: this.validateMock(mock) }))
+                .filter(result => result.errors.length > 0);
+            if (errors.length > 0) {
+                return res.status(400).json({ errors });
+            }
+
+            try {
+                const result = await this.updateMockConfig(config => {
+                    const counts = { created: 0, updated: 0 };
+                    if (mode === 'replace') {
+                        config.mocks = [];
+                    }
+                    // Imported files are scrubbed like any captured mock
+                    this.sanitizer.sanitizeMocks(mocks).forEach(mock => {
+                        const index = mock.id ? config.mocks.findIndex(m => m.id === mock.id) : -1;
+                        if (index === -1) {
+                            config.mocks.push(this.prepareMock(mock));
+                            counts.created++;
+                        } else {
+                            config.mocks[index] = this.prepareMock(mock, config.mocks[index]);
+                            counts.updated++;
+                        }
+                    });
+                    return { ...counts, total: config.mocks.length };
+                });
+                console.log(chalk.green(`🎭 Imported ${mocks.length} mock(s) (${mode})`));
+                res.json({ success: true, mode, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Reorder: { ids: [...] } in the order they should be tried
+        router.post('/mocks/reorder', async (req, res) => {
+            const ids = req.body && req.body.ids;
+            if (!Array.isArray(ids) || ids.length === 0 || new Set(ids).size !== ids.length) {
+                return res.status(400).json({ errors: ['Body must be { "ids": [...] } with each mock id once'] });
+            }
+            try {
+                const result = await this.updateMockConfig(config => {
+                    const missing = ids.filter(id => !config.mocks.some(m => m.id === id));
+                    return missing.length > 0 ? { missing } : { order: MockMiddleware.reorder(config.mocks, ids) };
+                });
+                if (result.missing) {
+                    return res.status(404).json({ error: `Mock(s) not found: ${result.missing.join(', ')}` });
+                }
+                res.json({ success: true, order: result.order });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Which mock would answer { method, url, headers, body }
+        router.post('/mocks/match', (req, res) => {
+            const { method, url } = req.body || {};
+            if (typeof url !== 'string' || (method !== undefined && !MockSchema.METHODS.includes(String(method).toUpperCase()))) {
+                return res.status(400).json({ errors: ['Body must be { "method": "GET", "url": "/_api/...", "headers": {}, "body": ... }'] });
+            }
+            try {
+                new URL(url, 'http://localhost');
+            } catch (error) {
+                return res.status(400).json({ errors: [`url is not a valid URL: ${url}`] });
+            }
+            res.json(this.explainMatch(req.body));
+        });
+
+        // Create mock
+        router.post('/mocks', async (req, res) => {
+            const errors = this.validateMock(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({ errors });
+            }
+            try {
+                const mock = await this.updateMockConfig(config => {
+                    if (req.body.id && config.mocks.some(m => m.id === req.body.id)) {
+                        return null;
+                    }
+                    const created = this.prepareMock(req.body);
+                    config.mocks.push(created);
+                    return created;
+                });
+                if (!mock) {
+                    return res.status(409).json({ error: `A mock with id "${req.body.id}" already exists` });
+                }
+                console.log(chalk.green(`🎭 Mock created: ${mock.name}`));
+                res.status(201).json(mock);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Create mock from a cURL command copied from the browser
+        router.post('/mocks/from-curl', async (req, res) => {
+            const { curl, name, priority, response } = req.body || {};
+            if (typeof curl !== 'string' || !/curl|https?:\/\//.test(curl)) {
+                return res.status(400).json({ errors: ['curl must be a cURL command'] });
+            }
+
+            const parsed = CurlParser.parse(curl);
+            // Mocks match paths relative to /_api or /api
+            const endpoint = ApiPath.relative(parsed.endpoint.split('?')[0]);
+            const mock = {
+                name,
+                priority,
+                request: {
+                    method: parsed.method,
+                    endpoint,
+                    url: parsed.url,
+                    headers: parsed.headers,
+                    body: parsed.body,
+                    queryParams: parsed.queryParams
+                },
+                response: {
+                    status: 200,
+                    headers: { 'Content-Type': typeof response?.data === 'string' ? 'text/plain' : 'application/json' },
+                    data: null,
+                    ...response
+                }
+            };
+
+            try {
+                const { errors, created } = await this.createMock(mock);
+                if (errors) {
+                    return res.status(400).json({ errors });
+                }
+                console.log(chalk.green(`🎭 Mock created from cURL: ${created.name}`));
+                res.status(201).json(created);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Replace mock
+        router.put('/mocks/:id', async (req, res) => {
+            const errors = this.validateMock(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({ errors });
+            }
+            try {
+                const mock = await this.updateMockConfig(config => {
+                    const index = config.mocks.findIndex(m => m.id === req.params.id);
+                    if (index === -1) {
+                        return null;
+                    }
+                    config.mocks[index] = this.prepareMock({ ...req.body, id: req.params.id }, config.mocks[index]);
+                    return config.mocks[index];
+                });
+                if (!mock) {
+                    return res.status(404).json({ error: 'Mock not found' });
+                }
+                res.json(mock);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Update some fields of a mock
+        router.patch('/mocks/:id', async (req, res) => {
+            if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+                return res.status(400).json({ errors: ['Mock must be a JSON object'] });
+            }
+            try {
+                const result = await this.updateMockConfig(config => {
+                    const index = config.mocks.findIndex(m => m.id === req.params.id);
+                    if (index === -1) {
+                        return null;
+                    }
+                    const merged = this.mergeMock(config.mocks[index], { ...req.body, id: req.params.id });
+                    const errors = this.validateMock(merged);
+                    if (errors.length > 0) {
+                        return { errors };
+                    }
+                    config.mocks[index] = this.prepareMock(merged, config.mocks[index]);
+                    return { mock: config.mocks[index] };
+                });
+                if (!result) {
+                    return res.status(404).json({ error: 'Mock not found' });
+                }
+                if (result.errors) {
+                    return res.status(400).json({ errors: result.errors });
+                }
+                res.json(result.mock);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Toggle mock
         router.post('/mocks/:id/toggle', async (req, res) => {
             try {
-                const config = await fs.readJson(this.mockConfigFile);
-                const mock = config.mocks.find(m => m.id === req.params.id);
+                const { result: mock } = await this.configFile.update(config => {
+                    const found = config.mocks.find(m => m.id === req.params.id);
+                    if (found) {
+                        found.enabled = !found.enabled;
+                    }
+                    return found;
+                });
                 
                 if (!mock) {
                     return res.status(404).json({ error: 'Mock not found' });
                 }
-
-                mock.enabled = !mock.enabled;
-                await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
                 
                 // Reload mocks
                 await this.loadMocks();
@@ -289,15 +938,19 @@ class MockMiddleware {
         // Delete mock
         router.delete('/mocks/:id', async (req, res) => {
             try {
-                const config = await fs.readJson(this.mockConfigFile);
-                const index = config.mocks.findIndex(m => m.id === req.params.id);
+                const { result: deleted } = await this.configFile.update(config => {
+                    const index = config.mocks.findIndex(m => m.id === req.params.id);
+                    if (index === -1) {
+                        return null;
+                    }
+                    const [removed] = config.mocks.splice(index, 1);
+                    MockSets.removeMocks(config.sets, [removed.id]);
+                    return removed;
+                });
                 
-                if (index === -1) {
+                if (!deleted) {
                     return res.status(404).json({ error: 'Mock not found' });
                 }
-
-                const deleted = config.mocks.splice(index, 1)[0];
-                await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
                 
                 // Reload mocks
                 await this.loadMocks();
@@ -311,15 +964,154 @@ class MockMiddleware {
             }
         });
 
+        // Scenario states and sequence positions
+        router.get('/scenarios', (req, res) => {
+            res.json({
+                scenarios: this.scenarios.describe(this.mocks),
+                sequences: this.mocks.filter(mock => Array.isArray(mock.sequence)).map(mock => ({
+                    id: mock.id,
+                    name: mock.name,
+                    step: this.scenarios.stepOf(mock),
+                    steps: mock.sequence.length
+                }))
+            });
+        });
+
+        // Reset every scenario to "Started" and every sequence to its first step
+        router.post('/scenarios/reset', (req, res) => {
+            this.scenarios.reset(this.mocks);
+            res.json({ success: true, message: 'All scenarios reset' });
+        });
+
+        // Reset one scenario
+        router.post('/scenarios/:name/reset', (req, res) => {
+            this.scenarios.reset(this.mocks, req.params.name);
+            res.json({ success: true, scenario: req.params.name, state: this.scenarios.stateOf(req.params.name) });
+        });
+
+        // Jump a scenario to a state
+        router.put('/scenarios/:name', (req, res) => {
+            const state = req.body && req.body.state;
+            if (!state || typeof state !== 'string') {
+                return res.status(400).json({ error: 'Body must be { "state": "<state name>" }' });
+            }
+            this.scenarios.setState(req.params.name, state);
+            res.json({ success: true, scenario: req.params.name, state });
+        });
+
+        // Mock sets and the server-wide active set
+        router.get('/sets', (req, res) => {
+            res.json({ active: this.sets.active, sets: this.sets.describe(this.allMocks) });
+        });
+
+        // Switch the server-wide set: { "name": "errors" }, or { "name": null } for every enabled mock
+        router.put('/sets/active', async (req, res) => {
+            const name = req.body && req.body.name ? String(req.body.name) : null;
+            if (name && !this.sets.has(name)) {
+                return res.status(404).json({ error: `Unknown mock set: ${name}`, sets: this.sets.names() });
+            }
+            try {
+                await this.updateMockConfig(config => {
+                    config.activeSet = name;
+                });
+                console.log(chalk.blue(`🗂️  Mock set: ${name || 'every enabled mock'}`));
+                res.json({ success: true, active: name });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // A set with the mocks it serves, inherited ones included, in matching order
+        router.get('/sets/:name', (req, res) => {
+            const name = req.params.name;
+            if (!this.sets.has(name)) {
+                return res.status(404).json({ error: `Unknown mock set: ${name}` });
+            }
+            const members = this.sets.members(name);
+            res.json({
+                ...this.sets.describe(this.allMocks).find(set => set.name === name),
+                resolved: this.sets.mocksFor(name, this.allMocks).map(mock => ({
+                    id: mock.id,
+                    name: mock.name,
+                    method: mock.request.method,
+                    endpoint: mock.request.endpoint,
+                    from: members.get(mock.id)
+                }))
+            });
+        });
+
+        // Create or replace a set: { "description", "extends", "mocks": [ids], "exclude": [ids] }
+        router.put('/sets/:name', async (req, res) => {
+            const name = req.params.name;
+            const { description, extends: parents, mocks = [], exclude } = req.body || {};
+            const set = { description, extends: parents, mocks, exclude };
+            Object.keys(set).filter(key => set[key] === undefined).forEach(key => delete set[key]);
+            try {
+                const result = await this.updateMockConfig(config => {
+                    const errors = MockSets.validate(name, set, config.sets || {}, new Set(config.mocks.map(mock => mock.id)));
+                    if (errors.length > 0) {
+                        return { errors };
+                    }
+                    config.sets = config.sets || {};
+                    const created = !config.sets[name];
+                    config.sets[name] = set;
+                    return { created };
+                });
+                if (result.errors) {
+                    return res.status(400).json({ errors: result.errors });
+                }
+                res.status(result.created ? 201 : 200).json({ name, ...set });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        router.delete('/sets/:name', async (req, res) => {
+            const name = req.params.name;
+            if (!this.sets.has(name)) {
+                return res.status(404).json({ error: `Unknown mock set: ${name}` });
+            }
+            const children = this.sets.names().filter(other => MockSets.extendsOf(this.sets.get(other)).includes(name));
+            if (children.length > 0) {
+                return res.status(409).json({ error: `Mock set "${name}" is extended by: ${children.join(', ')}` });
+            }
+            try {
+                await this.updateMockConfig(config => {
+                    delete config.sets[name];
+                    if (config.activeSet === name) {
+                        config.activeSet = null;
+                    }
+                });
+                res.json({ success: true, deleted: name });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Jump a sequence mock to a step (0-based index of the next response)
+        router.put('/mocks/:id/step', (req, res) => {
+            const mock = this.mocks.find(m => m.id === req.params.id);
+            if (!mock || !Array.isArray(mock.sequence)) {
+                return res.status(404).json({ error: 'Sequence mock not found' });
+            }
+            const step = Number(req.body && req.body.step);
+            if (!Number.isInteger(step) || step < 0 || step >= mock.sequence.length) {
+                return res.status(400).json({ error: `step must be an integer from 0 to ${mock.sequence.length - 1}` });
+            }
+            this.scenarios.setStep(mock, step);
+            res.json({ success: true, id: mock.id, step });
+        });
+
         // Clear all mock statistics
         router.post('/mocks/clear-stats', async (req, res) => {
             try {
-                const config = await fs.readJson(this.mockConfigFile);
-                config.mocks.forEach(mock => {
-                    mock.hitCount = 0;
-                    mock.lastUsed = null;
+                this.configFile.clearHits();
+                await this.configFile.update(config => {
+                    config.mocks.forEach(mock => {
+                        mock.hitCount = 0;
+                        mock.lastUsed = null;
+                    });
                 });
-                await fs.writeJson(this.mockConfigFile, config, { spaces: 2 });
                 
                 res.json({ 
                     success: true, 
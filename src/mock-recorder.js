@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const MockSanitizer = require('./mock-sanitizer');
+const MockConfigFile = require('./mock-config-file');
+
+const MODES = ['live', 'record', 'replay'];
+
+// Response headers replayed with a recorded mock
+const RECORDED_RESPONSE_HEADERS = ['content-type', 'odata-entityid', 'location', 'preference-applied'];
+
+/**
+ * Record/replay for the API proxy. In record mode every upstream response is
+ * written to mocks/mock-config.json, one mock per method, path and normalized
+ * query; in replay mode the proxy stays off and unrecorded requests get a 404.
+ */
+class MockRecorder {
+  constructor(config) {
+    this.config = config;
+    // Shares its write queue with the mock admin API and hit counters
+    this.configFile = MockConfigFile.for(config.mockConfigFile);
+    this.mode = MODES.includes(config.mockMode) ? config.mockMode : 'live';
+    this.sanitizer = new MockSanitizer(config.mockSanitize);
+
+    if (config.mockMode && !MODES.includes(config.mockMode)) {
+      console.warn(chalk.yellow(`⚠️  Unknown mock mode "${config.mockMode}", using live`));
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Query string as a stable key: sorted parameters, $select columns sorted
+   */
+  static normalizeQuery(query = {}) {
+    return Object.keys(query)
+      .filter(key => key !== 'persona')
+      .sort()
+      .map(key => {
+        const value = String(query[key]).trim();
+        return `${key}=${key === '$select' ? value.split(',').map(field => field.trim()).sort().join(',') : value}`;
+      })
+      .join('&');
+  }
+
+  static recordKey(method, endpoint, query) {
+    return `${method.toUpperCase()} ${endpoint}?${MockRecorder.normalizeQuery(query)}`;
+  }
+
+  /**
+   * Record key of any saved mock, recorded or not
+   */
+  static keyOf(mock) {
+    return mock.recordKey || MockRecorder.recordKey(mock.request.method, mock.request.endpoint.split('?')[0], mock.request.queryParams || {});
+  }
+
+  shouldRecord(status) {
+    return (status >= 200 && status < 400) || status === 404;
+  }
+
+  pickHeaders(headers, names) {
+    const picked = {};
+    Object.entries(headers || {}).forEach(([key, value]) => {
+      if (names.includes(key.toLowerCase()) && value !== undefined) {
+        picked[key] = value;
+      }
+    });
+    return picked;
+  }
+
+  buildMock(req, response, targetUrl) {
+    const method = req.method.toUpperCase();
+    const query = { ...req.query };
+    delete query.persona;
+    const now = new Date().toISOString();
+
+    return {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: `${method} ${req.path} (recorded)`,
+      description: `Recorded from ${targetUrl}`,
+      enabled: true,
+      priority: 5,
+      source: 'recording',
+      recordKey: MockRecorder.recordKey(method, req.path, query),
+      request: {
+        method,
+        endpoint: req.path,
+        url: targetUrl,
+        headers: req.headers,
+        body: ['GET', 'HEAD', 'DELETE'].includes(method) ? null : (req.body === undefined ? null : req.body),
+        queryParams: query
+      },
+      response: {
+        status: response.status,
+        data: response.data,
+        headers: this.pickHeaders(response.headers, RECORDED_RESPONSE_HEADERS)
+      },
+      options: {
+        delay: 0,
+        // Replay exactly what was recorded for this query
+        odata: false
+      },
+      createdAt: now,
+      recordedAt: now,
+      lastUsed: null,
+      hitCount: 0
+    };
+  }
+
+  /**
+   * Where a new recording goes: ahead of the first mock with a lower priority, or
+   * with the same priority and a less specific query, so a bare GET /incidents
+   * recording does not shadow GET /incidents?$filter=... Existing mocks keep
+   * their order.
+   */
+  insertionIndex(mocks, mock) {
+    const priority = mock.priority || 0;
+    const specificity = Object.keys(mock.request.queryParams || {}).length;
+    const index = mocks.findIndex(other => {
+      const otherPriority = other.priority || 0;
+      if (otherPriority !== priority) {
+        return otherPriority < priority;
+      }
+      return Object.keys((other.request && other.request.queryParams) || {}).length < specificity;
+    });
+    return index === -1 ? mocks.length : index;
+  }
+
+  /**
+   * Save an upstream response; a repeat of the same request replaces its recording
+   */
+  async record(req, response, targetUrl) {
+    if (!this.shouldRecord(response.status)) {
+      console.log(chalk.gray(`   ↳ Not recording ${req.method} ${req.path} (${response.status})`));
+      return;
+    }
+
+    // Cookies, tokens and (if configured) PII never reach the mock file
+    const mock = this.sanitizer.sanitizeMock(this.buildMock(req, response, targetUrl));
+    return this.configFile.update(config => {
+      const existing = config.mocks.find(candidate => candidate.recordKey === mock.recordKey);
+      if (existing) {
+        existing.request = mock.request;
+        existing.response = mock.response;
+        existing.recordedAt = mock.recordedAt;
+        console.log(chalk.magenta(`📼 Updated recording: ${mock.recordKey}`));
+      } else {
+        config.mocks.splice(this.insertionIndex(config.mocks, mock), 0, mock);
+        console.log(chalk.magenta(`📼 Recorded: ${mock.recordKey}`));
+      }
+    }).catch(error => {
+      console.error(chalk.red('❌ Failed to record mock:'), error.message);
+    });
+  }
+
+  /**
+   * Last /_api handler in replay mode: nothing recorded, and no network to ask
+   */
+  replayFallback() {
+    return (req, res) => {
+      console.log(chalk.yellow(`📼 No recording for ${req.method} ${req.baseUrl}${req.url}`));
+      res.locals.servedBy = { type: 'replay-miss' };
+      res.status(404).json({
+        error: {
+          code: 'MockNotRecorded',
+          message: `No recorded response for ${req.method} ${req.baseUrl}${req.path}. Run the server in record mode (npm run record) to capture it.`
+        }
+      });
+    };
+  }
+}
+
+module.exports = MockRecorder;
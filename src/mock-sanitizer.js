@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+
+const REDACTED = '[REDACTED]';
+
+// Request headers a mock keeps; the matcher uses none of the others
+const KEPT_REQUEST_HEADERS = ['accept', 'content-type', 'prefer'];
+
+// Response headers that must never be replayed or committed
+const DROPPED_RESPONSE_HEADERS = ['set-cookie', 'authorization', 'www-authenticate', 'x-ms-request-id', 'req_id', 'request-id', 'traceparent'];
+
+// Headers whose values are credentials, redacted if a config keeps them anyway
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', '__requestverificationtoken', 'x-api-key'];
+
+// Body fields and query parameters holding credentials
+const CREDENTIAL_FIELDS = /(^|_)(password|passwd|secret|token|access_?token|refresh_?token|id_?token|client_?secret|api_?key|requestverificationtoken)$/i;
+const CREDENTIAL_QUERY = /^(sig|signature|token|access_token|id_token|api[-_]?key|client_secret|password)$/i;
+
+// Credentials embedded in free text
+const SECRET_PATTERNS = [
+  { pattern: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g, replacement: '[REDACTED_JWT]' },
+  { pattern: /\b(Bearer)\s+[\w\-.~+/]+=*/gi, replacement: '$1 [REDACTED]' },
+  { pattern: /\b(ARRAffinity(?:SameSite)?|__RequestVerificationToken|\.AspNet\.[\w.]+|Dynamics365PortalAnalytics)=[^;\s"]+/g, replacement: '$1=[REDACTED]' }
+];
+
+// Used when config sets "anonymize": true
+const DEFAULT_PII_FIELDS = {
+  fullname: 'name',
+  firstname: 'name',
+  lastname: 'name',
+  yomifullname: 'name',
+  emailaddress1: 'email',
+  emailaddress2: 'email',
+  internalemailaddress: 'email',
+  telephone1: 'phone',
+  telephone2: 'phone',
+  mobilephone: 'phone',
+  address1_line1: 'redact',
+  address1_composite: 'redact',
+  birthdate: 'redact'
+};
+
+/**
+ * Strips credentials and unused headers from mocks before they are written,
+ * and optionally anonymizes PII in request and response bodies
+ * (config.json mocks.sanitize.anonymize: true or { field: 'name'|'email'|'phone'|'redact'|<literal> }).
+ */
+class MockSanitizer {
+  constructor(options = {}) {
+    this.keepHeaders = [...KEPT_REQUEST_HEADERS, ...(options.keepHeaders || []).map(header => header.toLowerCase())];
+    this.anonymize = options.anonymize === true
+      ? DEFAULT_PII_FIELDS
+      : Object.fromEntries(Object.entries(options.anonymize || {}).map(([field, rule]) => [field.toLowerCase(), rule]));
+  }
+
+  /**
+   * Sanitizer configured from config.json (mocks.sanitize), for the CLI scripts
+   */
+  static fromProjectConfig() {
+    const ConfigLoader = require('../config-loader');
+    return new MockSanitizer(new ConfigLoader().get('mocks.sanitize') || {});
+  }
+
+  redactText(text) {
+    return SECRET_PATTERNS.reduce((result, { pattern, replacement }) => result.replace(pattern, replacement), text);
+  }
+
+  /**
+   * Stable stand-in so the same person anonymizes the same way across mocks
+   */
+  fakeValue(rule, original) {
+    const hash = crypto.createHash('sha256').update(String(original)).digest('hex');
+    switch (rule) {
+      case 'name':
+        return `Person ${hash.slice(0, 6)}`;
+      case 'email':
+        return `user-${hash.slice(0, 8)}@example.com`;
+      case 'phone':
+        return `555-01${String(parseInt(hash.slice(0, 4), 16) % 100).padStart(2, '0')}`;
+      case 'redact':
+        return REDACTED;
+      default:
+        return rule;
+    }
+  }
+
+  anonymizeRule(key) {
+    // Formatted value annotations follow their column
+    return this.anonymize[key.split('@')[0].toLowerCase()];
+  }
+
+  sanitizeValue(value, key = '') {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.sanitizeValue(item, key));
+    }
+    if (typeof value === 'object') {
+      const result = {};
+      Object.entries(value).forEach(([childKey, childValue]) => {
+        result[childKey] = this.sanitizeValue(childValue, childKey);
+      });
+      return result;
+    }
+
+    const property = key.split('@')[0];
+    if (property && CREDENTIAL_FIELDS.test(property)) {
+      return REDACTED;
+    }
+    const rule = key && this.anonymizeRule(key);
+    if (rule && typeof value !== 'boolean') {
+      return this.fakeValue(rule, value);
+    }
+    return typeof value === 'string' ? this.redactText(value) : value;
+  }
+
+  /**
+   * Redact credential query parameters in place; the rest of the URL keeps its
+   * exact encoding, so it still parses back to the same query
+   */
+  sanitizeUrl(url) {
+    if (!url || typeof url !== 'string') {
+      return url;
+    }
+    const match = url.match(/^([^?#]*\?)([^#]*)(#.*)?$/);
+    let result = url;
+    if (match) {
+      const [, base, query, hash = ''] = match;
+      const pairs = query.split('&');
+      const redacted = pairs.map(pair => {
+        const name = pair.split('=')[0];
+        let decoded = name;
+        try {
+          decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+        } catch (error) {
+          // Match the raw name
+        }
+        return CREDENTIAL_QUERY.test(decoded) ? `${name}=${REDACTED}` : pair;
+      });
+      if (redacted.some((pair, index) => pair !== pairs[index])) {
+        result = `${base}${redacted.join('&')}${hash}`;
+      }
+    }
+
+    try {
+      new URL(result);
+      return result;
+    } catch (error) {
+      // Relative or pasted URLs: also scrub tokens that appear as plain text
+      return this.redactText(result);
+    }
+  }
+
+  sanitizeQueryParams(queryParams) {
+    if (!queryParams || typeof queryParams !== 'object') {
+      return queryParams;
+    }
+    const result = {};
+    Object.entries(queryParams).forEach(([name, value]) => {
+      result[name] = CREDENTIAL_QUERY.test(name) ? REDACTED : value;
+    });
+    return result;
+  }
+
+  sanitizeRequestHeaders(headers) {
+    const result = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      const lower = name.toLowerCase();
+      if (this.keepHeaders.includes(lower)) {
+        result[name] = CREDENTIAL_HEADERS.includes(lower) ? REDACTED : value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Every header kept, credentials redacted (for headers shown rather than saved)
+   */
+  redactHeaders(headers) {
+    const result = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      result[name] = CREDENTIAL_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+    });
+    return result;
+  }
+
+  sanitizeResponseHeaders(headers) {
+    const result = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      if (!DROPPED_RESPONSE_HEADERS.includes(name.toLowerCase())) {
+        result[name] = typeof value === 'string' ? this.redactText(value) : value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Only the header rules of sanitizeMock, for mocks written by hand: their
+   * bodies and URLs are saved as entered
+   */
+  sanitizeHeaders(mock) {
+    const sanitized = { ...mock };
+
+    if (mock.request && mock.request.headers) {
+      sanitized.request = { ...mock.request, headers: this.sanitizeRequestHeaders(mock.request.headers) };
+    }
+    if (mock.response && mock.response.headers) {
+      sanitized.response = { ...mock.response, headers: this.sanitizeResponseHeaders(mock.response.headers) };
+    }
+
+    ['responses', 'sequence'].filter(field => Array.isArray(mock[field])).forEach(field => {
+      sanitized[field] = mock[field].map(variant => (
+        variant.headers ? { ...variant, headers: this.sanitizeResponseHeaders(variant.headers) } : variant
+      ));
+    });
+
+    return sanitized;
+  }
+
+  /**
+   * Sanitize a mock in either format: mocks/mock-config.json entries or add-mock.js
+   * files ({ endpoint, method, request: { url, headers, data }, response })
+   */
+  sanitizeMock(mock) {
+    const sanitized = this.sanitizeHeaders(mock);
+
+    if (mock.request) {
+      sanitized.request = { ...sanitized.request };
+      if (mock.request.url) sanitized.request.url = this.sanitizeUrl(mock.request.url);
+      if (mock.request.queryParams) sanitized.request.queryParams = this.sanitizeQueryParams(mock.request.queryParams);
+      if (mock.request.body !== undefined) sanitized.request.body = this.sanitizeValue(mock.request.body);
+      if (mock.request.data !== undefined) sanitized.request.data = this.sanitizeValue(mock.request.data);
+    }
+
+    if (mock.response) {
+      sanitized.response = { ...sanitized.response };
+      if (mock.response.data !== undefined) sanitized.response.data = this.sanitizeValue(mock.response.data);
+    }
+
+    ['responses', 'sequence'].filter(field => Array.isArray(mock[field])).forEach(field => {
+      sanitized[field] = sanitized[field].map(variant => (
+        variant.data !== undefined ? { ...variant, data: this.sanitizeValue(variant.data) } : variant
+      ));
+    });
+
+    return sanitized;
+  }
+
+  sanitizeMocks(mocks) {
+    return (mocks || []).map(mock => this.sanitizeMock(mock));
+  }
+}
+
+module.exports = MockSanitizer;
@@ -0,0 +1,102 @@
+const chalk = require('chalk');
+
+const STARTED = 'Started';
+
+/**
+ * In-memory state for multi-step mock workflows. A mock can belong to a named
+ * scenario and only match in a given state ("scenario", "requiredState"), move
+ * the scenario on when it is used ("newState"), and answer with the next entry
+ * of a "sequence" on every call (the last entry repeats unless
+ * options.sequenceLoop is set).
+ */
+class MockScenarios {
+  constructor() {
+    this.states = new Map();
+    this.steps = new Map();
+  }
+
+  stateOf(name) {
+    return this.states.get(name) || STARTED;
+  }
+
+  setState(name, state) {
+    const previous = this.stateOf(name);
+    this.states.set(name, state);
+    if (previous !== state) {
+      console.log(chalk.magenta(`🎬 Scenario "${name}": ${previous} → ${state}`));
+    }
+  }
+
+  /**
+   * Whether the mock's scenario is in the state the mock requires
+   */
+  isActive(mock) {
+    return !mock.scenario || !mock.requiredState || this.stateOf(mock.scenario) === mock.requiredState;
+  }
+
+  static keyOf(mock) {
+    return mock.id || mock.name;
+  }
+
+  stepOf(mock) {
+    return this.steps.get(MockScenarios.keyOf(mock)) || 0;
+  }
+
+  setStep(mock, step) {
+    this.steps.set(MockScenarios.keyOf(mock), step);
+  }
+
+  /**
+   * Record a call to a matched mock: returns the sequence entry for this call
+   * (or null) and applies the mock's state transition
+   */
+  advance(mock) {
+    let entry = null;
+    if (Array.isArray(mock.sequence) && mock.sequence.length > 0) {
+      const step = this.stepOf(mock);
+      const index = mock.options?.sequenceLoop ? step % mock.sequence.length : Math.min(step, mock.sequence.length - 1);
+      entry = mock.sequence[index];
+      this.setStep(mock, step + 1);
+      console.log(chalk.gray(`   ↳ Sequence step ${index + 1}/${mock.sequence.length}`));
+    }
+
+    if (mock.scenario && mock.newState) {
+      this.setState(mock.scenario, mock.newState);
+    }
+    return entry;
+  }
+
+  /**
+   * Back to "Started" with every sequence at its first step; a name limits the
+   * reset to that scenario and its mocks
+   */
+  reset(mocks, name = null) {
+    if (name) {
+      this.states.delete(name);
+      mocks.filter(mock => mock.scenario === name).forEach(mock => this.steps.delete(MockScenarios.keyOf(mock)));
+    } else {
+      this.states.clear();
+      this.steps.clear();
+    }
+  }
+
+  describe(mocks) {
+    const names = new Set([...this.states.keys(), ...mocks.filter(mock => mock.scenario).map(mock => mock.scenario)]);
+    return [...names].map(name => ({
+      name,
+      state: this.stateOf(name),
+      states: [...new Set([STARTED, ...mocks.filter(mock => mock.scenario === name).flatMap(mock => [mock.requiredState, mock.newState]).filter(Boolean)])],
+      mocks: mocks.filter(mock => mock.scenario === name).map(mock => ({
+        id: mock.id,
+        name: mock.name,
+        requiredState: mock.requiredState || null,
+        newState: mock.newState || null,
+        ...(Array.isArray(mock.sequence) && { step: this.stepOf(mock), steps: mock.sequence.length })
+      }))
+    }));
+  }
+}
+
+MockScenarios.STARTED = STARTED;
+
+module.exports = MockScenarios;
@@ -0,0 +1,137 @@
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+const MATCH_SOURCES = ['body', 'headers', 'query', 'params'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validation rules for mocks, shared by add-mock.js (mock-data files:
+ * { endpoint, method, response }) and the /_mock-admin API (mocks/mock-config.json
+ * entries: { request: { method, endpoint }, response, ... }). Both return a list
+ * of problems, empty when the mock is usable.
+ */
+class MockSchema {
+  /**
+   * The add-mock.js rules: endpoint, method and response are required, the
+   * response needs data or a status, the method must be an HTTP method and the
+   * endpoint must start with "/"
+   */
+  static validateBasics({ endpoint, method, response }, prefix = '') {
+    const errors = [];
+    [['endpoint', endpoint], ['method', method], ['response', response]].forEach(([field, value]) => {
+      if (!value) {
+        errors.push(`Missing required field: ${prefix && field !== 'response' ? prefix : ''}${field}`);
+      }
+    });
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    if (!response.data && response.status === undefined) {
+      errors.push('Response must have either data or status field');
+    }
+    if (!METHODS.includes(String(method).toUpperCase())) {
+      errors.push(`Invalid HTTP method: ${method}`);
+    }
+    if (typeof endpoint !== 'string' || !endpoint.startsWith('/')) {
+      errors.push('Endpoint must start with "/"');
+    }
+    return errors;
+  }
+
+  static validateResponse(response, label) {
+    const errors = [];
+    if (!isObject(response)) {
+      return [`${label} must be an object`];
+    }
+    if (response.status !== undefined && !(Number.isInteger(response.status) && response.status >= 100 && response.status < 600)) {
+      errors.push(`${label}.status must be an HTTP status code (100-599)`);
+    }
+    if (response.headers !== undefined && !isObject(response.headers)) {
+      errors.push(`${label}.headers must be an object`);
+    }
+    return errors;
+  }
+
+  static validateRules(rules, label) {
+    if (!isObject(rules)) {
+      return [`${label} must be an object`];
+    }
+    return Object.keys(rules)
+      .filter(source => !MATCH_SOURCES.includes(source) || !isObject(rules[source]))
+      .map(source => (MATCH_SOURCES.includes(source)
+        ? `${label}.${source} must be an object`
+        : `${label}.${source} is not supported (use ${MATCH_SOURCES.join(', ')})`));
+  }
+
+  /**
+   * Full check of a mocks/mock-config.json entry
+   */
+  static validate(mock) {
+    if (!isObject(mock)) {
+      return ['Mock must be a JSON object'];
+    }
+    if (!isObject(mock.request)) {
+      return ['Missing required field: request'];
+    }
+
+    const errors = MockSchema.validateBasics({
+      endpoint: mock.request.endpoint,
+      method: mock.request.method,
+      response: mock.response
+    }, 'request.');
+    if (mock.response) {
+      errors.push(...MockSchema.validateResponse(mock.response, 'response'));
+    }
+
+    if (mock.name !== undefined && typeof mock.name !== 'string') {
+      errors.push('name must be a string');
+    }
+    if (mock.enabled !== undefined && typeof mock.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+    if (mock.priority !== undefined && !Number.isFinite(mock.priority)) {
+      errors.push('priority must be a number');
+    }
+    if (mock.request.queryParams !== undefined && !isObject(mock.request.queryParams)) {
+      errors.push('request.queryParams must be an object');
+    }
+    if (mock.request.match !== undefined) {
+      errors.push(...MockSchema.validateRules(mock.request.match, 'request.match'));
+    }
+    if (mock.options !== undefined) {
+      if (!isObject(mock.options)) {
+        errors.push('options must be an object');
+      } else if (mock.options.delay !== undefined && !(Number.isFinite(mock.options.delay) && mock.options.delay >= 0)) {
+        errors.push('options.delay must be a number of milliseconds');
+      }
+    }
+
+    ['responses', 'sequence'].filter(field => mock[field] !== undefined).forEach(field => {
+      if (!Array.isArray(mock[field])) {
+        errors.push(`${field} must be an array`);
+        return;
+      }
+      mock[field].forEach((variant, index) => {
+        errors.push(...MockSchema.validateResponse(variant, `${field}[${index}]`));
+        if (field === 'responses' && isObject(variant) && variant.when !== undefined) {
+          errors.push(...MockSchema.validateRules(variant.when, `responses[${index}].when`));
+        }
+      });
+    });
+
+    ['scenario', 'requiredState', 'newState'].filter(field => mock[field] !== undefined).forEach(field => {
+      if (typeof mock[field] !== 'string' || !mock[field]) {
+        errors.push(`${field} must be a non-empty string`);
+      }
+    });
+    if ((mock.requiredState || mock.newState) && !mock.scenario) {
+      errors.push('requiredState and newState need a scenario');
+    }
+
+    return errors;
+  }
+}
+
+MockSchema.METHODS = METHODS;
+
+module.exports = MockSchema;
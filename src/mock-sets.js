@@ -0,0 +1,195 @@
+const chalk = require('chalk');
+const Cookies = require('./cookies');
+
+const SET_HEADER = 'x-mock-set';
+const SET_COOKIE = 'pp-mock-set';
+const SET_NAME = /^[\w.-][\w .-]*$/;
+
+/**
+ * Named collections of mocks ("happy-path", "errors", "demo") kept next to the
+ * mocks in mocks/mock-config.json:
+ *
+ *   "activeSet": "happy-path",
+ *   "sets": { "errors": { "extends": "happy-path", "mocks": [ids], "exclude": [ids] } }
+ *
+ * A set serves its own mocks first, then those inherited from the sets it
+ * extends (minus "exclude"), so it can override a base set's answer for the same
+ * request. A request picks its set with the X-Mock-Set header or the pp-mock-set
+ * cookie, otherwise the server-wide activeSet applies; with no set at all every
+ * enabled mock takes part, as before. Sets serve their members whether or not
+ * they are enabled, so a disabled mock listed in a set answers only in sets.
+ */
+class MockSets {
+  constructor() {
+    this.sets = {};
+    this.active = null;
+    this.cache = new Map();
+    this.warned = new Set();
+  }
+
+  static extendsOf(set) {
+    if (!set.extends) return [];
+    return Array.isArray(set.extends) ? set.extends : [set.extends];
+  }
+
+  /**
+   * Problems with a set definition, empty when it can be saved
+   */
+  static validate(name, set, sets = {}, mockIds = null) {
+    const errors = [];
+    if (typeof name !== 'string' || !SET_NAME.test(name) || name === 'active') {
+      errors.push(`Invalid set name: ${name}`);
+    }
+    if (!set || typeof set !== 'object' || Array.isArray(set)) {
+      return [...errors, 'A set must be an object'];
+    }
+    if (set.description !== undefined && typeof set.description !== 'string') {
+      errors.push('description must be a string');
+    }
+    ['mocks', 'exclude'].forEach(field => {
+      if (set[field] === undefined) return;
+      if (!Array.isArray(set[field]) || set[field].some(id => typeof id !== 'string')) {
+        errors.push(`${field} must be an array of mock ids`);
+      } else if (mockIds) {
+        set[field].filter(id => !mockIds.has(id)).forEach(id => errors.push(`Unknown mock in ${field}: ${id}`));
+      }
+    });
+
+    if (set.extends !== undefined && typeof set.extends !== 'string' &&
+        !(Array.isArray(set.extends) && set.extends.every(parent => typeof parent === 'string'))) {
+      errors.push('extends must be a set name or an array of set names');
+      return errors;
+    }
+    const all = { ...sets, [name]: set };
+    MockSets.extendsOf(set).forEach(parent => {
+      if (!all[parent]) {
+        errors.push(`Unknown set in extends: ${parent}`);
+      } else if (MockSets.reaches(all, parent, name)) {
+        errors.push(`Set "${name}" cannot extend "${parent}": the inheritance would loop`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Whether set "from" inherits from set "to", directly or not
+   */
+  static reaches(sets, from, to, seen = new Set()) {
+    if (from === to) return true;
+    if (seen.has(from) || !sets[from]) return false;
+    seen.add(from);
+    return MockSets.extendsOf(sets[from]).some(parent => MockSets.reaches(sets, parent, to, seen));
+  }
+
+  /**
+   * Drop deleted mocks from every set that lists them
+   */
+  static removeMocks(sets = {}, ids) {
+    Object.values(sets).forEach(set => {
+      ['mocks', 'exclude'].filter(field => Array.isArray(set[field])).forEach(field => {
+        set[field] = set[field].filter(id => !ids.includes(id));
+      });
+    });
+  }
+
+  load(config = {}) {
+    this.sets = config.sets && typeof config.sets === 'object' ? config.sets : {};
+    this.active = config.activeSet || null;
+    this.cache.clear();
+
+    const mockIds = new Set((config.mocks || []).map(mock => mock.id));
+    Object.entries(this.sets).forEach(([name, set]) => {
+      MockSets.validate(name, set, this.sets, mockIds)
+        .forEach(error => console.warn(chalk.yellow(`⚠️  Mock set "${name}": ${error}`)));
+    });
+    if (this.active && !this.has(this.active)) {
+      console.warn(chalk.yellow(`⚠️  Active mock set "${this.active}" is not defined, using every enabled mock`));
+      this.active = null;
+    }
+  }
+
+  has(name) {
+    return Boolean(name) && Object.prototype.hasOwnProperty.call(this.sets, name);
+  }
+
+  get(name) {
+    return this.has(name) ? this.sets[name] : null;
+  }
+
+  names() {
+    return Object.keys(this.sets);
+  }
+
+  /**
+   * Mock id → name of the set it comes from; own mocks first, then inherited ones
+   */
+  members(name, trail = []) {
+    const set = this.sets[name];
+    const members = new Map();
+    if (!set || trail.includes(name)) {
+      return members;
+    }
+    (set.mocks || []).forEach(id => members.set(id, name));
+    const exclude = set.exclude || [];
+    MockSets.extendsOf(set).forEach(parent => {
+      this.members(parent, [...trail, name]).forEach((from, id) => {
+        if (!members.has(id) && !exclude.includes(id)) {
+          members.set(id, from);
+        }
+      });
+    });
+    return members;
+  }
+
+  /**
+   * The mocks a set serves (from all mocks, disabled ones included), in matching
+   * order: closer sets first, then priority
+   */
+  mocksFor(name, mocks) {
+    if (!this.cache.has(name)) {
+      const members = this.members(name);
+      const layers = [...new Set(members.values())];
+      const rank = mock => layers.indexOf(members.get(mock.id));
+      this.cache.set(name, mocks.filter(mock => members.has(mock.id)).sort((a, b) => rank(a) - rank(b)));
+    }
+    return this.cache.get(name);
+  }
+
+  /**
+   * The set a request asked for (header, then cookie), else the server-wide active set
+   */
+  selectFor(req) {
+    const requested = (req.headers && req.headers[SET_HEADER]) || Cookies.get(req, SET_COOKIE);
+    if (!requested) {
+      return this.active;
+    }
+    if (this.has(requested)) {
+      return requested;
+    }
+    if (!this.warned.has(requested)) {
+      this.warned.add(requested);
+      console.warn(chalk.yellow(`⚠️  Unknown mock set "${requested}", using ${this.active ? `"${this.active}"` : 'every enabled mock'}`));
+    }
+    return this.active;
+  }
+
+  describe(mocks) {
+    return this.names().map(name => {
+      const set = this.sets[name];
+      return {
+        name,
+        description: set.description || '',
+        extends: MockSets.extendsOf(set),
+        mocks: set.mocks || [],
+        exclude: set.exclude || [],
+        size: this.mocksFor(name, mocks).length,
+        active: name === this.active
+      };
+    });
+  }
+}
+
+MockSets.HEADER = SET_HEADER;
+MockSets.COOKIE = SET_COOKIE;
+
+module.exports = MockSets;
@@ -0,0 +1,195 @@
+const chalk = require('chalk');
+const { v4: uuidv4 } = require('uuid');
+
+const PATH_SEGMENT = /\.\.([\w$@-]+|\*)|\.([\w$@-]+|\*)|\[(\d+|\*|'[^']*'|"[^"]*")\]/y;
+const EXPRESSION = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SOURCES = ['body', 'headers', 'query', 'params'];
+
+/**
+ * Request matching rules and response templating for mocks.
+ *
+ * Rules ({ body, headers, query, params }) map a field, a dotted path or a
+ * JSONPath ($.items[0].name) to a literal, { regex, flags }, { exists } or { equals }.
+ * Templates replace {{body.title}}, {{params.id}}, {{query.$top}}, {{headers.prefer}},
+ * {{newId}}, {{guid}}, {{now}}, {{today}} and {{timestamp}} anywhere in a response.
+ */
+class MockTemplate {
+  /**
+   * Values selected by a JSONPath subset: .name, ['name'], [0], [*], .* and ..name
+   */
+  static jsonPath(root, expression) {
+    // "$top" is a plain key, "$.top" a JSONPath
+    const text = /^\$(\.|\[|$)/.test(expression) ? expression.slice(1) : `.${expression}`;
+    let nodes = [root];
+    PATH_SEGMENT.lastIndex = 0;
+
+    while (PATH_SEGMENT.lastIndex < text.length) {
+      const start = PATH_SEGMENT.lastIndex;
+      const match = PATH_SEGMENT.exec(text);
+      if (!match) {
+        throw new Error(`Invalid JSONPath at position ${start + 1}`);
+      }
+      const [, descendant, child, bracket] = match;
+      const name = bracket !== undefined ? bracket.replace(/^['"]|['"]$/g, '') : (descendant || child);
+      const candidates = descendant ? nodes.flatMap(node => MockTemplate.descendants(node)) : nodes;
+      nodes = candidates.flatMap(node => MockTemplate.select(node, name));
+    }
+    return nodes;
+  }
+
+  static descendants(node) {
+    if (!node || typeof node !== 'object') {
+      return [node];
+    }
+    return [node, ...Object.values(node).flatMap(child => MockTemplate.descendants(child))];
+  }
+
+  static select(node, name) {
+    if (!node || typeof node !== 'object') {
+      return [];
+    }
+    if (name === '*') {
+      return Object.values(node);
+    }
+    return Object.prototype.hasOwnProperty.call(node, name) ? [node[name]] : [];
+  }
+
+  static deepEqual(a, b) {
+    if (a === b) {
+      return true;
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+      // Query values and headers are strings; "5" matches 5
+      return a !== undefined && a !== null && b !== null && typeof a !== 'object' && typeof b !== 'object' && String(a) === String(b);
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => MockTemplate.deepEqual(a[key], b[key]));
+  }
+
+  static matchValue(actual, expected) {
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+      if (expected.regex !== undefined) {
+        return actual !== undefined && actual !== null && new RegExp(expected.regex, expected.flags || '').test(String(actual));
+      }
+      if (expected.exists !== undefined) {
+        return (actual !== undefined) === Boolean(expected.exists);
+      }
+      if (expected.equals !== undefined) {
+        return MockTemplate.deepEqual(actual, expected.equals);
+      }
+    }
+    return MockTemplate.deepEqual(actual, expected);
+  }
+
+  /**
+   * Every rule must hold; a JSONPath rule holds when any selected value matches
+   */
+  static matches(rules, context) {
+    return MockTemplate.failedRule(rules, context) === null;
+  }
+
+  /**
+   * The first rule that does not hold ({ source, key, expected }), or null
+   */
+  static failedRule(rules, context) {
+    if (!rules) {
+      return null;
+    }
+    for (const source of SOURCES.filter(name => rules[name])) {
+      for (const [key, expected] of Object.entries(rules[source])) {
+        let holds;
+        try {
+          const values = source === 'headers'
+            ? [context.headers[key.toLowerCase()]]
+            : MockTemplate.jsonPath(context[source], key);
+          holds = (values.length > 0 ? values : [undefined]).some(value => MockTemplate.matchValue(value, expected));
+        } catch (error) {
+          // Bad JSONPath or regex in a mock never matches
+          console.warn(chalk.yellow(`⚠️  Invalid ${source} rule '${key}': ${error.message}`));
+          holds = false;
+        }
+        if (!holds) {
+          return { source, key, expected };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Template context for one request; newId stays the same across the whole response
+   */
+  static context(req, params = {}) {
+    const now = new Date();
+    return {
+      method: req.method.toUpperCase(),
+      path: req.path,
+      params,
+      query: req.query || {},
+      headers: req.headers || {},
+      body: req.body && typeof req.body === 'object' ? req.body : {},
+      newId: uuidv4(),
+      now: now.toISOString(),
+      today: now.toISOString().slice(0, 10),
+      timestamp: now.getTime()
+    };
+  }
+
+  static evaluate(expression, context) {
+    if (expression === 'guid') {
+      return uuidv4();
+    }
+    const [source, ...rest] = expression.split('.');
+    if (rest.length === 0) {
+      return context[source];
+    }
+    if (source === 'headers') {
+      return context.headers[rest.join('.').toLowerCase()];
+    }
+    if (!SOURCES.includes(source)) {
+      return undefined;
+    }
+    try {
+      return MockTemplate.jsonPath(context[source], rest.join('.'))[0];
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Invalid template expression '${expression}': ${error.message}`));
+      return undefined;
+    }
+  }
+
+  /**
+   * A string that is exactly one {{expression}} keeps the value's type (numbers, objects)
+   */
+  static render(value, context) {
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+      if (whole) {
+        const result = MockTemplate.evaluate(whole[1], context);
+        return result === undefined ? null : result;
+      }
+      return value.replace(EXPRESSION, (match, expression) => {
+        const result = MockTemplate.evaluate(expression, context);
+        if (result === undefined || result === null) {
+          return '';
+        }
+        return typeof result === 'object' ? JSON.stringify(result) : String(result);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => MockTemplate.render(item, context));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.entries(value).forEach(([key, child]) => {
+        result[key] = MockTemplate.render(child, context);
+      });
+      return result;
+    }
+    return value;
+  }
+}
+
+module.exports = MockTemplate;
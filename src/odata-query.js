@@ -0,0 +1,539 @@
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const TOKEN_PATTERN = new RegExp([
+  '\\s*(?:',
+  '(\\()|(\\))|(,)',
+  "|('(?:[^']|'')*')",
+  '|([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})(?![\\w-])',
+  '|(\\d{4}-\\d{2}-\\d{2}(?:T[\\d:.]+(?:Z|[+-]\\d{2}:\\d{2})?)?)(?![\\w-])',
+  '|(-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)[mMdDfFlL]?(?![\\w])',
+  '|([A-Za-z_$][\\w.$]*(?:\\/[A-Za-z_$][\\w.$]*)*)',
+  ')'
+].join(''), 'y');
+
+const COMPARISON_OPERATORS = new Set(['eq', 'ne', 'gt', 'ge', 'lt', 'le']);
+const ANNOTATION_PREFIXES = ['@OData.Community', '@Microsoft.Dynamics'];
+
+/**
+ * Query errors surface as the Dataverse Web API error body with a 400 status
+ */
+class ODataError extends Error {
+  constructor(message, status = 400, code = '0x80060888') {
+    super(message);
+    this.name = 'ODataError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message } };
+  }
+}
+
+/**
+ * Recursive descent parser for $filter expressions
+ */
+class FilterParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = this.tokenize(text);
+    this.position = 0;
+  }
+
+  tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+      if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+      const start = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(text);
+      if (!match || TOKEN_PATTERN.lastIndex === start) {
+        throw new ODataError(`Syntax error at position ${start} in '${text}'.`);
+      }
+      const [, open, close, comma, string, guid, date, number, identifier] = match;
+      if (open) tokens.push({ type: '(' });
+      else if (close) tokens.push({ type: ')' });
+      else if (comma) tokens.push({ type: ',' });
+      else if (string !== undefined) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/''/g, "'") });
+      else if (guid) tokens.push({ type: 'literal', value: guid.toLowerCase(), kind: 'guid' });
+      else if (date) tokens.push({ type: 'literal', value: date, kind: 'date' });
+      else if (number !== undefined) tokens.push({ type: 'literal', value: parseFloat(number) });
+      else tokens.push({ type: 'identifier', value: identifier });
+    }
+    return tokens;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isKeyword(token, keyword) {
+    return token && token.type === 'identifier' && token.value.toLowerCase() === keyword;
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw new ODataError(`Expected '${type}' in '${this.text}'.`);
+    }
+    return token;
+  }
+
+  parse() {
+    const expression = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw new ODataError(`Unexpected token in '${this.text}'.`);
+    }
+    return expression;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword(this.peek(), 'or')) {
+      this.next();
+      left = { type: 'binary', operator: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword(this.peek(), 'and')) {
+      this.next();
+      left = { type: 'binary', operator: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword(this.peek(), 'not')) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parsePrimary();
+    const token = this.peek();
+
+    if (token && token.type === 'identifier' && COMPARISON_OPERATORS.has(token.value.toLowerCase())) {
+      this.next();
+      return { type: 'binary', operator: token.value.toLowerCase(), left, right: this.parsePrimary() };
+    }
+
+    if (this.isKeyword(token, 'in')) {
+      this.next();
+      this.expect('(');
+      const values = [this.parsePrimary()];
+      while (this.peek() && this.peek().type === ',') {
+        this.next();
+        values.push(this.parsePrimary());
+      }
+      this.expect(')');
+      return { type: 'in', left, values };
+    }
+
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw new ODataError(`Unexpected end of '${this.text}'.`);
+    }
+
+    if (token.type === '(') {
+      const expression = this.parseOr();
+      this.expect(')');
+      return expression;
+    }
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value, kind: token.kind };
+    }
+
+    if (token.type === 'identifier') {
+      const lower = token.value.toLowerCase();
+      if (lower === 'null') return { type: 'literal', value: null };
+      if (lower === 'true') return { type: 'literal', value: true };
+      if (lower === 'false') return { type: 'literal', value: false };
+
+      if (this.peek() && this.peek().type === '(') {
+        this.next();
+        const args = [];
+        if (!(this.peek() && this.peek().type === ')')) {
+          args.push(this.parseOr());
+          while (this.peek() && this.peek().type === ',') {
+            this.next();
+            args.push(this.parseOr());
+          }
+        }
+        this.expect(')');
+        return { type: 'call', name: lower, args };
+      }
+
+      return { type: 'property', path: token.value.split('/') };
+    }
+
+    throw new ODataError(`Unexpected '${token.type}' in '${this.text}'.`);
+  }
+}
+
+/**
+ * In-process OData v4 query evaluator for mock collections: $filter, $select,
+ * $orderby, $top, $skip, $count, $expand and server-driven paging.
+ */
+class ODataQuery {
+  /**
+   * @param {Object} query - Parsed query string (e.g. req.query)
+   */
+  constructor(query = {}) {
+    this.query = query;
+    this.filter = query.$filter ? new FilterParser(String(query.$filter)).parse() : null;
+    this.select = query.$select ? String(query.$select).split(',').map(field => field.trim()).filter(Boolean) : null;
+    this.orderBy = query.$orderby ? this.parseOrderBy(String(query.$orderby)) : [];
+    this.top = this.parseInteger(query.$top, '$top');
+    this.skip = this.parseInteger(query.$skip, '$skip') || 0;
+    this.skipToken = this.parseInteger(query.$skiptoken, '$skiptoken') || 0;
+    this.count = String(query.$count).toLowerCase() === 'true';
+    this.expand = query.$expand ? this.parseExpand(String(query.$expand)) : [];
+  }
+
+  parseInteger(value, name) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 0) {
+      throw new ODataError(`Invalid value '${value}' for ${name}.`);
+    }
+    return parsed;
+  }
+
+  parseOrderBy(text) {
+    return text.split(',').map(part => {
+      const [property, direction = 'asc'] = part.trim().split(/\s+/);
+      return { path: property.split('/'), descending: direction.toLowerCase() === 'desc' };
+    });
+  }
+
+  /**
+   * nav1($select=a,b;$filter=x eq 1),nav2 → [{ property, options }]
+   */
+  parseExpand(text) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        items.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    items.push(current);
+
+    return items.map(item => item.trim()).filter(Boolean).map(item => {
+      const match = item.match(/^([\w.]+)(?:\((.*)\))?$/);
+      if (!match) {
+        throw new ODataError(`Invalid $expand '${item}'.`);
+      }
+      const options = {};
+      (match[2] || '').split(';').filter(Boolean).forEach(option => {
+        const index = option.indexOf('=');
+        if (index > 0) {
+          options[option.slice(0, index).trim()] = option.slice(index + 1).trim();
+        }
+      });
+      return { property: match[1], query: new ODataQuery(options) };
+    });
+  }
+
+  // Evaluation
+
+  resolvePath(record, path) {
+    return path.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), record);
+  }
+
+  evaluate(node, record) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'property':
+        return this.resolvePath(record, node.path);
+      case 'not':
+        return !this.evaluate(node.operand, record);
+      case 'in': {
+        const left = this.evaluate(node.left, record);
+        return node.values.some(value => this.compare(left, this.evaluate(value, record), node.values[0].kind) === 0);
+      }
+      case 'call':
+        return this.callFunction(node, record);
+      case 'binary':
+        return this.evaluateBinary(node, record);
+      default:
+        throw new ODataError(`Unsupported expression '${node.type}'.`);
+    }
+  }
+
+  evaluateBinary(node, record) {
+    if (node.operator === 'and') {
+      return Boolean(this.evaluate(node.left, record)) && Boolean(this.evaluate(node.right, record));
+    }
+    if (node.operator === 'or') {
+      return Boolean(this.evaluate(node.left, record)) || Boolean(this.evaluate(node.right, record));
+    }
+
+    const left = this.evaluate(node.left, record);
+    const right = this.evaluate(node.right, record);
+    const kind = node.right.kind || node.left.kind;
+
+    if (left === null || left === undefined || right === null || right === undefined) {
+      const bothNull = (left === null || left === undefined) && (right === null || right === undefined);
+      if (node.operator === 'eq') return bothNull;
+      if (node.operator === 'ne') return !bothNull;
+      return false;
+    }
+
+    const result = this.compare(left, right, kind);
+    switch (node.operator) {
+      case 'eq': return result === 0;
+      case 'ne': return result !== 0;
+      case 'gt': return result > 0;
+      case 'ge': return result >= 0;
+      case 'lt': return result < 0;
+      case 'le': return result <= 0;
+      default: throw new ODataError(`Unsupported operator '${node.operator}'.`);
+    }
+  }
+
+  /**
+   * Dataverse compares strings and GUIDs case-insensitively; dates by instant
+   */
+  compare(left, right, kind) {
+    if (left === null || left === undefined || right === null || right === undefined) {
+      return left === right ? 0 : (left === null || left === undefined ? -1 : 1);
+    }
+    if (kind === 'date' || (typeof left === 'string' && typeof right === 'string' && /^\d{4}-\d{2}-\d{2}/.test(left) && /^\d{4}-\d{2}-\d{2}/.test(right))) {
+      const leftTime = Date.parse(left);
+      const rightTime = Date.parse(right);
+      if (!isNaN(leftTime) && !isNaN(rightTime)) {
+        return leftTime === rightTime ? 0 : (leftTime < rightTime ? -1 : 1);
+      }
+    }
+    if (typeof left === 'number' || typeof right === 'number') {
+      const leftNumber = Number(left);
+      const rightNumber = Number(right);
+      return leftNumber === rightNumber ? 0 : (leftNumber < rightNumber ? -1 : 1);
+    }
+    if (typeof left === 'boolean' || typeof right === 'boolean') {
+      return String(left) === String(right) ? 0 : 1;
+    }
+    const leftText = String(left).toLowerCase();
+    const rightText = String(right).toLowerCase();
+    return leftText === rightText ? 0 : (leftText < rightText ? -1 : 1);
+  }
+
+  callFunction(node, record) {
+    const args = node.args.map(arg => this.evaluate(arg, record));
+    const text = value => (value === null || value === undefined ? '' : String(value).toLowerCase());
+
+    switch (node.name) {
+      case 'contains':
+        return text(args[0]).includes(text(args[1]));
+      case 'startswith':
+        return text(args[0]).startsWith(text(args[1]));
+      case 'endswith':
+        return text(args[0]).endsWith(text(args[1]));
+      case 'tolower':
+        return args[0] === null || args[0] === undefined ? args[0] : String(args[0]).toLowerCase();
+      case 'toupper':
+        return args[0] === null || args[0] === undefined ? args[0] : String(args[0]).toUpperCase();
+      case 'trim':
+        return args[0] === null || args[0] === undefined ? args[0] : String(args[0]).trim();
+      case 'length':
+        return args[0] === null || args[0] === undefined ? null : String(args[0]).length;
+      case 'year':
+      case 'month':
+      case 'day': {
+        const date = new Date(args[0]);
+        if (isNaN(date.getTime())) return null;
+        if (node.name === 'year') return date.getUTCFullYear();
+        return node.name === 'month' ? date.getUTCMonth() + 1 : date.getUTCDate();
+      }
+      default:
+        throw new ODataError(`Function '${node.name}' is not supported by the local OData evaluator.`);
+    }
+  }
+
+  matches(record) {
+    return this.filter ? Boolean(this.evaluate(this.filter, record)) : true;
+  }
+
+  sort(records) {
+    if (this.orderBy.length === 0) {
+      return records;
+    }
+    return records.slice().sort((a, b) => {
+      for (const { path, descending } of this.orderBy) {
+        const result = this.compare(this.resolvePath(a, path), this.resolvePath(b, path));
+        if (result !== 0) {
+          return descending ? -result : result;
+        }
+      }
+      return 0;
+    });
+  }
+
+  // Shaping
+
+  /**
+   * Apply $select and $expand to one record
+   *
+   * @param {Object} record
+   * @param {Object} options
+   * @param {string} [options.keyProperty] - Always returned, like Dataverse does
+   * @param {boolean} [options.includeAnnotations] - Keep formatted value and lookup annotations
+   * @param {Function} [options.resolveNavigation] - (record, property) → { value, keyProperty, resolveNavigation } or undefined
+   * @param {string[]} [options.navigationProperties] - Declared navigation properties, dropped unless expanded
+   */
+  shapeRecord(record, options = {}) {
+    const { keyProperty, includeAnnotations = true, resolveNavigation, navigationProperties = [] } = options;
+    const shaped = {};
+    const expanded = new Set(this.expand.map(item => item.property));
+
+    Object.keys(record).forEach(key => {
+      const [property, annotation] = key.split('@');
+      if (annotation !== undefined && property === '') {
+        // Record-level annotations such as @odata.etag
+        shaped[key] = record[key];
+        return;
+      }
+      if (annotation !== undefined && !includeAnnotations && ANNOTATION_PREFIXES.some(prefix => key.includes(prefix))) {
+        return;
+      }
+      if (navigationProperties.includes(property) && !expanded.has(property)) {
+        return;
+      }
+      if (this.select && !this.select.includes(property) && property !== keyProperty && !expanded.has(property)) {
+        return;
+      }
+      shaped[key] = record[key];
+    });
+
+    this.expand.forEach(({ property, query }) => {
+      const navigation = resolveNavigation ? resolveNavigation(record, property) : undefined;
+      const value = navigation ? navigation.value : record[property];
+      const nestedOptions = {
+        keyProperty: navigation && navigation.keyProperty,
+        includeAnnotations,
+        resolveNavigation: navigation && navigation.resolveNavigation,
+        navigationProperties: (navigation && navigation.navigationProperties) || []
+      };
+
+      if (Array.isArray(value)) {
+        const filtered = query.sort(value.filter(item => query.matches(item)));
+        const start = query.skip;
+        const end = query.top !== null ? start + query.top : undefined;
+        shaped[property] = filtered.slice(start, end).map(item => query.shapeRecord(item, nestedOptions));
+      } else if (value && typeof value === 'object') {
+        shaped[property] = query.shapeRecord(value, nestedOptions);
+      } else {
+        shaped[property] = value === undefined ? null : value;
+      }
+    });
+
+    return shaped;
+  }
+
+  /**
+   * Evaluate the query against a collection and build the OData response body
+   *
+   * @param {Object[]} records
+   * @param {Object} options - shapeRecord options plus:
+   * @param {string} [options.entitySet] - For @odata.context
+   * @param {string} [options.serviceRoot] - e.g. http://localhost:3000/_api
+   * @param {number} [options.maxPageSize] - From Prefer: odata.maxpagesize; adds @odata.nextLink
+   */
+  applyToCollection(records, options = {}) {
+    const { entitySet, serviceRoot = '', maxPageSize } = options;
+    const filtered = this.sort((records || []).filter(record => this.matches(record)));
+
+    const start = this.skip;
+    const end = this.top !== null ? Math.min(start + this.top, filtered.length) : filtered.length;
+    const window = filtered.slice(start, end);
+
+    const pageStart = this.skipToken;
+    const pageEnd = maxPageSize ? Math.min(pageStart + maxPageSize, window.length) : window.length;
+    const page = window.slice(pageStart, pageEnd);
+
+    const response = {};
+    if (entitySet) {
+      response['@odata.context'] = `${serviceRoot}/$metadata#${entitySet}${this.select ? `(${this.select.join(',')})` : ''}`;
+    }
+    if (this.count) {
+      response['@odata.count'] = filtered.length;
+    }
+    response.value = page.map(record => this.shapeRecord(record, options));
+
+    if (pageEnd < window.length && entitySet) {
+      const params = Object.entries(this.query)
+        .filter(([key]) => key !== '$skiptoken')
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+      params.push(`$skiptoken=${pageEnd}`);
+      response['@odata.nextLink'] = `${serviceRoot}/${entitySet}?${params.join('&')}`;
+    }
+
+    return response;
+  }
+
+  /**
+   * Read odata.maxpagesize and odata.include-annotations from a Prefer header
+   */
+  static parsePreferHeader(prefer) {
+    const text = String(prefer || '');
+    const pageSize = text.match(/odata\.maxpagesize\s*=\s*(\d+)/i);
+    return {
+      maxPageSize: pageSize ? parseInt(pageSize[1], 10) : null,
+      includeAnnotations: /include-annotations/i.test(text)
+    };
+  }
+
+  static isGuid(value) {
+    return GUID_PATTERN.test(String(value));
+  }
+
+  /**
+   * Service root of a request handled under /_api (or /api)
+   */
+  static serviceRootOf(req) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  }
+
+  /**
+   * Primary key of an entity set: incidents → incidentid, or the first *id column
+   */
+  static guessKeyProperty(entitySet, records = []) {
+    const setName = String(entitySet || '').toLowerCase();
+    const sample = records[0] || {};
+    const candidates = [setName.replace(/ies$/, 'y'), setName.replace(/es$/, ''), setName.replace(/s$/, '')].map(name => `${name}id`);
+    let singular = setName.replace(/s$/, '');
+    if (/ies$/.test(setName)) singular = setName.replace(/ies$/, 'y');
+    else if (/(ss|x|ch|sh)es$/.test(setName)) singular = setName.replace(/es$/, '');
+    return candidates.find(candidate => candidate in sample) ||
+      Object.keys(sample).find(key => /id$/.test(key) && !key.startsWith('_') && !key.includes('@')) ||
+      `${singular}id`;
+  }
+}
+
+ODataQuery.ODataError = ODataError;
+
+module.exports = ODataQuery;
@@ -3,14 +3,26 @@ const fs = require('fs-extra');
 const yaml = require('yaml');
 const chalk = require('chalk');
 
+// adx_type values of a page template
+const PAGE_TEMPLATE_TYPE_REWRITE = 756150000;
+const PAGE_TEMPLATE_TYPE_WEB_TEMPLATE = 756150001;
+
 class PageHandler {
   constructor(config, liquidEngine) {
     this.config = config;
     this.liquidEngine = liquidEngine;
     this.pagesCache = new Map();
-    // Import snippet handler
+    // Shared with the Liquid engine, which builds sitemarkers and weblinks from it
+    this.siteMap = liquidEngine.siteMap;
+    this.pageTemplatesCache = new Map();
+    this.websiteConfig = null;
+    // Set by the server once live reload exists; supplies the client script tag
+    this.liveReload = null;
+    // Import snippet and template handlers
     const SnippetHandler = require('./snippet-handler');
+    const TemplateHandler = require('./template-handler');
     this.snippetHandler = new SnippetHandler(config, liquidEngine);
+    this.templateHandler = new TemplateHandler(config, liquidEngine);
   }
 
   async handleRequest(req, res) {
@@ -33,7 +45,7 @@ class PageHandler {
       }
       
       // Process the page through templates
-      const finalHtml = await this.processPage(pageContent, pageConfig, language);
+      const finalHtml = await this.processPage(pageContent, pageConfig, language, req.persona);
       
       // Send response
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
@@ -47,75 +59,14 @@ class PageHandler {
 
   async findPageConfig(urlPath) {
     try {
-      const pagesDir = path.join(this.config.powerPagesPath, this.config.pagesPath);
-      const directories = await fs.readdir(pagesDir);
-      
-      let matchedConfigs = [];
-      
-      for (const dir of directories) {
-        const dirPath = path.join(pagesDir, dir);
-        const stat = await fs.stat(dirPath);
-        
-        if (stat.isDirectory()) {
-          const configFiles = await fs.readdir(dirPath);
-          const ymlFile = configFiles.find(f => f.endsWith('.webpage.yml'));
-          
-          if (ymlFile) {
-            const configPath = path.join(dirPath, ymlFile);
-            const configContent = await fs.readFile(configPath, 'utf8');
-            const config = yaml.parse(configContent);
-            
-            // Check if this page matches the URL path
-            const normalizedUrlPath = urlPath.replace(/\/$/, '') || '/';
-            const normalizedPartialUrl = config.adx_partialurl || '';
-            
-            console.log(chalk.gray(`🔍 Checking ${dir}: URL='${normalizedUrlPath}' vs PartialURL='${normalizedPartialUrl}' (isRoot=${config.adx_isroot})`));
-            
-            let isMatch = false;
-            
-            // Check for exact partial URL match (case-sensitive)
-            // Compare without leading slash for partial URLs
-            const urlPathForComparison = normalizedUrlPath.startsWith('/') ? normalizedUrlPath.substring(1) : normalizedUrlPath;
-            if (normalizedPartialUrl === urlPathForComparison && normalizedUrlPath !== '/') {
-              console.log(chalk.green(`✅ Exact match: ${dir}`));
-              isMatch = true;
-            }
-            // Check for root page match (only for home page when URL is '/')
-            else if (normalizedUrlPath === '/' && (normalizedPartialUrl === '/' || normalizedPartialUrl === '') && config.adx_isroot) {
-              console.log(chalk.green(`✅ Root match: ${dir}`));
-              isMatch = true;
-            }
-            
-            if (isMatch) {
-              matchedConfigs.push({
-                ...config,
-                directory: dir,
-                configPath: configPath
-              });
-            }
-          }
-        }
-      }
-      
-      // If we have multiple matches, prioritize based on specific criteria
-      if (matchedConfigs.length > 1) {
-        // For root path, prioritize 'home' directory over others
-        if (urlPath === '/') {
-          const homeConfig = matchedConfigs.find(config => config.directory === 'home');
-          if (homeConfig) {
-            return homeConfig;
-          }
-        }
-        // For other paths, prioritize exact URL match over root match
-        const normalizedUrlPath = urlPath.replace(/\/$/, '') || '/';
-        const exactMatch = matchedConfigs.find(config => config.adx_partialurl === normalizedUrlPath);
-        if (exactMatch) {
-          return exactMatch;
-        }
+      const node = await this.siteMap.resolve(urlPath);
+      if (!node) {
+        console.log(chalk.gray(`🔍 No page found for URL: ${urlPath}`));
+        return null;
       }
-      
-      // Return the first match if no specific priority applies
-      return matchedConfigs.length > 0 ? matchedConfigs[0] : null;
+
+      console.log(chalk.green(`✅ Matched ${urlPath} → ${node.config.directory} (${node.url})`));
+      return node.config;
       
     } catch (error) {
       console.error(chalk.red('❌ Error finding page config:'), error);
@@ -214,17 +165,24 @@ class PageHandler {
     }
   }
 
-  async processPage(pageContent, pageConfig, language) {
+  async processPage(pageContent, pageConfig, language, persona = this.liquidEngine.personas.getPersona()) {
     try {
+      const user = await this.liquidEngine.getUserForPersona(persona);
+
+      // page and sitemap come from the parsed web page hierarchy (breadcrumbs, children, parent, ...)
+      const { page, sitemap } = await this.siteMap.toLiquidObjects(pageConfig.adx_webpageid, language);
+      page.adx_copy = '';
+
       // Create Liquid context with user and website data
       const liquidContext = {
-        page: {
-          id: pageConfig.adx_webpageid,
-          title: pageConfig.adx_title,
-          name: pageConfig.adx_name
-        },
+        user,
+        // Data tags forward the persona to /_api so table permissions match the page
+        mockPersona: persona.key,
+        page,
+        sitemap,
         website: {
           sign_in_url_substitution: '/SignIn',
+          selected_language: { code: language },
           url: `http://${this.config.host}:${this.config.port}`,
           name: 'Power Pages Local Server'
         }
@@ -232,6 +190,10 @@ class PageHandler {
       
       // Process the HTML content through Liquid first
       const processedHtmlContent = await this.liquidEngine.render(pageContent.content, liquidContext);
+      liquidContext.page.adx_copy = processedHtmlContent;
+
+      // Render through the page template's web template (and website header/footer) when the project defines one
+      const layoutHtml = await this.renderLayout(pageConfig, liquidContext);
 
       // Process CSS through Liquid if it exists
       let processedCss = '';
@@ -249,13 +211,18 @@ class PageHandler {
         console.log(chalk.yellow(`⚠️  No custom JavaScript found`));
       }
 
+      // A page template renders the whole document; the built-in shell only wraps bare page copy
+      if (layoutHtml !== null) {
+        return this.completeDocument(layoutHtml, processedCss, processedJs);
+      }
+
       // Create the complete HTML page by combining all three files
       let html = `<!DOCTYPE html>
 <html lang="${language}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${pageConfig.adx_title || 'Power Pages'}</title>
+    <title>${page.title || 'Power Pages'}</title>
     <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.1.3/dist/css/bootstrap.min.css" rel="stylesheet">
     <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
     <script src="https://unpkg.com/react@18/umd/react.development.js"></script>
@@ -266,7 +233,7 @@ class PageHandler {
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
     
     <!-- Page-specific CSS from content-pages -->
-    ${processedCss ? `<style>\n${processedCss}\n</style>` : ''}
+    ${processedCss ? `<style data-live-reload="page-css">\n${processedCss}\n</style>` : ''}
     
     <!-- Theme CSS -->
     <link rel="stylesheet" href="/web-files/theme.css">
@@ -311,12 +278,18 @@ class PageHandler {
       // Initialize React Bootstrap components
       window.ReactBootstrap = ReactBootstrap;
       
-      // Initialize localStorage with mock user data for local development
-      window.localStorage.setItem('userId', '${this.config.mockUser.userData.id}');
-      window.localStorage.setItem('userName', '${this.config.mockUser.userData.fullname}');
-      console.log('🔧 Local Storage initialized with mock user:', {
-        userId: '${this.config.mockUser.userData.id}',
-        userName: '${this.config.mockUser.userData.fullname}'
+      // Initialize localStorage with the active persona for local development
+      window.mockPersona = ${JSON.stringify({ key: persona.key, name: persona.name, anonymous: persona.anonymous, roles: user ? user.roles : [] }).replace(/</g, '\\u003c')};
+      if (window.mockPersona.anonymous) {
+        window.localStorage.removeItem('userId');
+        window.localStorage.removeItem('userName');
+      } else {
+        window.localStorage.setItem('userId', ${JSON.stringify(user ? user.id || '' : '')});
+        window.localStorage.setItem('userName', ${JSON.stringify(user ? user.fullname || '' : '').replace(/</g, '\\u003c')});
+      }
+      console.log('🔧 Local Storage initialized with mock persona:', window.mockPersona.key, {
+        userId: window.localStorage.getItem('userId'),
+        userName: window.localStorage.getItem('userName')
       });
       
       // Mock shell object for local development (replaces Power Pages shell)
@@ -328,12 +301,17 @@ class PageHandler {
           // Return a jQuery-like deferred object
           return {
             done: function(callback) {
-              // Call the callback with the mock token
-              setTimeout(() => callback(mockToken), 0);
+              // Call the callback with the mock token (signed-in personas only, like Power Pages)
+              if (!window.mockPersona.anonymous) {
+                setTimeout(() => callback(mockToken), 0);
+              }
               return this;
             },
             fail: function(callback) {
-              // For local development, we don't expect token failures
+              // Anonymous visitors cannot get a token
+              if (window.mockPersona.anonymous) {
+                setTimeout(() => callback({ status: 401, statusText: 'Unauthorized' }), 0);
+              }
               return this;
             }
           };
@@ -436,11 +414,13 @@ class PageHandler {
     ${await this.renderTrackingCode()}
 </head>
 <body>
-    <!-- Page content from HTML file -->
     ${processedHtmlContent}
     
     <!-- Page-specific JavaScript from content-pages -->
     ${processedJs ? `<script type="text/babel">\n${processedJs}\n</script>` : ''}
+    
+    <!-- Live reload client (only when hot reload is enabled) -->
+    ${this.liveReload ? this.liveReload.getScriptTag() : ''}
 </body>
 </html>`;
 
@@ -452,6 +432,134 @@ class PageHandler {
     }
   }
 
+  /**
+   * Render webpage → page template → web template, wrapped in the website header and footer.
+   * Returns null when the page has no usable page template so the caller can fall back to the page copy.
+   */
+  async renderLayout(pageConfig, liquidContext) {
+    try {
+      const pageTemplate = await this.getPageTemplate(pageConfig.adx_pagetemplateid);
+      if (!pageTemplate) {
+        return null;
+      }
+
+      if (Number(pageTemplate.adx_type) === PAGE_TEMPLATE_TYPE_REWRITE) {
+        console.log(chalk.yellow(`⚠️  Page template "${pageTemplate.adx_name}" is a rewrite template, rendering page copy only`));
+        return null;
+      }
+
+      if (Number(pageTemplate.adx_type) !== PAGE_TEMPLATE_TYPE_WEB_TEMPLATE) {
+        return null;
+      }
+
+      const webTemplate = await this.templateHandler.getTemplateById(pageTemplate.adx_webtemplateid);
+      if (!webTemplate) {
+        return null;
+      }
+
+      console.log(chalk.blue(`🧩 Rendering with page template "${pageTemplate.adx_name}" → web template "${webTemplate.config.adx_name || webTemplate.name}"`));
+      const bodyHtml = await this.liquidEngine.render(webTemplate.content, liquidContext);
+
+      if (pageTemplate.adx_usewebsiteheaderandfooter === false) {
+        return bodyHtml;
+      }
+
+      const website = await this.getWebsiteConfig();
+      const headerHtml = await this.renderWebsiteTemplate(website.adx_headerwebtemplateid, liquidContext);
+      const footerHtml = await this.renderWebsiteTemplate(website.adx_footerwebtemplateid, liquidContext);
+
+      return `${headerHtml}\n${bodyHtml}\n${footerHtml}`;
+    } catch (error) {
+      console.error(chalk.red('❌ Error rendering page template:'), error);
+      return null;
+    }
+  }
+
+  /**
+   * A page template's output with the page CSS added at the end of <head> and the page
+   * JavaScript and live reload client at the end of <body>, or around the output when
+   * the template writes no document tags
+   */
+  completeDocument(html, css, js) {
+    const head = css ? `<style data-live-reload="page-css">\n${css}\n</style>\n` : '';
+    const body = [
+      js ? `<script>\n${js}\n</script>` : '',
+      this.liveReload ? this.liveReload.getScriptTag() : ''
+    ].filter(Boolean).join('\n');
+
+    let document = html;
+    const headEnd = document.search(/<\/head>/i);
+    if (head) {
+      document = headEnd === -1 ? `${head}${document}` : `${document.slice(0, headEnd)}${head}${document.slice(headEnd)}`;
+    }
+    const bodyEnd = document.toLowerCase().lastIndexOf('</body>');
+    if (body) {
+      document = bodyEnd === -1 ? `${document}\n${body}` : `${document.slice(0, bodyEnd)}${body}\n${document.slice(bodyEnd)}`;
+    }
+    return document;
+  }
+
+  async renderWebsiteTemplate(webTemplateId, liquidContext) {
+    if (!webTemplateId) {
+      return '';
+    }
+    const template = await this.templateHandler.getTemplateById(webTemplateId);
+    return template ? this.liquidEngine.render(template.content, liquidContext) : '';
+  }
+
+  async getPageTemplate(pageTemplateId) {
+    if (!pageTemplateId) {
+      return null;
+    }
+
+    if (this.pageTemplatesCache.size === 0) {
+      await this.loadPageTemplates();
+    }
+
+    const pageTemplate = this.pageTemplatesCache.get(pageTemplateId.toLowerCase());
+    if (!pageTemplate) {
+      console.warn(chalk.yellow(`⚠️  Page template not found: ${pageTemplateId}`));
+    }
+    return pageTemplate || null;
+  }
+
+  async loadPageTemplates() {
+    const pageTemplatesDir = path.join(this.config.powerPagesPath, this.config.pageTemplatesPath);
+    if (!await fs.pathExists(pageTemplatesDir)) {
+      return;
+    }
+
+    const files = await fs.readdir(pageTemplatesDir);
+    for (const file of files.filter(f => f.endsWith('.pagetemplate.yml'))) {
+      try {
+        const content = await fs.readFile(path.join(pageTemplatesDir, file), 'utf8');
+        const pageTemplate = yaml.parse(content);
+        if (pageTemplate && pageTemplate.adx_pagetemplateid) {
+          this.pageTemplatesCache.set(pageTemplate.adx_pagetemplateid.toLowerCase(), pageTemplate);
+        }
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Could not parse page template ${file}: ${error.message}`));
+      }
+    }
+  }
+
+  async getWebsiteConfig() {
+    if (this.websiteConfig) {
+      return this.websiteConfig;
+    }
+
+    try {
+      const websitePath = path.join(this.config.powerPagesPath, 'website.yml');
+      this.websiteConfig = await fs.pathExists(websitePath)
+        ? yaml.parse(await fs.readFile(websitePath, 'utf8')) || {}
+        : {};
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Could not parse website.yml: ${error.message}`));
+      this.websiteConfig = {};
+    }
+    return this.websiteConfig;
+  }
+
   detectLanguage(req) {
     // Check for language in query parameters
     if (req.query.lang) {
@@ -477,7 +585,7 @@ class PageHandler {
       if (notFoundPage) {
         const content = await this.getPageContent(notFoundPage, 'en-US');
         if (content) {
-          const html = await this.processPage(content, notFoundPage, 'en-US');
+          const html = await this.processPage(content, notFoundPage, 'en-US', req.persona);
           res.status(404).send(html);
           return;
         }
@@ -520,6 +628,16 @@ class PageHandler {
     }
   }
 
+  clearCache() {
+    this.pagesCache.clear();
+    this.siteMap.clearCache();
+    this.pageTemplatesCache.clear();
+    this.websiteConfig = null;
+    this.snippetHandler.clearCache();
+    this.templateHandler.clearCache();
+    console.log(chalk.blue('🧹 Page cache cleared'));
+  }
+
   getErrorPage(error) {
     return `<!DOCTYPE html>
 <html>
@@ -0,0 +1,189 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+const express = require('express');
+const Cookies = require('./cookies');
+
+const PERSONA_COOKIE = 'pp-local-persona';
+const PERSONA_QUERY = 'persona';
+const PERSONA_HEADER = 'x-mock-persona';
+
+/**
+ * Named mock identities (mock-user, anonymous, customer, administrator and any
+ * configured in config.json mockUser.personas) that can be switched at runtime
+ * through /_persona/<key>, ?persona=<key> or the pp-local-persona cookie.
+ * Without a configured defaultPersona the configured mock user applies as is.
+ */
+class PersonaManager {
+  constructor(config) {
+    this.config = config;
+    this.personas = this.buildPersonas();
+    this.webRoles = null;
+    this.warnedRoles = new Set();
+  }
+
+  buildPersonas() {
+    const { userData = {}, personas = {} } = this.config.mockUser;
+    const contactRoles = this.toRoleList(userData.roles);
+    const contact = {
+      id: userData.id,
+      fullname: userData.fullname,
+      firstname: userData.firstname,
+      lastname: userData.lastname,
+      email: userData.email
+    };
+
+    const builtIn = {
+      'mock-user': { name: 'Mock user', ...contact, roles: contactRoles },
+      anonymous: { name: 'Anonymous', anonymous: true },
+      customer: { name: 'Customer', ...contact, roles: contactRoles.filter(role => role !== 'Administrators') },
+      administrator: { name: 'Administrator', ...contact, roles: [...new Set([...contactRoles, 'Administrators'])] }
+    };
+
+    const result = new Map();
+    Object.entries({ ...builtIn, ...personas }).forEach(([key, persona]) => {
+      const fullname = persona.fullname || [persona.firstname, persona.lastname].filter(Boolean).join(' ') || persona.name || key;
+      result.set(key.toLowerCase(), {
+        key: key.toLowerCase(),
+        name: persona.name || key,
+        anonymous: Boolean(persona.anonymous),
+        id: persona.anonymous ? null : (persona.id || userData.id),
+        fullname,
+        firstname: persona.firstname || fullname.split(' ')[0] || '',
+        lastname: persona.lastname || fullname.split(' ').slice(1).join(' ') || '',
+        email: persona.email || persona.emailaddress1 || '',
+        roles: this.toRoleList(persona.roles),
+        contact: persona.contact || {}
+      });
+    });
+
+    return result;
+  }
+
+  toRoleList(roles) {
+    if (!roles) return [];
+    const list = Array.isArray(roles) ? roles : String(roles).split(',');
+    return list.map(role => String(role).trim()).filter(Boolean);
+  }
+
+  getDefaultKey() {
+    const configured = (this.config.mockUser.defaultPersona || '').toLowerCase();
+    if (!this.config.mockUser.enabled) {
+      return 'anonymous';
+    }
+    return this.personas.has(configured) ? configured : 'mock-user';
+  }
+
+  getPersona(key) {
+    return this.personas.get(String(key || '').toLowerCase()) || this.personas.get(this.getDefaultKey());
+  }
+
+  listPersonas() {
+    return Array.from(this.personas.values());
+  }
+
+  /**
+   * Web roles flagged as the authenticated/anonymous users role apply implicitly
+   */
+  async loadWebRoles() {
+    if (this.webRoles) {
+      return this.webRoles;
+    }
+
+    const roles = [];
+    const rolesDir = path.join(this.config.powerPagesPath, 'web-roles');
+    if (await fs.pathExists(rolesDir)) {
+      for (const file of await fs.readdir(rolesDir)) {
+        if (!file.endsWith('.webrole.yml')) continue;
+        try {
+          roles.push(yaml.parse(await fs.readFile(path.join(rolesDir, file), 'utf8')) || {});
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️  Could not parse ${file}: ${error.message}`));
+        }
+      }
+    }
+
+    this.webRoles = roles;
+    return roles;
+  }
+
+  async getEffectiveRoles(persona) {
+    const webRoles = await this.loadWebRoles();
+    const implicit = webRoles
+      .filter(role => (persona.anonymous ? role.adx_anonymoususersrole : role.adx_authenticatedusersrole))
+      .map(role => role.adx_name)
+      .filter(Boolean);
+
+    const roles = [...new Set([...persona.roles, ...implicit])];
+    const known = new Set(webRoles.map(role => String(role.adx_name || '').toLowerCase()));
+    if (known.size > 0) {
+      roles
+        .filter(role => !known.has(role.toLowerCase()) && !this.warnedRoles.has(`${persona.key}/${role}`))
+        .forEach(role => {
+          this.warnedRoles.add(`${persona.key}/${role}`);
+          console.warn(chalk.yellow(`⚠️  Persona "${persona.key}" has role "${role}" that is not in web-roles/`));
+        });
+    }
+    return roles;
+  }
+
+  setPersonaCookie(res, key) {
+    res.cookie(PERSONA_COOKIE, key, { path: '/', sameSite: 'lax' });
+  }
+
+  /**
+   * Resolve the active persona: query parameter (remembered in the cookie), header, cookie, default
+   */
+  middleware() {
+    return (req, res, next) => {
+      const fromQuery = req.query ? req.query[PERSONA_QUERY] : null;
+      const candidates = [fromQuery, req.headers[PERSONA_HEADER], Cookies.get(req, PERSONA_COOKIE)];
+      const key = candidates.find(candidate => candidate && this.personas.has(String(candidate).toLowerCase()));
+
+      if (fromQuery && !this.personas.has(String(fromQuery).toLowerCase())) {
+        console.warn(chalk.yellow(`⚠️  Unknown persona "${fromQuery}", using ${key || this.getDefaultKey()}`));
+      }
+      if (fromQuery && key === fromQuery) {
+        this.setPersonaCookie(res, key.toLowerCase());
+      }
+
+      req.persona = this.getPersona(key);
+      next();
+    };
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+      res.json({
+        active: req.persona ? req.persona.key : this.getDefaultKey(),
+        default: this.getDefaultKey(),
+        personas: this.listPersonas().map(({ key, name, anonymous, id, fullname, roles }) => ({ key, name, anonymous, id, fullname, roles }))
+      });
+    });
+
+    router.get('/:key', (req, res) => {
+      const key = req.params.key.toLowerCase();
+      if (!this.personas.has(key)) {
+        return res.status(404).json({ error: `Unknown persona: ${req.params.key}`, personas: Array.from(this.personas.keys()) });
+      }
+
+      this.setPersonaCookie(res, key);
+      console.log(chalk.blue(`🎭 Switched persona to ${key}`));
+
+      const returnUrl = typeof req.query.return === 'string' && /^\/(?!\/)/.test(req.query.return) ? req.query.return : '/';
+      res.redirect(returnUrl);
+    });
+
+    return router;
+  }
+
+  clearCache() {
+    this.webRoles = null;
+    this.warnedRoles.clear();
+  }
+}
+
+module.exports = PersonaManager;
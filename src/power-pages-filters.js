@@ -0,0 +1,457 @@
+const chalk = require('chalk');
+const FetchXmlQuery = require('./fetchxml');
+
+// Tags and attributes html_safe_escape lets through; everything else is encoded
+const SAFE_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'div', 'dl', 'dt', 'em',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 'q', 's', 'small',
+  'span', 'strike', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+const SAFE_ATTRIBUTES = new Set(['alt', 'class', 'colspan', 'dir', 'height', 'href', 'id', 'lang', 'rowspan', 'src', 'target', 'title', 'width']);
+const DROPPED_ELEMENTS = /<(script|style|iframe|object|embed|noscript)\b[\s\S]*?<\/\1\s*>/gi;
+
+const URL_PATTERN = /\b(https?:\/\/[^\s<]+[^\s<.,;:!?)'"])/g;
+const RELATIVE_BASE = 'http://relative.invalid';
+
+/**
+ * Power Pages Liquid filters that liquidjs does not provide (or implements
+ * differently): roles, dates, HTML, collections, entity lists and URLs.
+ */
+class PowerPagesFilters {
+  constructor(config) {
+    this.config = config;
+  }
+
+  register(engine) {
+    const filters = {
+      has_role: this.hasRole,
+      date_add_seconds: (date, value) => this.addToDate(date, value, 1000),
+      date_add_minutes: (date, value) => this.addToDate(date, value, 60 * 1000),
+      date_add_hours: (date, value) => this.addToDate(date, value, 60 * 60 * 1000),
+      date_add_days: (date, value) => this.addToDate(date, value, 24 * 60 * 60 * 1000),
+      date_add_months: (date, value) => this.addMonths(date, value),
+      date_add_years: (date, value) => this.addMonths(date, (parseFloat(value) || 0) * 12),
+      date_to_iso8601: this.dateToIso8601,
+      date_to_rfc822: this.dateToRfc822,
+      text_to_html: this.textToHtml,
+      html_safe_escape: this.htmlSafeEscape,
+      to_json: this.toJson,
+      current_sort: this.currentSort,
+      metafilter: this.metafilter,
+      random: this.random,
+      shuffle: this.shuffle,
+      group_by: this.groupBy,
+      order_by: this.orderBy,
+      batch: this.batch,
+      skip: this.skip,
+      take: this.take,
+      select: this.select,
+      where: this.where,
+      except: this.except,
+      add_query: this.addQuery,
+      remove_query: this.removeQuery,
+      base: url => this.urlPart(url, 'base'),
+      host: url => this.urlPart(url, 'host'),
+      path: url => this.urlPart(url, 'path'),
+      path_and_query: url => this.urlPart(url, 'path_and_query'),
+      port: url => this.urlPart(url, 'port'),
+      scheme: url => this.urlPart(url, 'scheme'),
+      integer: value => (isNaN(parseInt(value, 10)) ? null : parseInt(value, 10)),
+      decimal: value => (isNaN(parseFloat(value)) ? null : parseFloat(value)),
+      string: value => (value === undefined || value === null ? '' : String(value))
+    };
+
+    Object.keys(filters).forEach(name => {
+      engine.registerFilter(name, filters[name].bind(this));
+    });
+
+    console.log(chalk.blue('✅ Power Pages filters registered'));
+  }
+
+  // Roles
+
+  hasRole(user, roleName) {
+    if (!user || !roleName) {
+      return false;
+    }
+    const roles = typeof user.roles === 'string' ? user.roles.split(',') : (user.roles || []);
+    const wanted = String(roleName).trim().toLowerCase();
+    return roles.some(role => String(role && role.name ? role.name : role).trim().toLowerCase() === wanted);
+  }
+
+  // Dates
+
+  toDate(value) {
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+    if (value === 'now' || value === 'today') {
+      return new Date();
+    }
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const date = new Date(typeof value === 'number' ? value : String(value));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  addToDate(value, amount, unitMs) {
+    const date = this.toDate(value);
+    if (!date) return value;
+    return new Date(date.getTime() + (parseFloat(amount) || 0) * unitMs);
+  }
+
+  addMonths(value, amount) {
+    const date = this.toDate(value);
+    if (!date) return value;
+    // Clamp to the last day of the target month like .NET AddMonths (Jan 31 + 1 → Feb 28/29)
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + Math.trunc(parseFloat(amount) || 0));
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+    return date;
+  }
+
+  dateToIso8601(value) {
+    const date = this.toDate(value);
+    return date ? date.toISOString().replace(/\.\d{3}Z$/, 'Z') : value;
+  }
+
+  dateToRfc822(value) {
+    const date = this.toDate(value);
+    return date ? date.toUTCString().replace(/GMT$/, 'Z') : value;
+  }
+
+  // HTML
+
+  encode(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, match => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    }[match]));
+  }
+
+  textToHtml(text) {
+    if (text === undefined || text === null || text === '') {
+      return '';
+    }
+    return String(text)
+      .replace(/\r\n?/g, '\n')
+      .trim()
+      .split(/\n\s*\n/)
+      .map(paragraph => {
+        const html = paragraph
+          .split('\n')
+          .map(line => this.encode(line).replace(URL_PATTERN, url => `<a href="${url}">${url}</a>`))
+          .join('<br />\n');
+        return `<p>${html}</p>`;
+      })
+      .join('\n');
+  }
+
+  htmlSafeEscape(html) {
+    if (html === undefined || html === null) {
+      return '';
+    }
+
+    return String(html)
+      .replace(DROPPED_ELEMENTS, '')
+      .split(/(<[^>]*>)/)
+      .map(part => {
+        const tag = part.match(/^<\s*(\/?)\s*([a-z][a-z0-9]*)([^>]*?)(\/?)\s*>$/i);
+        if (!tag) {
+          // Text between tags: encode markup characters, keep existing entities
+          return part.replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z]+);)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+
+        const [, closing, name, attributeText, selfClosing] = tag;
+        const tagName = name.toLowerCase();
+        if (!SAFE_TAGS.has(tagName)) {
+          return this.encode(part);
+        }
+        if (closing) {
+          return `</${tagName}>`;
+        }
+
+        const attributes = [];
+        const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+        let match;
+        while ((match = attributePattern.exec(attributeText)) !== null) {
+          const attribute = match[1].toLowerCase();
+          const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+          if (!SAFE_ATTRIBUTES.has(attribute)) continue;
+          if ((attribute === 'href' || attribute === 'src') && /^\s*(javascript|vbscript|data):/i.test(value)) continue;
+          attributes.push(` ${attribute}="${this.encode(value)}"`);
+        }
+
+        return `<${tagName}${attributes.join('')}${selfClosing ? ' /' : ''}>`;
+      })
+      .join('');
+  }
+
+  toJson(value) {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  // Entity lists
+
+  /**
+   * {{ entityview.sort_expression | current_sort: 'name' }} → ASC, DESC or nil
+   */
+  currentSort(sortExpression, attribute) {
+    if (!sortExpression || !attribute) {
+      return null;
+    }
+    const wanted = String(attribute).toLowerCase();
+    const match = String(sortExpression)
+      .split(',')
+      .map(part => part.trim().split(/\s+/))
+      .find(([name]) => name && name.toLowerCase() === wanted);
+    if (!match) {
+      return null;
+    }
+    return match[1] && match[1].toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  }
+
+  /**
+   * Turn an entity list filter definition into filter option groups. Accepts the
+   * JSON form ([{ label, options: [...] }]) or the stored FetchXML with adx:uiname
+   * filters; `query` is the current mf query string (e.g. "0=1&1=0") used to
+   * flag selected options.
+   */
+  metafilter(filterDefinition, query) {
+    if (!filterDefinition) {
+      return [];
+    }
+
+    const selected = new Set(
+      String(query || '')
+        .split('&')
+        .filter(Boolean)
+        .map(pair => this.decodeQueryPart(pair))
+    );
+
+    let groups = [];
+    if (Array.isArray(filterDefinition) || (typeof filterDefinition === 'string' && /^\s*[[{]/.test(filterDefinition))) {
+      try {
+        const definition = typeof filterDefinition === 'string' ? JSON.parse(filterDefinition) : filterDefinition;
+        groups = (Array.isArray(definition) ? definition : [definition]).map(group => ({
+          label: group.label || group.name || '',
+          selection_mode: group.selection_mode || 'multiple',
+          options: (group.options || []).map(option => (typeof option === 'object' ? option : { label: option }))
+        }));
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  metafilter could not parse filter definition: ${error.message}`));
+        return [];
+      }
+    } else {
+      try {
+        const fetchQuery = new FetchXmlQuery(String(filterDefinition));
+        groups = fetchQuery.entity.children
+          .filter(child => child.name === 'filter')
+          .map(filter => ({
+            label: filter.attributes['adx:uiname'] || filter.children.map(child => child.attributes.attribute).find(Boolean) || '',
+            selection_mode: filter.attributes['adx:uiinputtype'] === 'dynamic' ? 'single' : 'multiple',
+            options: filter.children
+              .filter(child => child.name === 'condition')
+              .map(condition => ({ label: condition.attributes['adx:uiname'] || condition.attributes.value || '' }))
+          }));
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  metafilter could not parse filter definition: ${error.message}`));
+        return [];
+      }
+    }
+
+    return groups.map((group, groupIndex) => ({
+      id: String(groupIndex),
+      label: group.label,
+      selection_mode: group.selection_mode,
+      options: group.options.map((option, optionIndex) => {
+        const id = option.id !== undefined ? String(option.id) : String(optionIndex);
+        return {
+          id,
+          label: option.label,
+          checked: selected.has(`${groupIndex}=${id}`)
+        };
+      })
+    }));
+  }
+
+  /**
+   * A query string pair decoded, or as written when it holds a malformed escape
+   */
+  decodeQueryPart(pair) {
+    const text = pair.replace(/\+/g, ' ');
+    try {
+      return decodeURIComponent(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  // Collections
+
+  /**
+   * Read an attribute the way entity filters compare it: option sets by value,
+   * lookups by id, plain values as-is
+   */
+  attributeValue(item, attribute) {
+    if (item === undefined || item === null) {
+      return undefined;
+    }
+    const value = attribute === undefined ? item : item[attribute];
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      if (value.value !== undefined) return value.value;
+      if (value.id !== undefined) return value.id;
+    }
+    return value;
+  }
+
+  matches(item, attribute, expected) {
+    const actual = this.attributeValue(item, attribute);
+    if (expected === undefined) {
+      return Boolean(actual);
+    }
+    const raw = item ? item[attribute] : undefined;
+    if (raw && typeof raw === 'object' && raw.label !== undefined && String(raw.label) === String(expected)) {
+      return true;
+    }
+    return actual !== undefined && actual !== null && String(actual).toLowerCase() === String(expected).toLowerCase();
+  }
+
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  random(array) {
+    const items = this.toArray(array);
+    return items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+  }
+
+  shuffle(array) {
+    const items = this.toArray(array).slice();
+    for (let index = items.length - 1; index > 0; index--) {
+      const swap = Math.floor(Math.random() * (index + 1));
+      [items[index], items[swap]] = [items[swap], items[index]];
+    }
+    return items;
+  }
+
+  groupBy(array, attribute) {
+    const groups = new Map();
+    this.toArray(array).forEach(item => {
+      const key = this.attributeValue(item, attribute);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(item);
+    });
+    return Array.from(groups, ([key, items]) => ({ key, items }));
+  }
+
+  orderBy(array, attribute, direction = 'asc') {
+    const descending = String(direction).toLowerCase() === 'desc';
+    return this.toArray(array).slice().sort((a, b) => {
+      const left = this.attributeValue(a, attribute);
+      const right = this.attributeValue(b, attribute);
+      if (left === right) return 0;
+      if (left === undefined || left === null) return 1;
+      if (right === undefined || right === null) return -1;
+      const result = left < right ? -1 : 1;
+      return descending ? -result : result;
+    });
+  }
+
+  batch(array, size) {
+    const batchSize = Math.max(parseInt(size, 10) || 1, 1);
+    const items = this.toArray(array);
+    const batches = [];
+    for (let index = 0; index < items.length; index += batchSize) {
+      batches.push(items.slice(index, index + batchSize));
+    }
+    return batches;
+  }
+
+  skip(array, count) {
+    return this.toArray(array).slice(Math.max(parseInt(count, 10) || 0, 0));
+  }
+
+  take(array, count) {
+    return this.toArray(array).slice(0, Math.max(parseInt(count, 10) || 0, 0));
+  }
+
+  select(array, attribute) {
+    return this.toArray(array).map(item => (item ? item[attribute] : undefined));
+  }
+
+  where(array, attribute, value) {
+    return this.toArray(array).filter(item => this.matches(item, attribute, value));
+  }
+
+  except(array, attribute, value) {
+    return this.toArray(array).filter(item => !this.matches(item, attribute, value));
+  }
+
+  // URLs
+
+  parseUrl(url) {
+    if (url === undefined || url === null) {
+      return null;
+    }
+    try {
+      const parsed = new URL(String(url), RELATIVE_BASE);
+      return { parsed, relative: parsed.origin === RELATIVE_BASE && !String(url).startsWith(RELATIVE_BASE) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  formatUrl({ parsed, relative }) {
+    return relative ? `${parsed.pathname}${parsed.search}${parsed.hash}` : parsed.toString();
+  }
+
+  addQuery(url, name, value) {
+    const result = this.parseUrl(url);
+    if (!result || !name) return url;
+    result.parsed.searchParams.set(name, value === undefined || value === null ? '' : value);
+    return this.formatUrl(result);
+  }
+
+  removeQuery(url, name) {
+    const result = this.parseUrl(url);
+    if (!result || !name) return url;
+    result.parsed.searchParams.delete(name);
+    return this.formatUrl(result);
+  }
+
+  urlPart(url, part) {
+    const result = this.parseUrl(url);
+    if (!result) return null;
+    const { parsed, relative } = result;
+
+    switch (part) {
+      case 'base':
+        return relative ? null : parsed.origin;
+      case 'host':
+        return relative ? null : parsed.hostname;
+      case 'port':
+        if (relative) return null;
+        return parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80);
+      case 'scheme':
+        return relative ? null : parsed.protocol.replace(/:$/, '');
+      case 'path':
+        return parsed.pathname;
+      case 'path_and_query':
+        return `${parsed.pathname}${parsed.search}`;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = PowerPagesFilters;
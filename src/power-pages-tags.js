@@ -0,0 +1,415 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+const { Tag, Hash, evalToken } = require('liquidjs');
+const FetchXmlQuery = require('./fetchxml');
+
+// Where `pac paportal download` puts list and form definitions
+const DEFINITION_SOURCES = {
+  entitylist: { folder: 'lists', suffix: '.list.yml', idField: 'adx_entitylistid' },
+  entityform: { folder: 'basic-forms', suffix: '.basicform.yml', idField: 'adx_entityformid' },
+  webform: { folder: 'advanced-forms', suffix: '.advancedform.yml', idField: 'adx_webformid' }
+};
+
+const FORM_MODES = {
+  100000000: 'Insert',
+  100000001: 'Edit',
+  100000002: 'ReadOnly'
+};
+
+/**
+ * Power Pages Liquid tags: fetchxml, entitylist, entityview, entityform,
+ * webform, editable, chart and powerbi. Data tags query the local /_api so
+ * mocks answer first and the API proxy handles the rest.
+ */
+class PowerPagesTags {
+  constructor(config, liquidEngine) {
+    this.config = config;
+    this.liquidEngine = liquidEngine;
+    this.definitionsCache = new Map();
+  }
+
+  register(engine) {
+    engine.registerTag('fetchxml', this.createFetchXmlTag());
+    engine.registerTag('entitylist', this.createEntityListTag());
+    engine.registerTag('entityview', this.createEntityViewTag());
+    engine.registerTag('entityform', this.createFormTag('entityform'));
+    engine.registerTag('webform', this.createFormTag('webform'));
+    engine.registerTag('editable', this.createEditableTag());
+    engine.registerTag('chart', this.createChartTag());
+    engine.registerTag('powerbi', this.createPowerBiTag());
+    console.log(chalk.blue('✅ Power Pages tags registered'));
+  }
+
+  clearCache() {
+    this.definitionsCache.clear();
+  }
+
+  /**
+   * Collect the templates between an opening tag and its end tag
+   */
+  static parseBlock(tagToken, remainTokens, parser, endTagName) {
+    const templates = [];
+    while (remainTokens.length) {
+      const token = remainTokens.shift();
+      if (token.name === endTagName) {
+        return templates;
+      }
+      templates.push(parser.parseToken(token, remainTokens));
+    }
+    throw new Error(`tag ${tagToken.getText()} not closed`);
+  }
+
+  static escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, match => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    }[match]));
+  }
+
+  async loadDefinitions(type) {
+    if (this.definitionsCache.has(type)) {
+      return this.definitionsCache.get(type);
+    }
+
+    const { folder, suffix } = DEFINITION_SOURCES[type];
+    const definitions = [];
+    const walk = async (dir) => {
+      if (!await fs.pathExists(dir)) return;
+      for (const entry of await fs.readdir(dir)) {
+        const entryPath = path.join(dir, entry);
+        if ((await fs.stat(entryPath)).isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.endsWith(suffix)) {
+          try {
+            definitions.push(yaml.parse(await fs.readFile(entryPath, 'utf8')) || {});
+          } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not parse ${entry}: ${error.message}`));
+          }
+        }
+      }
+    };
+
+    await walk(path.join(this.config.powerPagesPath, folder));
+    this.definitionsCache.set(type, definitions);
+    return definitions;
+  }
+
+  /**
+   * Find a list/form definition by id, name or key (id or name) like Power Pages does
+   */
+  async findDefinition(type, args) {
+    const { idField } = DEFINITION_SOURCES[type];
+    const definitions = await this.loadDefinitions(type);
+    const id = args.id && (args.id.id || args.id);
+    const name = args.name;
+    const key = args.key;
+    const matches = (value, candidate) => value && candidate && String(value).toLowerCase() === String(candidate).toLowerCase();
+
+    return definitions.find(definition =>
+      matches(id, definition[idField]) ||
+      matches(name, definition.adx_name) ||
+      matches(key, definition[idField]) ||
+      matches(key, definition.adx_name)
+    ) || null;
+  }
+
+  getUserId(ctx) {
+    const scope = ctx.getAll();
+    return scope.user && scope.user.id ? scope.user.id : null;
+  }
+
+  getPersonaKey(ctx) {
+    return ctx.getAll().mockPersona || null;
+  }
+
+  createFetchXmlTag() {
+    const tags = this;
+    return class FetchXmlTag extends Tag {
+      constructor(tagToken, remainTokens, liquid, parser) {
+        super(tagToken, remainTokens, liquid);
+        this.variable = this.tokenizer.readIdentifier().content;
+        if (!this.variable) {
+          throw new Error(`fetchxml requires a variable name: ${tagToken.getText()}`);
+        }
+        this.templates = PowerPagesTags.parseBlock(tagToken, remainTokens, parser, 'endfetchxml');
+      }
+
+      * render(ctx) {
+        const xml = yield this.liquid.renderer.renderTemplates(this.templates, ctx);
+        ctx.bottom()[this.variable] = yield tags.runFetchXml(xml, tags.getUserId(ctx), tags.getPersonaKey(ctx));
+      }
+    };
+  }
+
+  async runFetchXml(xml, userId, personaKey = null) {
+    const emptyResults = { entities: [], more_records: false, paging_cookie: null, total_record_count: 0 };
+
+    try {
+      const query = new FetchXmlQuery(xml);
+      const odataPath = query.toODataPath(userId);
+      console.log(chalk.blue(`🔎 fetchxml → /_api/${decodeURIComponent(odataPath)}`));
+
+      const response = await this.liquidEngine.queryODataApi(odataPath, personaKey);
+      return { xml, results: response ? query.toResults(response) : emptyResults };
+    } catch (error) {
+      console.error(chalk.red('❌ fetchxml error:'), error.message);
+      return { xml, results: emptyResults, error: error.message };
+    }
+  }
+
+  createEntityListTag() {
+    const tags = this;
+    return class EntityListTag extends Tag {
+      constructor(tagToken, remainTokens, liquid, parser) {
+        super(tagToken, remainTokens, liquid);
+        this.hash = new Hash(this.tokenizer);
+        this.templates = PowerPagesTags.parseBlock(tagToken, remainTokens, parser, 'endentitylist');
+      }
+
+      * render(ctx, emitter) {
+        const args = yield this.hash.render(ctx);
+        const entitylist = yield tags.buildEntityList(args);
+        ctx.push({ entitylist });
+        yield this.liquid.renderer.renderTemplates(this.templates, ctx, emitter);
+        ctx.pop();
+      }
+    };
+  }
+
+  async buildEntityList(args) {
+    const definition = await this.findDefinition('entitylist', args);
+    if (!definition) {
+      console.warn(chalk.yellow(`⚠️  List not found: ${JSON.stringify(args)}`));
+      return null;
+    }
+
+    const entityName = definition.adx_entityname;
+    const viewIds = [definition.adx_view]
+      .concat(typeof definition.adx_views === 'string' ? definition.adx_views.split(/[,;\s]+/) : [])
+      .filter(Boolean)
+      .filter((viewId, index, all) => all.indexOf(viewId) === index);
+    const views = viewIds.map((viewId, index) => ({ id: viewId, name: `View ${index + 1}`, primary: index === 0 }));
+
+    return {
+      id: definition.adx_entitylistid,
+      name: definition.adx_name,
+      entity_logical_name: entityName,
+      primary_key_name: definition.adx_primarykeyname || `${entityName}id`,
+      page_size: definition.adx_pagesize || 10,
+      language_code: args.language_code || null,
+      search_enabled: Boolean(definition.adx_searchenabled),
+      search_placeholder: definition.adx_searchplaceholdertext || '',
+      search_tooltip: definition.adx_searchtooltiptext || '',
+      create_enabled: Boolean(definition.adx_webpageforcreate || definition.adx_createbuttonlabel),
+      create_label: definition.adx_createbuttonlabel || 'Create',
+      create_url: null,
+      detail_enabled: Boolean(definition.adx_webpagefordetailsview || definition.adx_detailsbuttonlabel),
+      detail_label: definition.adx_detailsbuttonlabel || 'View details',
+      detail_id_parameter: definition.adx_idquerystringparametername || 'id',
+      detail_url: null,
+      filter_enabled: Boolean(definition.adx_filter_enabled),
+      filter_definition: definition.adx_filter_definition || null,
+      enable_entity_permissions: definition.adx_entitypermissionsenabled !== false,
+      default_view: views.length > 0 ? views[0].id : null,
+      views
+    };
+  }
+
+  createEntityViewTag() {
+    const tags = this;
+    return class EntityViewTag extends Tag {
+      constructor(tagToken, remainTokens, liquid, parser) {
+        super(tagToken, remainTokens, liquid);
+        this.hash = new Hash(this.tokenizer);
+        this.templates = PowerPagesTags.parseBlock(tagToken, remainTokens, parser, 'endentityview');
+      }
+
+      * render(ctx, emitter) {
+        const args = yield this.hash.render(ctx);
+        const entityview = yield tags.buildEntityView(args, ctx.getAll().entitylist, tags.getPersonaKey(ctx));
+        ctx.push({ entityview });
+        yield this.liquid.renderer.renderTemplates(this.templates, ctx, emitter);
+        ctx.pop();
+      }
+    };
+  }
+
+  async buildEntityView(args, entitylist, personaKey = null) {
+    const entityName = args.logical_name || (entitylist && entitylist.entity_logical_name);
+    if (!entityName) {
+      console.warn(chalk.yellow('⚠️  entityview needs logical_name or an enclosing entitylist'));
+      return null;
+    }
+
+    const pageSize = parseInt(args.page_size || (entitylist && entitylist.page_size) || 10, 10);
+    const page = Math.max(parseInt(args.page || 1, 10), 1);
+    const params = [`$top=${pageSize * page}`, '$count=true'];
+    if (args.order) {
+      params.push(`$orderby=${encodeURIComponent(args.order)}`);
+    }
+
+    const entitySet = FetchXmlQuery.toEntitySetName(entityName);
+    const response = await this.liquidEngine.queryODataApi(`${entitySet}?${params.join('&')}`, personaKey);
+    const allRecords = response && Array.isArray(response.value) ? response.value : [];
+    const records = allRecords
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map(record => FetchXmlQuery.toLiquidEntity(record, entityName));
+
+    const totalRecords = response && response['@odata.count'] !== undefined ? response['@odata.count'] : allRecords.length;
+    const totalPages = Math.max(Math.ceil(totalRecords / pageSize), 1);
+    const primaryKey = (entitylist && entitylist.primary_key_name) || `${entityName}id`;
+    const columnNames = records.length > 0
+      ? Object.keys(records[0]).filter(key => !['id', 'logical_name', primaryKey].includes(key))
+      : [];
+
+    return {
+      id: args.id || (entitylist && entitylist.default_view) || null,
+      name: args.name || null,
+      entity_logical_name: entityName,
+      primary_key_logical_name: primaryKey,
+      language_code: args.language_code || null,
+      columns: columnNames.map(name => ({ name, logical_name: name, width: 100 })),
+      records,
+      page,
+      page_size: pageSize,
+      pages: Array.from({ length: totalPages }, (value, index) => index + 1),
+      total_records: totalRecords,
+      total_pages: totalPages,
+      first_page: 1,
+      last_page: totalPages,
+      next_page: page < totalPages ? page + 1 : null,
+      previous_page: page > 1 ? page - 1 : null,
+      sort_expression: args.order || '',
+      search: args.search || null,
+      views: entitylist ? entitylist.views : []
+    };
+  }
+
+  createFormTag(type) {
+    const tags = this;
+    return class FormTag extends Tag {
+      constructor(tagToken, remainTokens, liquid) {
+        super(tagToken, remainTokens, liquid);
+        this.hash = new Hash(this.tokenizer);
+      }
+
+      * render(ctx, emitter) {
+        const args = yield this.hash.render(ctx);
+        const definition = yield tags.findDefinition(type, args);
+        emitter.write(tags.renderFormPlaceholder(type, args, definition));
+      }
+    };
+  }
+
+  renderFormPlaceholder(type, args, definition) {
+    const escape = PowerPagesTags.escapeHtml;
+    const label = type === 'entityform' ? 'Basic form' : 'Multistep form';
+    const name = definition ? definition.adx_name : (args.name || args.key || args.id || 'unknown');
+
+    if (!definition) {
+      console.warn(chalk.yellow(`⚠️  ${label} not found: ${name}`));
+    }
+
+    const details = definition
+      ? `Table: ${escape(definition.adx_entityname || '')}, mode: ${escape(FORM_MODES[definition.adx_mode] || definition.adx_mode || 'Insert')}`
+      : 'Definition not found in the project';
+
+    return `<div class="${type === 'entityform' ? 'entity-form' : 'web-form'}" data-${type}-name="${escape(name)}">
+  <div class="crmEntityFormView">
+    <div class="tab clearfix">
+      <div class="tab-column">
+        <fieldset>
+          <legend class="section-title"><h2>${escape(name)}</h2></legend>
+          <div class="alert alert-info" role="status">${label} "${escape(name)}" is rendered by Power Pages at runtime. ${details}.</div>
+        </fieldset>
+      </div>
+    </div>
+    <div class="actions">
+      <input type="button" class="btn btn-primary button submit-btn" value="Submit" disabled="disabled" />
+    </div>
+  </div>
+</div>`;
+  }
+
+  createEditableTag() {
+    const tags = this;
+    return class EditableTag extends Tag {
+      constructor(tagToken, remainTokens, liquid) {
+        super(tagToken, remainTokens, liquid);
+        this.object = this.tokenizer.readValue();
+        this.tokenizer.skipBlank();
+        const next = this.tokenizer.peek();
+        this.key = next === '"' || next === "'" ? this.tokenizer.readValue() : null;
+        this.hash = new Hash(this.tokenizer);
+      }
+
+      * render(ctx, emitter) {
+        const object = yield evalToken(this.object, ctx);
+        const key = this.key ? yield evalToken(this.key, ctx) : null;
+        const options = yield this.hash.render(ctx);
+
+        let value = key !== null ? (object ? object[key] : undefined) : object;
+        if ((value === undefined || value === null || value === '') && options.default !== undefined) {
+          value = options.default;
+        }
+        value = value === undefined || value === null ? '' : String(value);
+
+        if (options.liquid && value) {
+          value = yield this.liquid.parseAndRender(value, ctx.getAll());
+        }
+
+        emitter.write(tags.renderEditable(value, options));
+      }
+    };
+  }
+
+  renderEditable(value, options) {
+    const type = options.type || 'html';
+    if (type === 'html') {
+      return `<div class="xrm-attribute xrm-editable-html"><div class="xrm-attribute-value">${value}</div></div>`;
+    }
+    const escaped = options.escape ? PowerPagesTags.escapeHtml(value) : value;
+    return `<span class="xrm-attribute xrm-editable-text"><span class="xrm-attribute-value">${escaped}</span></span>`;
+  }
+
+  createChartTag() {
+    return class ChartTag extends Tag {
+      constructor(tagToken, remainTokens, liquid) {
+        super(tagToken, remainTokens, liquid);
+        this.hash = new Hash(this.tokenizer);
+      }
+
+      * render(ctx, emitter) {
+        const args = yield this.hash.render(ctx);
+        const escape = PowerPagesTags.escapeHtml;
+        emitter.write(`<div class="entity-chart" data-chart-id="${escape(args.id)}" data-view-id="${escape(args.viewid)}">
+  <div class="alert alert-info" role="status">Chart ${escape(args.id)} is rendered by Power Pages at runtime.</div>
+</div>`);
+      }
+    };
+  }
+
+  createPowerBiTag() {
+    return class PowerBiTag extends Tag {
+      constructor(tagToken, remainTokens, liquid) {
+        super(tagToken, remainTokens, liquid);
+        this.hash = new Hash(this.tokenizer);
+      }
+
+      * render(ctx, emitter) {
+        const args = yield this.hash.render(ctx);
+        const escape = PowerPagesTags.escapeHtml;
+        emitter.write(`<div class="powerbi" data-path="${escape(args.path)}" data-authentication-type="${escape(args.authentication_type || 'anonymous')}" style="height: ${escape(args.height || '400px')}; width: ${escape(args.width || '100%')};">
+  <div class="alert alert-info" role="status">Power BI ${escape(args.tileid ? 'tile' : 'report')} is embedded by Power Pages at runtime: ${escape(args.path)}</div>
+</div>`);
+      }
+    };
+  }
+}
+
+module.exports = PowerPagesTags;
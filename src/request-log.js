@@ -0,0 +1,144 @@
+const MockSanitizer = require('./mock-sanitizer');
+
+// Bodies above this size are cut, so a few large downloads cannot fill memory
+const BODY_LIMIT = 64 * 1024;
+const TEXT_TYPES = /json|text|xml|javascript|x-www-form-urlencoded/i;
+
+/**
+ * Ring buffer of recent /_api and /api requests and what answered them. Handlers
+ * set res.locals.servedBy ({ type: 'mock' | 'entity-store' | 'proxy' | ..., ... })
+ * and res.locals.timing; requests nobody claimed were answered by the server's
+ * own routes. Each entry also keeps the request and response bodies and, when
+ * MockMiddleware looked at the request, why each mock it checked did or did not
+ * match (req.mockMatch).
+ */
+class RequestLog {
+  constructor(limit = 200, bodyLimit = BODY_LIMIT) {
+    this.limit = limit;
+    this.bodyLimit = bodyLimit;
+    this.entries = [];
+    this.sequence = 0;
+    this.sanitizer = new MockSanitizer();
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      const started = Date.now();
+      const url = req.originalUrl;
+      const captured = this.captureResponse(res);
+
+      res.on('close', () => {
+        const duration = Date.now() - started;
+        this.add({
+          id: ++this.sequence,
+          time: new Date(started).toISOString(),
+          method: req.method,
+          url,
+          status: res.headersSent ? res.statusCode : null,
+          duration,
+          persona: req.persona ? req.persona.key : null,
+          servedBy: res.locals.servedBy || { type: 'server' },
+          timing: {
+            total: duration,
+            ...(req.mockMatch && { matching: req.mockMatch.duration }),
+            ...res.locals.timing
+          },
+          mockMatch: req.mockMatch || null,
+          request: {
+            headers: this.sanitizer.redactHeaders(req.headers),
+            body: this.requestBody(req)
+          },
+          response: {
+            headers: res.headersSent ? this.sanitizer.redactHeaders(res.getHeaders()) : {},
+            ...this.decodeBody(captured, res.getHeader('content-type'))
+          }
+        });
+      });
+      next();
+    };
+  }
+
+  /**
+   * Copy the first bodyLimit bytes of everything written to the response
+   */
+  captureResponse(res) {
+    const captured = { chunks: [], length: 0, size: 0 };
+    const capture = (chunk, encoding) => {
+      if (!chunk || typeof chunk === 'function') return;
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      captured.size += buffer.length;
+      if (captured.length < this.bodyLimit) {
+        const kept = buffer.subarray(0, this.bodyLimit - captured.length);
+        captured.chunks.push(kept);
+        captured.length += kept.length;
+      }
+    };
+
+    const { write, end } = res;
+    res.write = function (chunk, encoding, ...rest) {
+      capture(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      capture(chunk, encoding);
+      return end.call(this, chunk, encoding, ...rest);
+    };
+    return captured;
+  }
+
+  /**
+   * { body, size, truncated }; JSON is parsed, other text kept as is, binary only described
+   */
+  decodeBody(captured, contentType = '') {
+    if (captured.size === 0) {
+      return { body: null, size: 0, truncated: false };
+    }
+    const truncated = captured.size > captured.length;
+    if (contentType && !TEXT_TYPES.test(contentType)) {
+      return { body: `[${captured.size} bytes of ${contentType}]`, size: captured.size, truncated: false, binary: true };
+    }
+
+    const text = Buffer.concat(captured.chunks).toString('utf8');
+    let body = text;
+    if (!truncated && /json/i.test(contentType || '')) {
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        // Keep the text of a malformed JSON body
+      }
+    }
+    return { body, size: captured.size, truncated };
+  }
+
+  requestBody(req) {
+    const body = req.body;
+    if (body === undefined || body === null || (typeof body === 'object' && !Buffer.isBuffer(body) && Object.keys(body).length === 0)) {
+      return null;
+    }
+    return Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  }
+
+  add(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+  }
+
+  /**
+   * Newest first, without bodies and match details (see get)
+   */
+  list() {
+    return [...this.entries].reverse().map(({ request, response, mockMatch, ...summary }) => summary);
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === Number(id)) || null;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+module.exports = RequestLog;
@@ -0,0 +1,241 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+
+const LANGUAGE_IN_FILENAME = /\.([a-zA-Z]{2}-[a-zA-Z]{2})\.contentsnippet\./;
+
+/**
+ * Site-wide Liquid objects read from the project instead of hard-coded
+ * placeholders: settings (sitesetting.yml), sitemarkers (sitemarker.yml),
+ * weblinks (weblink-sets/) and snippets (content-snippets/).
+ */
+class SiteData {
+  constructor(config, siteMap) {
+    this.config = config;
+    this.siteMap = siteMap;
+    this.loading = null;
+  }
+
+  /**
+   * Load the project files once; concurrent callers share the same promise
+   */
+  async ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.load().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    await this.siteMap.ensureLoaded();
+
+    const [settings, sitemarkers, weblinks, snippets] = await Promise.all([
+      this.loadSettings(),
+      this.loadSitemarkers(),
+      this.loadWeblinks(),
+      this.loadSnippets()
+    ]);
+
+    console.log(chalk.green(`📚 Site data loaded: ${Object.keys(settings).length} setting(s), ${Object.keys(sitemarkers).length} sitemarker(s), ${Object.keys(weblinks).length} weblink set(s), ${snippets.size} snippet(s)`));
+    return { settings, sitemarkers, weblinks, snippets };
+  }
+
+  /**
+   * Liquid globals for a render; snippets resolve to the requested language
+   */
+  async getLiquidObjects(language) {
+    const { settings, sitemarkers, weblinks, snippets } = await this.ensureLoaded();
+    return {
+      settings,
+      sitemarkers,
+      weblinks,
+      snippets: this.snippetsForLanguage(snippets, language || this.config.defaultLanguage)
+    };
+  }
+
+  async readYamlList(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      return [];
+    }
+    try {
+      const parsed = yaml.parse(await fs.readFile(filePath, 'utf8'));
+      if (!parsed) return [];
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Could not parse ${path.basename(filePath)}: ${error.message}`));
+      return [];
+    }
+  }
+
+  async findFiles(dir, suffix) {
+    if (!await fs.pathExists(dir)) {
+      return [];
+    }
+    const found = [];
+    for (const entry of await fs.readdir(dir)) {
+      const entryPath = path.join(dir, entry);
+      if ((await fs.stat(entryPath)).isDirectory()) {
+        found.push(...await this.findFiles(entryPath, suffix));
+      } else if (entry.endsWith(suffix)) {
+        found.push(entryPath);
+      }
+    }
+    return found;
+  }
+
+  async loadSettings() {
+    const records = await this.readYamlList(path.join(this.config.powerPagesPath, 'sitesetting.yml'));
+    const settings = {};
+    records.forEach(record => {
+      if (record.adx_name) {
+        settings[record.adx_name] = record.adx_value !== undefined && record.adx_value !== null ? record.adx_value : '';
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * Liquid view of a web page from the site map, as sitemarkers and weblinks expose it
+   */
+  pageReference(pageId) {
+    const node = pageId ? this.siteMap.nodesById.get(String(pageId).toLowerCase()) : null;
+    if (!node) {
+      return null;
+    }
+    return {
+      id: node.id,
+      name: node.config.adx_name,
+      title: node.config.adx_title || node.config.adx_name,
+      url: node.url
+    };
+  }
+
+  async loadSitemarkers() {
+    const records = await this.readYamlList(path.join(this.config.powerPagesPath, 'sitemarker.yml'));
+    const sitemarkers = {};
+    records.forEach(record => {
+      if (!record.adx_name) return;
+      const page = this.pageReference(record.adx_pageid);
+      if (!page) {
+        console.warn(chalk.yellow(`⚠️  Sitemarker "${record.adx_name}" points to an unknown page: ${record.adx_pageid}`));
+      }
+      sitemarkers[record.adx_name] = {
+        ...(page || {}),
+        id: record.adx_sitemarkerid,
+        name: record.adx_name,
+        url: page ? page.url : null
+      };
+    });
+    return sitemarkers;
+  }
+
+  async loadWeblinks() {
+    const setsDir = path.join(this.config.powerPagesPath, 'weblink-sets');
+    const setFiles = await this.findFiles(setsDir, '.weblinkset.yml');
+    const linkRecords = [];
+    for (const linkFile of await this.findFiles(setsDir, '.weblink.yml')) {
+      linkRecords.push(...await this.readYamlList(linkFile));
+    }
+
+    const weblinks = {};
+    for (const setFile of setFiles) {
+      const [set] = await this.readYamlList(setFile);
+      if (!set || !set.adx_name) continue;
+
+      const setId = String(set.adx_weblinksetid || '').toLowerCase();
+      const links = linkRecords.filter(link => String(link.adx_weblinksetid || '').toLowerCase() === setId);
+
+      weblinks[set.adx_name] = {
+        id: set.adx_weblinksetid,
+        name: set.adx_name,
+        title: set.adx_title || null,
+        copy: set.adx_copy || null,
+        weblinks: this.buildWeblinkTree(links, null)
+      };
+    }
+    return weblinks;
+  }
+
+  buildWeblinkTree(links, parentId) {
+    return links
+      .filter(link => String(link.adx_parentweblinkid || '').toLowerCase() === String(parentId || '').toLowerCase())
+      .sort((a, b) => (a.adx_displayorder || 0) - (b.adx_displayorder || 0))
+      .map(link => {
+        const page = this.pageReference(link.adx_pageid);
+        const children = this.buildWeblinkTree(links, link.adx_weblinkid);
+        return {
+          id: link.adx_weblinkid,
+          name: link.adx_name,
+          description: link.adx_description || null,
+          tooltip: link.adx_description || null,
+          url: link.adx_externalurl || (page ? page.url : null),
+          is_external: Boolean(link.adx_externalurl),
+          open_in_new_window: Boolean(link.adx_openinnewwindow),
+          nofollow: link.adx_robotsfollowlink === false,
+          display_image_only: Boolean(link.adx_displayimageonly),
+          display_page_child_links: Boolean(link.adx_displaypagechildlinks),
+          image: link.adx_imageurl ? {
+            url: link.adx_imageurl,
+            alternate_text: link.adx_imagealttext || link.adx_name,
+            height: link.adx_imageheight || null,
+            width: link.adx_imagewidth || null
+          } : null,
+          page,
+          weblinks: children
+        };
+      });
+  }
+
+  /**
+   * Snippet values keyed by name, then by language code ('' when the file has none)
+   */
+  async loadSnippets() {
+    const snippetsDir = path.join(this.config.powerPagesPath, this.config.snippetsPath);
+    const snippets = new Map();
+
+    for (const configPath of await this.findFiles(snippetsDir, '.contentsnippet.yml')) {
+      const [config] = await this.readYamlList(configPath);
+      const fileName = path.basename(configPath);
+      const name = (config && config.adx_name) || fileName.split('.')[0];
+      const languageMatch = fileName.match(LANGUAGE_IN_FILENAME);
+
+      const valuePath = configPath.replace(/\.contentsnippet\.yml$/, '.contentsnippet.value.html');
+      let value = config && config.adx_value !== undefined ? String(config.adx_value) : '';
+      if (await fs.pathExists(valuePath)) {
+        value = await fs.readFile(valuePath, 'utf8');
+      }
+
+      if (!snippets.has(name)) {
+        snippets.set(name, {});
+      }
+      snippets.get(name)[languageMatch ? languageMatch[1].toLowerCase() : ''] = value;
+    }
+
+    return snippets;
+  }
+
+  snippetsForLanguage(snippets, language) {
+    const code = String(language || '').toLowerCase();
+    const result = {};
+    snippets.forEach((values, name) => {
+      if (values[code] !== undefined) {
+        result[name] = values[code];
+      } else if (values[''] !== undefined) {
+        result[name] = values[''];
+      } else {
+        result[name] = Object.values(values)[0];
+      }
+    });
+    return result;
+  }
+
+  clearCache() {
+    this.loading = null;
+  }
+}
+
+module.exports = SiteData;
@@ -0,0 +1,315 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+const { Drop } = require('liquidjs');
+
+// Root page attributes a localized content page must not override
+const ROOT_ATTRIBUTES = ['adx_webpageid', 'adx_parentpageid', 'adx_partialurl', 'adx_isroot'];
+
+/**
+ * Liquid site map node (the Power Pages `page` object and sitemap entries).
+ * parent, children and breadcrumbs are resolved lazily so the graph has no
+ * cycles in its own properties.
+ */
+class SiteMapNodeDrop extends Drop {
+  constructor(siteMap, node, language, currentNode) {
+    super();
+    Object.defineProperty(this, 'context', { value: { siteMap, node, language, currentNode } });
+
+    const attributes = siteMap.getLocalizedConfig(node, language);
+    Object.keys(attributes)
+      .filter(key => key.startsWith('adx_'))
+      .forEach(key => {
+        this[key] = attributes[key];
+      });
+
+    this.id = node.id;
+    this.name = attributes.adx_name;
+    this.title = attributes.adx_title || attributes.adx_name;
+    this.description = attributes.adx_summary || null;
+    this.url = node.url;
+    this.is_sitemap_current = node === currentNode;
+    this.is_sitemap_ancestor = siteMap.isAncestor(node, currentNode);
+  }
+
+  get parent() {
+    const { siteMap, node, language, currentNode } = this.context;
+    return node.parent ? new SiteMapNodeDrop(siteMap, node.parent, language, currentNode) : null;
+  }
+
+  get children() {
+    const { siteMap, node, language, currentNode } = this.context;
+    return node.children
+      .filter(child => !child.config.adx_hiddenfromsitemap)
+      .map(child => new SiteMapNodeDrop(siteMap, child, language, currentNode));
+  }
+
+  /**
+   * Ancestors from the site map root down to the parent
+   */
+  get breadcrumbs() {
+    const { siteMap, node, language, currentNode } = this.context;
+    const ancestors = [];
+    const visited = new Set([node]);
+    let current = node.parent;
+    while (current && !visited.has(current)) {
+      visited.add(current);
+      ancestors.unshift(new SiteMapNodeDrop(siteMap, current, language, currentNode));
+      current = current.parent;
+    }
+    return ancestors;
+  }
+}
+
+/**
+ * Liquid `sitemap` object: root, current and lookup by URL or page id (sitemap['/requests/'])
+ */
+class SiteMapDrop extends Drop {
+  constructor(siteMap, language, currentNode) {
+    super();
+    Object.defineProperty(this, 'context', { value: { siteMap, language, currentNode } });
+  }
+
+  get root() {
+    const { siteMap, language, currentNode } = this.context;
+    return siteMap.root ? new SiteMapNodeDrop(siteMap, siteMap.root, language, currentNode) : null;
+  }
+
+  get current() {
+    const { siteMap, language, currentNode } = this.context;
+    return currentNode ? new SiteMapNodeDrop(siteMap, currentNode, language, currentNode) : null;
+  }
+
+  liquidMethodMissing(key) {
+    const { siteMap, language, currentNode } = this.context;
+    const node = siteMap.nodesByUrl.get(siteMap.normalizeUrl(String(key))) ||
+      siteMap.nodesById.get(String(key).toLowerCase());
+    return node ? new SiteMapNodeDrop(siteMap, node, language, currentNode) : null;
+  }
+}
+
+/**
+ * Site map built from the adx_parentpageid links of every root .webpage.yml.
+ * Resolves full nested URLs (/requests/details/) the way Power Pages does:
+ * case-insensitive and with or without the trailing slash.
+ */
+class SiteMap {
+  constructor(config) {
+    this.config = config;
+    this.pagesDir = path.join(config.powerPagesPath, config.pagesPath);
+    this.nodesById = new Map();
+    this.nodesByUrl = new Map();
+    this.root = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load the site map once; concurrent callers share the same promise
+   */
+  async ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.load().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    this.nodesById.clear();
+    this.nodesByUrl.clear();
+    this.root = null;
+
+    if (!await fs.pathExists(this.pagesDir)) {
+      console.warn(chalk.yellow(`⚠️  Web pages directory not found: ${this.pagesDir}`));
+      return;
+    }
+
+    const directories = await fs.readdir(this.pagesDir);
+    for (const directory of directories) {
+      const dirPath = path.join(this.pagesDir, directory);
+      if (!(await fs.stat(dirPath)).isDirectory()) {
+        continue;
+      }
+
+      const ymlFile = (await fs.readdir(dirPath)).find(f => f.endsWith('.webpage.yml'));
+      if (!ymlFile) {
+        continue;
+      }
+
+      try {
+        const configPath = path.join(dirPath, ymlFile);
+        const config = yaml.parse(await fs.readFile(configPath, 'utf8')) || {};
+        if (!config.adx_webpageid) {
+          continue;
+        }
+
+        this.nodesById.set(config.adx_webpageid.toLowerCase(), {
+          id: config.adx_webpageid,
+          parentId: config.adx_parentpageid ? config.adx_parentpageid.toLowerCase() : null,
+          config: { ...config, directory, configPath },
+          localized: await this.loadLocalizedConfigs(path.join(dirPath, 'content-pages')),
+          children: [],
+          parent: null,
+          url: null
+        });
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Could not parse ${ymlFile}: ${error.message}`));
+      }
+    }
+
+    this.link();
+    console.log(chalk.green(`🗺️  Site map built: ${this.nodesById.size} page(s), ${this.nodesByUrl.size} URL(s)`));
+  }
+
+  /**
+   * Content page configs (Name.en-US.webpage.yml) keyed by lowercase language code
+   */
+  async loadLocalizedConfigs(contentDir) {
+    const localized = {};
+    if (!await fs.pathExists(contentDir)) {
+      return localized;
+    }
+
+    for (const file of await fs.readdir(contentDir)) {
+      const match = file.match(/\.([a-zA-Z]{2}-[a-zA-Z]{2})\.webpage\.yml$/);
+      if (!match) {
+        continue;
+      }
+      try {
+        localized[match[1].toLowerCase()] = yaml.parse(await fs.readFile(path.join(contentDir, file), 'utf8')) || {};
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Could not parse ${file}: ${error.message}`));
+      }
+    }
+    return localized;
+  }
+
+  link() {
+    for (const node of this.nodesById.values()) {
+      const parent = node.parentId ? this.nodesById.get(node.parentId) : null;
+      if (parent) {
+        node.parent = parent;
+        parent.children.push(node);
+      } else if (node.parentId) {
+        console.warn(chalk.yellow(`⚠️  Parent page not found for ${node.config.directory}: ${node.parentId}`));
+      }
+    }
+
+    for (const node of this.nodesById.values()) {
+      node.children.sort((a, b) => (a.config.adx_displayorder || 0) - (b.config.adx_displayorder || 0));
+    }
+
+    for (const node of this.nodesById.values()) {
+      node.url = this.buildUrl(node);
+      node.config.url = node.url;
+
+      const key = this.normalizeUrl(node.url);
+      const existing = this.nodesByUrl.get(key);
+      if (!existing || this.isPreferred(node, existing)) {
+        this.nodesByUrl.set(key, node);
+      }
+    }
+
+    this.root = this.nodesByUrl.get('/') || null;
+  }
+
+  buildUrl(node) {
+    const segments = [];
+    const visited = new Set();
+    let current = node;
+
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      const partialUrl = (current.config.adx_partialurl || '').replace(/^\/+|\/+$/g, '');
+      if (!current.parent) {
+        // Home page has partial URL "/"; orphaned pages hang off the root
+        if (partialUrl) {
+          segments.unshift(partialUrl);
+        }
+        break;
+      }
+      segments.unshift(partialUrl);
+      current = current.parent;
+    }
+
+    return segments.length > 0 ? `/${segments.join('/')}/` : '/';
+  }
+
+  /**
+   * Home page directory wins on "/", otherwise the page with a parent beats an orphan
+   */
+  isPreferred(candidate, existing) {
+    if (candidate.url === '/') {
+      return candidate.config.directory === 'home' && existing.config.directory !== 'home';
+    }
+    return Boolean(candidate.parent) && !existing.parent;
+  }
+
+  normalizeUrl(urlPath) {
+    let normalized = urlPath || '/';
+    try {
+      normalized = decodeURIComponent(normalized);
+    } catch (error) {
+      // Keep the raw path if it is not valid URI encoding
+    }
+    normalized = normalized.toLowerCase().replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+    return normalized.startsWith('/') ? normalized : `/${normalized}`;
+  }
+
+  async resolve(urlPath) {
+    await this.ensureLoaded();
+    return this.nodesByUrl.get(this.normalizeUrl(urlPath)) || null;
+  }
+
+  async getNode(pageId) {
+    await this.ensureLoaded();
+    return pageId ? this.nodesById.get(pageId.toLowerCase()) || null : null;
+  }
+
+  /**
+   * Root page attributes overlaid with the content page for the language
+   */
+  getLocalizedConfig(node, language) {
+    const code = String(language || this.config.defaultLanguage || '').toLowerCase();
+    const localized = node.localized[code] || Object.values(node.localized)[0] || {};
+    const attributes = { ...node.config, ...localized };
+    ROOT_ATTRIBUTES.forEach(key => {
+      attributes[key] = node.config[key];
+    });
+    return attributes;
+  }
+
+  isAncestor(node, descendant) {
+    let current = descendant ? descendant.parent : null;
+    const visited = new Set();
+    while (current && !visited.has(current)) {
+      if (current === node) {
+        return true;
+      }
+      visited.add(current);
+      current = current.parent;
+    }
+    return false;
+  }
+
+  /**
+   * Liquid `page` and `sitemap` objects for a request
+   */
+  async toLiquidObjects(pageId, language) {
+    await this.ensureLoaded();
+    const currentNode = await this.getNode(pageId);
+    return {
+      page: currentNode ? new SiteMapNodeDrop(this, currentNode, language, currentNode) : null,
+      sitemap: new SiteMapDrop(this, language, currentNode)
+    };
+  }
+
+  clearCache() {
+    this.loading = null;
+  }
+}
+
+module.exports = SiteMap;
@@ -0,0 +1,299 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+const FetchXmlQuery = require('./fetchxml');
+
+// adx_scope values of a table permission
+const SCOPE = {
+  GLOBAL: 756150000,
+  CONTACT: 756150001,
+  ACCOUNT: 756150002,
+  PARENT: 756150003,
+  SELF: 756150004
+};
+
+const SCOPE_NAMES = {
+  [SCOPE.GLOBAL]: 'Global',
+  [SCOPE.CONTACT]: 'Contact',
+  [SCOPE.ACCOUNT]: 'Account',
+  [SCOPE.PARENT]: 'Parent',
+  [SCOPE.SELF]: 'Self'
+};
+
+// Privilege → table permission flag
+const PRIVILEGE_FIELDS = {
+  read: 'adx_read',
+  create: 'adx_create',
+  write: 'adx_write',
+  delete: 'adx_delete',
+  append: 'adx_append',
+  appendto: 'adx_appendto'
+};
+
+// /_api segments that are not tables
+const NON_TABLE_SEGMENTS = new Set(['$batch', '$metadata', 'cloudflow', 'search', 'contentsnippets']);
+
+/**
+ * Evaluates the project's table permissions (table-permissions/) against the
+ * active mock persona's web roles for /_api requests, answering with the
+ * portal Web API's 403 payload when a privilege or scope is missing.
+ */
+class TablePermissions {
+  constructor(config, personaManager) {
+    this.config = config;
+    this.personaManager = personaManager;
+    this.permissions = null;
+    this.warnedEmpty = false;
+  }
+
+  isEnabled() {
+    return !this.config.tablePermissions || this.config.tablePermissions.enabled !== false;
+  }
+
+  async loadPermissions() {
+    if (this.permissions) {
+      return this.permissions;
+    }
+
+    const permissions = [];
+    const walk = async (dir) => {
+      if (!await fs.pathExists(dir)) return;
+      for (const entry of await fs.readdir(dir)) {
+        const entryPath = path.join(dir, entry);
+        if ((await fs.stat(entryPath)).isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.endsWith('.tablepermission.yml')) {
+          try {
+            permissions.push(yaml.parse(await fs.readFile(entryPath, 'utf8')) || {});
+          } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not parse ${entry}: ${error.message}`));
+          }
+        }
+      }
+    };
+
+    await walk(path.join(this.config.powerPagesPath, 'table-permissions'));
+    this.permissions = permissions.filter(permission => permission.adx_entitylogicalname || permission.adx_entityname);
+    return this.permissions;
+  }
+
+  logicalNameOf(permission) {
+    return String(permission.adx_entitylogicalname || permission.adx_entityname).toLowerCase();
+  }
+
+  /**
+   * Map an entity set name (incidents) to the logical name used by a permission (incident)
+   */
+  resolveLogicalName(entitySet, permissions) {
+    const setName = entitySet.toLowerCase();
+    const logicalNames = new Set(permissions.map(permission => this.logicalNameOf(permission)));
+    const configured = (this.config.tablePermissions && this.config.tablePermissions.entitySets) || {};
+
+    if (configured[entitySet]) {
+      return configured[entitySet];
+    }
+    for (const logicalName of logicalNames) {
+      if (FetchXmlQuery.toEntitySetName(logicalName) === setName) {
+        return logicalName;
+      }
+    }
+
+    // Fall back to the usual singular forms for tables without a permission
+    const candidates = [setName.replace(/ies$/, 'y'), setName.replace(/es$/, ''), setName.replace(/s$/, '')];
+    return candidates.find(candidate => logicalNames.has(candidate)) || candidates[candidates.length - 1];
+  }
+
+  /**
+   * Split an /_api path into table, record and navigation parts; null for non-table endpoints
+   */
+  parseRequest(method, apiPath) {
+    const segments = apiPath.split('?')[0].split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    if (segments.length === 0) {
+      return null;
+    }
+
+    const match = segments[0].match(/^([A-Za-z_][\w]*)(?:\(([^)]*)\))?$/);
+    if (!match || NON_TABLE_SEGMENTS.has(match[1].toLowerCase())) {
+      return null;
+    }
+
+    const recordId = match[2] ? match[2].replace(/^'|'$/g, '') : null;
+    const isReference = segments[segments.length - 1] === '$ref';
+    const navigation = segments.length > 1 && segments[1] !== '$ref' ? segments[1] : null;
+
+    let privilege = 'write';
+    if (method === 'GET') {
+      privilege = 'read';
+    } else if (isReference || (navigation && method === 'POST')) {
+      // Associating records through a navigation property
+      privilege = 'append';
+    } else if (method === 'POST') {
+      privilege = 'create';
+    } else if (method === 'DELETE') {
+      // DELETE on a column clears its value
+      privilege = navigation ? 'write' : 'delete';
+    }
+
+    return { entitySet: match[1], recordId, navigation, isReference, privilege };
+  }
+
+  async getRoleIds(persona) {
+    const webRoles = await this.personaManager.loadWebRoles();
+    const roleNames = new Set((await this.personaManager.getEffectiveRoles(persona)).map(role => role.toLowerCase()));
+    return new Set(
+      webRoles
+        .filter(role => roleNames.has(String(role.adx_name || '').toLowerCase()))
+        .map(role => String(role.adx_webroleid || '').toLowerCase())
+    );
+  }
+
+  permissionRoleIds(permission) {
+    const roles = permission.adx_entitypermission_webrole || [];
+    return (Array.isArray(roles) ? roles : [roles]).map(role => String(role.adx_webroleid || role).toLowerCase());
+  }
+
+  /**
+   * A permission applies when one of its web roles is assigned, or (Parent scope)
+   * when its parent permission applies
+   */
+  applies(permission, roleIds, permissions, visited = new Set()) {
+    if (visited.has(permission)) return false;
+    visited.add(permission);
+
+    if (this.permissionRoleIds(permission).some(roleId => roleIds.has(roleId))) {
+      return true;
+    }
+
+    const parent = this.parentOf(permission, permissions);
+    return Boolean(parent) && this.applies(parent, roleIds, permissions, visited);
+  }
+
+  parentOf(permission, permissions) {
+    const parentId = permission.adx_parententitypermission && String(permission.adx_parententitypermission.adx_entitypermissionid || permission.adx_parententitypermission).toLowerCase();
+    return (parentId && permissions.find(candidate => String(candidate.adx_entitypermissionid || '').toLowerCase() === parentId)) || null;
+  }
+
+  /**
+   * Whether the persona can satisfy a permission's scope. Parent scope needs a parent
+   * permission whose own scope the persona satisfies; record relationships are not checked.
+   */
+  scopeSatisfied(permission, persona, request, permissions = [], visited = new Set()) {
+    const scope = Number(permission.adx_scope || SCOPE.GLOBAL);
+    switch (scope) {
+      case SCOPE.GLOBAL:
+        return true;
+      case SCOPE.PARENT: {
+        const parent = this.parentOf(permission, permissions);
+        if (!parent || visited.has(parent)) return false;
+        visited.add(parent);
+        // The record id names the child record, not the parent
+        return this.scopeSatisfied(parent, persona, { ...request, recordId: null }, permissions, visited);
+      }
+      case SCOPE.CONTACT:
+      case SCOPE.ACCOUNT:
+        return !persona.anonymous;
+      case SCOPE.SELF:
+        return !persona.anonymous && (!request.recordId || String(request.recordId).toLowerCase() === String(persona.id || '').toLowerCase());
+      default:
+        return false;
+    }
+  }
+
+  async evaluate(persona, method, apiPath) {
+    const request = this.parseRequest(method, apiPath);
+    if (!request) {
+      return { allowed: true, request: null };
+    }
+
+    const permissions = await this.loadPermissions();
+    const logicalName = this.resolveLogicalName(request.entitySet, permissions);
+    const roleIds = await this.getRoleIds(persona);
+    const field = PRIVILEGE_FIELDS[request.privilege];
+
+    const tablePermissions = permissions.filter(permission => this.logicalNameOf(permission) === logicalName);
+    const granted = tablePermissions.filter(permission => permission[field] && this.applies(permission, roleIds, permissions));
+    const permission = granted.find(candidate => this.scopeSatisfied(candidate, persona, request, permissions));
+
+    let reason = null;
+    if (!permission) {
+      if (tablePermissions.length === 0) {
+        reason = `no table permission exists for ${logicalName}`;
+      } else if (granted.length === 0) {
+        reason = `no table permission grants ${request.privilege} on ${logicalName} to roles [${(await this.personaManager.getEffectiveRoles(persona)).join(', ')}]`;
+      } else {
+        reason = `${granted.map(candidate => SCOPE_NAMES[candidate.adx_scope] || candidate.adx_scope).join('/')} scope does not apply to persona ${persona.key}`;
+      }
+    }
+
+    return { allowed: Boolean(permission), request, logicalName, permission, reason };
+  }
+
+  /**
+   * Error body the Web API returns for a URL it cannot parse
+   */
+  buildBadRequestPayload() {
+    return {
+      error: {
+        code: '0x80060888',
+        message: 'Bad Request - Error in query syntax.'
+      }
+    };
+  }
+
+  /**
+   * Error body the portal Web API returns for a missing table permission
+   */
+  buildErrorPayload(privilege, logicalName) {
+    return {
+      error: {
+        code: '90040120',
+        message: `You don't have permission to ${privilege} ${logicalName} entity.`
+      }
+    };
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.isEnabled()) {
+        return next();
+      }
+
+      try {
+        const permissions = await this.loadPermissions();
+        if (permissions.length === 0) {
+          if (!this.warnedEmpty) {
+            console.warn(chalk.yellow('⚠️  No table permissions found in the project, table permission checks are skipped'));
+            this.warnedEmpty = true;
+          }
+          return next();
+        }
+
+        const persona = req.persona || this.personaManager.getPersona();
+        const result = await this.evaluate(persona, req.method, req.path);
+        if (result.allowed) {
+          return next();
+        }
+
+        console.log(chalk.red(`🚫 Table permission denied: ${req.method} /_api${req.path} (${result.reason})`));
+        res.locals.servedBy = { type: 'table-permissions', reason: result.reason };
+        res.status(403).json(this.buildErrorPayload(result.request.privilege, result.logicalName));
+      } catch (error) {
+        if (error instanceof URIError) {
+          // A path that cannot be decoded cannot be checked, so it never reaches mocks or the proxy
+          res.locals.servedBy = { type: 'table-permissions', reason: 'malformed URL' };
+          return res.status(400).json(this.buildBadRequestPayload());
+        }
+        console.error(chalk.red('❌ Table permission check failed:'), error);
+        next();
+      }
+    };
+  }
+
+  clearCache() {
+    this.permissions = null;
+    this.warnedEmpty = false;
+  }
+}
+
+module.exports = TablePermissions;
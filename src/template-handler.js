@@ -63,6 +63,18 @@ class TemplateHandler {
     }
   }
 
+  /**
+   * Look up a web template by its adx_webtemplateid (as referenced from page templates and website.yml)
+   */
+  async getTemplateById(templateId) {
+    const entry = this.liquidEngine.fileSystem.findById(templateId || '');
+    if (!entry) {
+      console.warn(chalk.yellow(`⚠️  Web template not found for id: ${templateId}`));
+      return null;
+    }
+    return this.getTemplate(entry.directory);
+  }
+
   async renderTemplate(templateName, data = {}) {
     try {
       const template = await this.getTemplate(templateName);
@@ -0,0 +1,155 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const chalk = require('chalk');
+
+/**
+ * Liquid file system that resolves web templates the way Power Pages does:
+ * by their adx_name ("Layout 1 Column") rather than by file path. Used for
+ * {% include %}, {% extends %} and page template lookups by id.
+ */
+class WebTemplateFileSystem {
+  constructor(config) {
+    this.config = config;
+    this.templatesDir = path.join(config.powerPagesPath, config.templatesPath);
+    this.snippetsDir = path.join(config.powerPagesPath, config.snippetsPath);
+    this.pageTemplatesDir = path.join(config.powerPagesPath, config.pageTemplatesPath);
+    this.sep = path.sep;
+    this.index = null;
+    // liquidjs keeps a bare reference to contains() and calls it on its loader
+    this.contains = this.contains.bind(this);
+  }
+
+  /**
+   * Build the name/id index from every *.webtemplate.yml in the project
+   */
+  buildIndex() {
+    const byName = new Map();
+    const byId = new Map();
+
+    if (!fs.existsSync(this.templatesDir)) {
+      return { byName, byId };
+    }
+
+    for (const directory of fs.readdirSync(this.templatesDir)) {
+      const templateDir = path.join(this.templatesDir, directory);
+      if (!fs.statSync(templateDir).isDirectory()) {
+        continue;
+      }
+
+      const files = fs.readdirSync(templateDir);
+      const sourceFile = files.find(f => f.endsWith('.webtemplate.source.html'));
+      const configFile = files.find(f => f.endsWith('.webtemplate.yml'));
+      if (!sourceFile) {
+        continue;
+      }
+
+      let config = {};
+      if (configFile) {
+        try {
+          config = yaml.parse(fs.readFileSync(path.join(templateDir, configFile), 'utf8')) || {};
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️  Could not parse ${configFile}: ${error.message}`));
+        }
+      }
+
+      const entry = {
+        id: config.adx_webtemplateid,
+        name: config.adx_name || directory,
+        directory,
+        sourcePath: path.join(templateDir, sourceFile),
+        config
+      };
+
+      byName.set(entry.name.toLowerCase(), entry);
+      byName.set(directory.toLowerCase(), entry);
+      if (entry.id) {
+        byId.set(entry.id.toLowerCase(), entry);
+      }
+    }
+
+    return { byName, byId };
+  }
+
+  getIndex() {
+    if (!this.index) {
+      this.index = this.buildIndex();
+    }
+    return this.index;
+  }
+
+  findByName(name) {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    const { byName } = this.getIndex();
+    return byName.get(key) || byName.get(key.replace(/\s+/g, '-')) || null;
+  }
+
+  findById(id) {
+    if (!id) return null;
+    return this.getIndex().byId.get(id.toLowerCase()) || null;
+  }
+
+  findSnippetFile(name) {
+    const snippetDir = path.join(this.snippetsDir, name.toLowerCase().replace(/\s+/g, '-'));
+    if (!fs.existsSync(snippetDir)) {
+      return null;
+    }
+    const htmlFile = fs.readdirSync(snippetDir).find(f => f.endsWith('.html'));
+    return htmlFile ? path.join(snippetDir, htmlFile) : null;
+  }
+
+  clearCache() {
+    this.index = null;
+  }
+
+  // Liquid FS interface
+
+  resolve(dir, file, ext) {
+    const template = this.findByName(file);
+    if (template) {
+      return template.sourcePath;
+    }
+
+    const snippetFile = this.findSnippetFile(file);
+    if (snippetFile) {
+      return snippetFile;
+    }
+
+    return path.resolve(dir, path.extname(file) ? file : file + ext);
+  }
+
+  async exists(filepath) {
+    return fs.pathExists(filepath);
+  }
+
+  existsSync(filepath) {
+    return fs.existsSync(filepath);
+  }
+
+  async readFile(filepath) {
+    return fs.readFile(filepath, 'utf8');
+  }
+
+  readFileSync(filepath) {
+    return fs.readFileSync(filepath, 'utf8');
+  }
+
+  /**
+   * Name lookups may land in another template folder than the root liquidjs
+   * asked about, so any of them counts; anything outside is refused.
+   */
+  contains(root, file) {
+    const resolved = path.resolve(file);
+    return [root, this.templatesDir, this.snippetsDir, this.pageTemplatesDir].some(dir => {
+      const base = path.resolve(dir);
+      return resolved.startsWith(base.endsWith(path.sep) ? base : base + path.sep);
+    });
+  }
+
+  dirname(filepath) {
+    return path.dirname(filepath);
+  }
+}
+
+module.exports = WebTemplateFileSystem;
@@ -0,0 +1,63 @@
+const TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)\s*([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Tiny XML element parser for the documents the server reads (FetchXML queries,
+ * $metadata CSDL): elements, attributes and text, no CDATA or entity
+ * declarations. Namespace prefixes are dropped from names.
+ */
+class XmlParser {
+  static decodeEntities(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Element tree { name, attributes, children, text } under a '#document' root;
+   * lowerCase folds element and attribute names, for case-insensitive FetchXML
+   */
+  static parse(xml, { lowerCase = false } = {}) {
+    const nameOf = qualified => {
+      const name = qualified.split(':').pop();
+      return lowerCase ? name.toLowerCase() : name;
+    };
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const pattern = new RegExp(TOKEN.source, 'g');
+    let match;
+
+    while ((match = pattern.exec(String(xml))) !== null) {
+      const [, closing, tagName, attributeText, selfClosing, text] = match;
+      const current = stack[stack.length - 1];
+
+      if (tagName && closing) {
+        // Close up to the matching element, so a stray end tag cannot unwind the whole tree
+        const index = stack.map(element => element.name).lastIndexOf(nameOf(tagName));
+        if (index > 0) stack.length = index;
+      } else if (tagName) {
+        const element = { name: nameOf(tagName), attributes: XmlParser.parseAttributes(attributeText || '', nameOf), children: [], text: '' };
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+      } else if (text && text.trim()) {
+        current.text += XmlParser.decodeEntities(text.trim());
+      }
+    }
+    return root;
+  }
+
+  static parseAttributes(text, nameOf = name => name) {
+    const attributes = {};
+    const pattern = new RegExp(ATTRIBUTE.source, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      attributes[nameOf(match[1])] = XmlParser.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+  }
+}
+
+module.exports = XmlParser;
@@ -0,0 +1,39 @@
+/**
+ * Minimal Express request/response doubles for calling middleware directly
+ */
+function request({ method = 'GET', path = '/', query = {}, headers = {}, body } = {}) {
+  return { method, path, originalUrl: path, query, headers, body, get: name => headers[name.toLowerCase()] };
+}
+
+/**
+ * Call a middleware; resolves with { status, body, headers } once it answers,
+ * or { next: true, error } when it passes the request on
+ */
+function call(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      locals: {},
+      headersSent: false,
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.headersSent = true;
+        resolve({ status: this.statusCode, body, headers: this.headers });
+      },
+      send(body) {
+        this.headersSent = true;
+        resolve({ status: this.statusCode, body, headers: this.headers });
+      }
+    };
+    middleware(req, res, error => resolve({ next: true, error }));
+  });
+}
+
+module.exports = { request, call };
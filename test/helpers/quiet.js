@@ -0,0 +1,4 @@
+// The server logs every step with emoji; keep test output to the test report
+['log', 'info', 'warn', 'error'].forEach(method => {
+  console[method] = () => {};
+});
@@ -0,0 +1,15 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * A mocks/mock-config.json in a fresh temporary directory, removed with cleanup()
+ */
+async function tempMockConfig(config = { mocks: [] }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pp-mocks-'));
+  const file = path.join(dir, 'mock-config.json');
+  await fs.writeJson(file, config, { spaces: 2 });
+  return { file, cleanup: () => fs.remove(dir) };
+}
+
+module.exports = { tempMockConfig };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/quiet');
+const path = require('path');
+const MockMiddleware = require('../src/mock-middleware');
+const { request, call } = require('./helpers/express');
+
+async function middlewareWith(mocks) {
+  const middleware = new MockMiddleware({ mockConfigFile: path.join(__dirname, 'no-such-dir', 'mock-config.json') });
+  await middleware.loading;
+  middleware.mocks = mocks;
+  return middleware;
+}
+
+const collection = {
+  id: 'contacts',
+  name: 'Contacts',
+  enabled: true,
+  request: { method: 'GET', endpoint: '/contacts' },
+  response: { status: 200, data: { value: [{ contactid: '1', fullname: 'Dana' }] } },
+  options: { odata: true }
+};
+
+test('OData options filter collection mocks that opt in', async () => {
+  const middleware = await middlewareWith([collection]);
+  const result = await call(middleware.middleware(), request({ path: '/contacts', query: { $filter: "fullname eq 'Noa'" } }));
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(result.body.value, []);
+});
+
+test('an unexpected error while answering becomes a 500 instead of an unhandled rejection', async () => {
+  const middleware = await middlewareWith([collection]);
+  middleware.applyODataQuery = () => {
+    throw new TypeError('records is not iterable');
+  };
+  const result = await call(middleware.middleware(), request({ path: '/contacts', query: { $top: '1' } }));
+  assert.strictEqual(result.status, 500);
+  assert.match(result.body.error.message, /records is not iterable/);
+});
+
+test('a template that throws answers a 500 naming the mock', async () => {
+  const middleware = await middlewareWith([{
+    id: 'greeting',
+    name: 'Greeting',
+    enabled: true,
+    request: { method: 'GET', endpoint: '/greeting' },
+    response: { status: 200, data: { message: 'Hello {{query.name}}' } },
+    options: { template: true }
+  }]);
+  middleware.selectResponse = () => {
+    throw new RangeError('helper failed');
+  };
+  const result = await call(middleware.middleware(), request({ path: '/greeting', query: { name: 'Dana' } }));
+  assert.strictEqual(result.status, 500);
+  assert.match(result.body.error.message, /Mock "Greeting" \(greeting\).*helper failed/);
+});
+
+test('a mock created in the dashboard keeps its body but not its cookies', async () => {
+  const middleware = await middlewareWith([]);
+  const prepared = middleware.prepareMock({
+    request: { method: 'post', endpoint: '/login', headers: { Cookie: 'ARRAffinity=abc' } },
+    response: { status: 200, data: { password: 'reset-me', token: 'fixture' } }
+  });
+  assert.deepStrictEqual(prepared.request.headers, {});
+  assert.deepStrictEqual(prepared.response.data, { password: 'reset-me', token: 'fixture' });
+});
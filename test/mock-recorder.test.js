@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/quiet');
+const fs = require('fs-extra');
+const MockRecorder = require('../src/mock-recorder');
+const MockMiddleware = require('../src/mock-middleware');
+const { request, call } = require('./helpers/express');
+const { tempMockConfig } = require('./helpers/tmp');
+
+const upstream = data => ({ status: 200, headers: { 'content-type': 'application/json' }, data });
+
+test('a bare GET and a filtered GET are recorded and replayed separately', async () => {
+  const { file, cleanup } = await tempMockConfig();
+  const recorder = new MockRecorder({ mockMode: 'record', mockConfigFile: file });
+  const all = { value: [{ fullname: 'Dana' }, { fullname: 'Noa' }] };
+  const filtered = { value: [{ fullname: 'Noa' }] };
+
+  await recorder.record(request({ path: '/contacts' }), upstream(all), 'https://site.example/_api/contacts');
+  await recorder.record(request({ path: '/contacts', query: { $filter: "fullname eq 'Noa'" } }), upstream(filtered), "https://site.example/_api/contacts?$filter=fullname eq 'Noa'");
+
+  const { mocks } = await fs.readJson(file);
+  assert.deepStrictEqual(mocks.map(mock => mock.recordKey).sort(), ['GET /contacts?', "GET /contacts?$filter=fullname eq 'Noa'"]);
+
+  const middleware = new MockMiddleware({ mockConfigFile: file });
+  try {
+    await middleware.loading;
+    const handler = middleware.middleware();
+    assert.deepStrictEqual((await call(handler, request({ path: '/contacts' }))).body, all);
+    assert.deepStrictEqual((await call(handler, request({ path: '/contacts', query: { $filter: "fullname eq 'Noa'" } }))).body, filtered);
+    // Not recorded yet: goes on to the proxy instead of replaying the bare GET
+    assert.strictEqual((await call(handler, request({ path: '/contacts', query: { $select: 'fullname' } }))).next, true);
+  } finally {
+    await middleware.close();
+    await cleanup();
+  }
+});
+
+test('a hit counted while a recording is written does not drop the recording', async () => {
+  const { file, cleanup } = await tempMockConfig({ mocks: [{ id: 'existing', name: 'Existing', enabled: true, request: { method: 'GET', endpoint: '/accounts' }, response: { status: 200, data: {} } }] });
+  const recorder = new MockRecorder({ mockMode: 'record', mockConfigFile: file });
+  const middleware = new MockMiddleware({ mockConfigFile: file });
+  try {
+    await middleware.loading;
+    const recording = recorder.record(request({ path: '/contacts' }), upstream({ value: [] }), 'https://site.example/_api/contacts');
+    middleware.updateMockStats('existing');
+    await Promise.all([recording, middleware.flushStats()]);
+
+    const { mocks } = await fs.readJson(file);
+    assert.deepStrictEqual(mocks.map(mock => mock.name).sort(), ['Existing', 'GET /contacts (recorded)']);
+    assert.strictEqual(mocks.find(mock => mock.id === 'existing').hitCount, 1);
+  } finally {
+    await middleware.close();
+    await cleanup();
+  }
+});
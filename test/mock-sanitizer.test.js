@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/quiet');
+const MockSanitizer = require('../src/mock-sanitizer');
+
+const login = {
+  request: { method: 'POST', endpoint: '/login', headers: { Cookie: 'ARRAffinity=abc', 'Content-Type': 'application/json' } },
+  response: { status: 200, headers: { 'Set-Cookie': 'session=1' }, data: { password: 'hunter2', token: 'abc' } }
+};
+
+test('captured mocks have credential headers and body fields scrubbed', () => {
+  const sanitized = new MockSanitizer().sanitizeMock(login);
+  assert.deepStrictEqual(sanitized.request.headers, { 'Content-Type': 'application/json' });
+  assert.deepStrictEqual(sanitized.response.headers, {});
+  assert.deepStrictEqual(sanitized.response.data, { password: '[REDACTED]', token: '[REDACTED]' });
+});
+
+test('hand-written mocks only lose their credential headers', () => {
+  const sanitized = new MockSanitizer().sanitizeHeaders(login);
+  assert.deepStrictEqual(sanitized.request.headers, { 'Content-Type': 'application/json' });
+  assert.deepStrictEqual(sanitized.response.headers, {});
+  assert.deepStrictEqual(sanitized.response.data, login.response.data);
+});
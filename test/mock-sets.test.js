@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/quiet');
+const MockMiddleware = require('../src/mock-middleware');
+const { request, call } = require('./helpers/express');
+const { tempMockConfig } = require('./helpers/tmp');
+
+const incidents = (id, enabled, status) => ({
+  id,
+  name: `Incidents ${status}`,
+  enabled,
+  priority: 5,
+  request: { method: 'GET', endpoint: '/incidents' },
+  response: { status, data: { value: [] } }
+});
+
+test('a disabled mock listed in a set answers only in that set', async () => {
+  const { file, cleanup } = await tempMockConfig({
+    sets: { errors: { mocks: ['failing'] } },
+    mocks: [incidents('failing', false, 503), incidents('working', true, 200)]
+  });
+  const middleware = new MockMiddleware({ mockConfigFile: file });
+  try {
+    await middleware.loading;
+    const handler = middleware.middleware();
+    assert.strictEqual((await call(handler, request({ path: '/incidents' }))).status, 200);
+    assert.strictEqual((await call(handler, request({ path: '/incidents', headers: { 'x-mock-set': 'errors' } }))).status, 503);
+  } finally {
+    await middleware.close();
+    await cleanup();
+  }
+});
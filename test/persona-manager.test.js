@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/quiet');
+const PersonaManager = require('../src/persona-manager');
+
+const config = (mockUser = {}) => ({
+  mockUser: {
+    enabled: true,
+    userData: { id: 'contact-1', fullname: 'Test User', roles: 'Customers,Administrators' },
+    ...mockUser
+  }
+});
+
+test('without a defaultPersona the mock user keeps every configured role', () => {
+  const persona = new PersonaManager(config()).getPersona();
+  assert.strictEqual(persona.key, 'mock-user');
+  assert.deepStrictEqual(persona.roles, ['Customers', 'Administrators']);
+});
+
+test('customer and administrator stay available as opt-in personas', () => {
+  const personas = new PersonaManager(config({ defaultPersona: 'customer' }));
+  assert.deepStrictEqual(personas.getPersona().roles, ['Customers']);
+  assert.deepStrictEqual(personas.getPersona('administrator').roles, ['Customers', 'Administrators']);
+});
+
+test('a disabled mock user browses anonymously', () => {
+  assert.strictEqual(new PersonaManager(config({ enabled: false })).getPersona().anonymous, true);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/quiet');
+const PowerPagesFilters = require('../src/power-pages-filters');
+
+const definition = JSON.stringify([{ label: 'Status', options: [{ id: 'open', label: 'Open' }, { id: 'closed', label: 'Closed' }] }]);
+
+test('metafilter checks the options named in the query', () => {
+  const [group] = new PowerPagesFilters({}).metafilter(definition, '0=open&1=x');
+  assert.deepStrictEqual(group.options.map(option => option.checked), [true, false]);
+});
+
+test('metafilter keeps a malformed escape as written instead of failing the page', () => {
+  const [group] = new PowerPagesFilters({}).metafilter(definition, '0=%E0&0=closed');
+  assert.deepStrictEqual(group.options.map(option => option.checked), [false, true]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/quiet');
+const TablePermissions = require('../src/table-permissions');
+
+const ROLE = { adx_name: 'Customers', adx_webroleid: 'role-1' };
+const personaManager = {
+  loadWebRoles: async () => [ROLE],
+  getEffectiveRoles: async persona => persona.roles
+};
+const customer = { key: 'customer', anonymous: false, id: 'contact-1', roles: ['Customers'] };
+const anonymous = { key: 'anonymous', anonymous: true, id: null, roles: ['Customers'] };
+
+function permissions(parentScope) {
+  const tablePermissions = new TablePermissions({ powerPagesPath: '/nonexistent' }, personaManager);
+  tablePermissions.permissions = [
+    { adx_entitypermissionid: 'p-contact', adx_entitylogicalname: 'contact', adx_scope: parentScope, adx_read: true, adx_entitypermission_webrole: ['role-1'] },
+    { adx_entitypermissionid: 'p-incident', adx_entitylogicalname: 'incident', adx_scope: 756150003, adx_read: true, adx_parententitypermission: 'p-contact' }
+  ];
+  return tablePermissions;
+}
+
+function call(tablePermissions, path, persona = customer) {
+  return new Promise(resolve => {
+    const res = {
+      locals: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json: body => resolve({ status: res.statusCode, body })
+    };
+    tablePermissions.middleware()({ method: 'GET', path, persona }, res, () => resolve({ status: 'next' }));
+  });
+}
+
+test('a malformed percent escape in the path gets a 400 instead of skipping the check', async () => {
+  const result = await call(permissions(756150000), '/incidents(%E0)');
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(result.body.error.code, '0x80060888');
+});
+
+test('Parent scope applies when the persona satisfies the parent permission scope', async () => {
+  assert.strictEqual((await call(permissions(756150001), '/incidents')).status, 'next');
+});
+
+test('Parent scope does not apply when the parent permission scope fails', async () => {
+  const result = await call(permissions(756150001), '/incidents', anonymous);
+  assert.strictEqual(result.status, 403);
+});